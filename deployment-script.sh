@@ -79,7 +79,7 @@ psql $DATABASE_URL << EOF
 CREATE TABLE IF NOT EXISTS wp_user_mapping (
     id SERIAL PRIMARY KEY,
     wp_user_id INTEGER NOT NULL UNIQUE,
-    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('consumer', 'manufacturer', 'retailer')),
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('consumer', 'manufacturer', 'retailer', 'admin', 'auditor')),
     entity_id INTEGER,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -98,6 +98,7 @@ cd "$API_DIR"
 
 # Copy API files
 cp /path/to/source/server.js .
+cp /path/to/source/webhook-signature.js .
 cp /path/to/source/package.json .
 cp /path/to/source/.env.example .env
 
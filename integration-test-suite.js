@@ -2,7 +2,9 @@
 // Integration test suite for Quit-OS Product Database
 
 const axios = require('axios');
+const crypto = require('crypto');
 const { Pool } = require('pg');
+const { webhookSignatureHeader, verifyWebhookSignature } = require('./webhook-signature');
 require('dotenv').config();
 
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
@@ -19,6 +21,21 @@ const testManufacturer = {
   contact_email: 'test@testvapeco.com'
 };
 
+const testRetailer = {
+  wp_user_id: 2002,
+  company_name: 'Test Onboarded Shop',
+  license_number: 'RETAIL-002',
+  contact_email: 'shop@testvapeco.com',
+  address: '1 Onboarding Rd, London',
+  phone: '020 7946 0000',
+  location: { lat: 51.5074, lng: -0.1278 },
+  jurisdiction_code: 'GB',
+  business_hours: {
+    monday: { open: '09:00', close: '17:00' },
+    sunday: null
+  }
+};
+
 const testProduct = {
   product_name: 'Test Vape Product',
   sku: 'TEST-VAPE-001',
@@ -27,7 +44,11 @@ const testProduct = {
   volume_ml: 10.0,
   flavor: 'Test Flavor',
   ingredients: ['Propylene Glycol', 'Vegetable Glycerin', 'Nicotine'],
-  warnings: ['Keep away from children', 'Nicotine is addictive']
+  warnings: ['Keep away from children', 'Nicotine is addictive'],
+  attributes: {
+    battery_capacity: '650 mAh',
+    coil_resistance: 1.2
+  }
 };
 
 const testBatch = {
@@ -53,6 +74,112 @@ async function getAuthToken(userId, userType) {
   );
 }
 
+// Till-side age check sent with POS sales
+const adultAttestation = {
+  method: 'in_person',
+  verifier: 'Till 1',
+  verified_at: new Date().toISOString(),
+  age_over: 25
+};
+
+// Verified testManufacturer with a WP mapping, so its token passes the API's user lookup
+async function ensureTestManufacturer() {
+  const manufacturerResult = await pool.query(
+    `INSERT INTO manufacturers (wp_user_id, company_name, license_number, contact_email, verification_status)
+     VALUES ($1, $2, $3, $4, 'verified')
+     ON CONFLICT (wp_user_id) DO UPDATE SET verification_status = 'verified'
+     RETURNING id`,
+    [testManufacturer.wp_user_id, testManufacturer.company_name,
+     testManufacturer.license_number, testManufacturer.contact_email]
+  );
+  const manufacturerId = manufacturerResult.rows[0].id;
+  
+  await pool.query(
+    `INSERT INTO wp_user_mapping (wp_user_id, user_type, entity_id)
+     VALUES ($1, 'manufacturer', $2)
+     ON CONFLICT (wp_user_id) DO NOTHING`,
+    [testManufacturer.wp_user_id, manufacturerId]
+  );
+  
+  const token = await getAuthToken(testManufacturer.wp_user_id, 'manufacturer');
+  
+  return { manufacturerId, headers: { Authorization: `Bearer ${token}` } };
+}
+
+// An in-date batch of a testManufacturer product. Seeded directly, like the
+// manufacturer itself: publishing through the API needs full compliance data.
+async function seedTestBatch(key, options = {}) {
+  const { categorySlug = 'vapes', nicotineStrength = 5, volumeMl = 10 } = options;
+  const sku = `TEST-SALE-${key}-${categorySlug}`;
+  const { manufacturerId } = await ensureTestManufacturer();
+  
+  const productResult = await pool.query(
+    `INSERT INTO products (manufacturer_id, category_id, product_name, sku, nicotine_strength, volume_ml, status)
+     SELECT $1, id, $2, $3, $4, $5, 'active' FROM product_categories WHERE slug = $6
+     ON CONFLICT (manufacturer_id, sku) DO UPDATE SET
+       nicotine_strength = EXCLUDED.nicotine_strength,
+       volume_ml = EXCLUDED.volume_ml,
+       status = 'active'
+     RETURNING id`,
+    [manufacturerId, `Test Sale Product ${sku}`, sku, nicotineStrength, volumeMl, categorySlug]
+  );
+  const productId = productResult.rows[0].id;
+  
+  const batchResult = await pool.query(
+    `INSERT INTO product_batches 
+     (product_id, batch_number, manufacture_date, expiry_date, quantity_produced, quantity_available)
+     VALUES ($1, $2, CURRENT_DATE - 30, CURRENT_DATE + 365, 1000, 1000)
+     ON CONFLICT (product_id, batch_number) DO UPDATE SET expiry_date = EXCLUDED.expiry_date
+     RETURNING id`,
+    [productId, `BATCH-${sku}`]
+  );
+  
+  return { productId, batchId: batchResult.rows[0].id, sku, batchNumber: `BATCH-${sku}` };
+}
+
+// Registers a GB retailer through the onboarding endpoint and has an admin verify it
+async function onboardTestRetailer(wpUserId) {
+  const token = await getAuthToken(wpUserId, 'retailer');
+  const headers = { Authorization: `Bearer ${token}` };
+  
+  const registerResponse = await axios.post(
+    `${API_BASE_URL}/api/retailers`,
+    {
+      store_name: `Test Till Shop ${wpUserId}`,
+      license_number: `RETAIL-${wpUserId}`,
+      address: '1 Till St, London',
+      location: { lat: 51.5074, lng: -0.1278 },
+      jurisdiction_code: 'GB'
+    },
+    { headers }
+  );
+  const retailer = registerResponse.data.retailer;
+  
+  if (retailer.verification_status !== 'verified') {
+    await pool.query(
+      `INSERT INTO wp_user_mapping (wp_user_id, user_type) VALUES (9001, 'admin')
+       ON CONFLICT (wp_user_id) DO NOTHING`
+    );
+    const adminToken = await getAuthToken(9001, 'admin');
+    await axios.post(
+      `${API_BASE_URL}/api/admin/partners/retailer/${retailer.id}/approve`,
+      {},
+      { headers: { Authorization: `Bearer ${adminToken}` } }
+    );
+  }
+  
+  return { retailerId: retailer.id, headers };
+}
+
+// Puts units of a batch on the retailer's shelf through the inventory endpoint
+async function stockTestBatch(retailer, batch, quantity) {
+  await axios.post(
+    `${API_BASE_URL}/api/inventory/add`,
+    { product_id: batch.productId, batch_id: batch.batchId, quantity, price: 9.99 },
+    { headers: retailer.headers }
+  );
+}
+
 // Test suite
 class IntegrationTests {
   constructor() {
@@ -65,11 +192,17 @@ class IntegrationTests {
     try {
       await this.testDatabaseConnection();
       await this.testAPIHealth();
+      await this.testPartnerOnboarding();
       await this.testManufacturerFlow();
       await this.testRetailerFlow();
       await this.testConsumerSearch();
       await this.testBatchTraceability();
       await this.testLocationSearch();
+      await this.testPosTransactionReplay();
+      await this.testSaleRestrictions();
+      await this.testPosInventorySync();
+      await this.testProductImport();
+      await this.testWebhookSignatures();
       
       this.printResults();
     } catch (error) {
@@ -115,6 +248,75 @@ class IntegrationTests {
     }
   }
 
+  async testPartnerOnboarding() {
+    const testName = 'Partner Onboarding';
+    try {
+      const token = await getAuthToken(testRetailer.wp_user_id, 'retailer');
+      const headers = { Authorization: `Bearer ${token}` };
+      
+      // 1. Register retailer
+      const createResponse = await axios.post(
+        `${API_BASE_URL}/api/retailers`,
+        testRetailer,
+        { headers }
+      );
+      
+      // 2. Re-saving the same WP profile must update, not fail
+      const resaveResponse = await axios.post(
+        `${API_BASE_URL}/api/retailers`,
+        { wp_user_id: testRetailer.wp_user_id, company_name: testRetailer.company_name },
+        { headers }
+      );
+      
+      if (resaveResponse.data.retailer.id !== createResponse.data.retailer.id) {
+        throw new Error('Re-saving the profile created a second retailer');
+      }
+      
+      // 3. Read own profile back
+      const profileResponse = await axios.get(
+        `${API_BASE_URL}/api/retailers/me`,
+        { headers }
+      );
+      
+      // 4. The same WP user can't switch to being a manufacturer
+      const switchResponse = await axios.post(
+        `${API_BASE_URL}/api/manufacturers`,
+        { wp_user_id: testRetailer.wp_user_id, company_name: testRetailer.company_name },
+        { headers, validateStatus: () => true }
+      );
+      
+      if (switchResponse.status !== 409) {
+        throw new Error(`Changing user type returned ${switchResponse.status}, expected 409`);
+      }
+      
+      // 5. Nor can a WP user already mapped as a consumer, and no partner row is left behind
+      await pool.query(
+        `INSERT INTO wp_user_mapping (wp_user_id, user_type) VALUES (3002, 'consumer')
+         ON CONFLICT (wp_user_id) DO NOTHING`
+      );
+      const consumerToken = await getAuthToken(3002, 'consumer');
+      const consumerResponse = await axios.post(
+        `${API_BASE_URL}/api/retailers`,
+        { store_name: 'Not A Shop' },
+        { headers: { Authorization: `Bearer ${consumerToken}` }, validateStatus: () => true }
+      );
+      const orphanResult = await pool.query('SELECT id FROM retailers WHERE wp_user_id = 3002');
+      
+      if (consumerResponse.data.code !== 'USER_TYPE_CONFLICT' || orphanResult.rows.length > 0) {
+        throw new Error(`Registering a consumer as a retailer returned ${consumerResponse.status}`);
+      }
+      
+      if (profileResponse.data.retailer.business_hours.monday.open === '09:00') {
+        this.addResult(testName, true, `Retailer ${profileResponse.data.retailer.id} onboarded`);
+      } else {
+        throw new Error('Business hours were not stored');
+      }
+      
+    } catch (error) {
+      this.addResult(testName, false, error.message);
+    }
+  }
+
   async testManufacturerFlow() {
     const testName = 'Manufacturer Product Flow';
     try {
@@ -204,6 +406,15 @@ class IntegrationTests {
         `${API_BASE_URL}/api/search/products?q=vape`
       );
       
+      // Faceted search takes the price facet's own values, and bad paging falls back to defaults
+      const facetedResponse = await axios.get(
+        `${API_BASE_URL}/api/search/v2/products?price=up_to_10,10_20&page=0&limit=abc`
+      );
+      
+      if (facetedResponse.data.pagination.page !== 1 || facetedResponse.data.pagination.limit !== 20) {
+        throw new Error(`Search v2 paged as ${JSON.stringify(facetedResponse.data.pagination)}`);
+      }
+      
       if (searchResponse.data.success) {
         this.addResult(testName, true, 
           `Found ${Object.keys(searchResponse.data.products).length} products`);
@@ -260,6 +471,316 @@ class IntegrationTests {
     }
   }
 
+  async testPosTransactionReplay() {
+    const testName = 'POS Transaction Replay';
+    try {
+      const retailer = await onboardTestRetailer(2003);
+      const batch = await seedTestBatch(2003);
+      await stockTestBatch(retailer, batch, 20);
+      
+      const { retailerId, headers } = retailer;
+      const { batchId } = batch;
+      const sale = {
+        items: [{ batch_id: batchId, quantity: 1 }],
+        payment_method: 'card',
+        pos_transaction_id: `TILL-${Date.now()}`,
+        age_verification: adultAttestation
+      };
+      
+      // 1. The till retries the same transaction
+      const firstResponse = await axios.post(`${API_BASE_URL}/api/purchase`, sale, { headers });
+      const replayResponse = await axios.post(`${API_BASE_URL}/api/purchase`, sale, { headers });
+      
+      if (!replayResponse.data.idempotent_replay ||
+          replayResponse.data.purchase_id !== firstResponse.data.purchase_id) {
+        throw new Error('Retrying a POS transaction recorded a second sale');
+      }
+      
+      // 2. Reusing the id for a different basket is refused, not answered with the old sale
+      const changedResponse = await axios.post(
+        `${API_BASE_URL}/api/purchase`,
+        { ...sale, items: [{ batch_id: batchId, quantity: 2 }] },
+        { headers, validateStatus: () => true }
+      );
+      
+      if (changedResponse.status !== 409 || changedResponse.data.code !== 'POS_TRANSACTION_CONFLICT') {
+        throw new Error(`Reusing a POS transaction id returned ${changedResponse.status}, expected 409`);
+      }
+      
+      // 3. A consumer can't claim or read back a POS transaction id
+      const consumerToken = await getAuthToken(3001, 'consumer');
+      const consumerResponse = await axios.post(
+        `${API_BASE_URL}/api/purchase`,
+        { ...sale, retailer_id: retailerId },
+        { headers: { Authorization: `Bearer ${consumerToken}` }, validateStatus: () => true }
+      );
+      
+      if (consumerResponse.status !== 400) {
+        throw new Error(`Consumer sale with pos_transaction_id returned ${consumerResponse.status}, expected 400`);
+      }
+      
+      this.addResult(testName, true, `Purchase ${firstResponse.data.purchase_id} replayed; consumer refused`);
+    } catch (error) {
+      this.addResult(testName, false, error.message);
+    }
+  }
+
+  async testSaleRestrictions() {
+    const testName = 'Jurisdiction Sale Restrictions';
+    try {
+      // GB caps e-liquid at 20 mg/ml; a 21 mg patch isn't an e-liquid
+      const retailer = await onboardTestRetailer(2004);
+      const patch = await seedTestBatch(2004, { categorySlug: 'patches', nicotineStrength: 21, volumeMl: null });
+      const vape = await seedTestBatch(2004, { categorySlug: 'vapes', nicotineStrength: 25 });
+      await stockTestBatch(retailer, patch, 5);
+      await stockTestBatch(retailer, vape, 5);
+      const headers = retailer.headers;
+      const sell = (batchId, extra = {}) => axios.post(
+        `${API_BASE_URL}/api/purchase`,
+        { items: [{ batch_id: batchId, quantity: 1 }], payment_method: 'card', ...extra },
+        { headers, validateStatus: () => true }
+      );
+      
+      // 1. No age check, no sale
+      const unverifiedResponse = await sell(patch.batchId);
+      if (unverifiedResponse.data.code !== 'AGE_VERIFICATION_REQUIRED') {
+        throw new Error(`Unverified sale returned ${unverifiedResponse.data.code || unverifiedResponse.status}`);
+      }
+      
+      // 2. Strong patches are fine
+      const patchResponse = await sell(patch.batchId, { age_verification: adultAttestation });
+      if (patchResponse.status !== 200) {
+        throw new Error(`21 mg patch was refused with ${patchResponse.data.code}`);
+      }
+      
+      // 3. A retailer with no jurisdiction falls back to the default (GB) and
+      // the strong e-liquid is still refused
+      await pool.query('UPDATE retailers SET jurisdiction_code = NULL WHERE id = $1', [retailer.retailerId]);
+      const vapeResponse = await sell(vape.batchId, { age_verification: adultAttestation });
+      if (vapeResponse.data.code !== 'NICOTINE_LIMIT_EXCEEDED') {
+        throw new Error(`25 mg e-liquid returned ${vapeResponse.data.code || vapeResponse.status}`);
+      }
+      
+      this.addResult(testName, true, 'Age, category-scoped nicotine caps and default jurisdiction enforced');
+    } catch (error) {
+      this.addResult(testName, false, error.message);
+    }
+  }
+
+  async testPosInventorySync() {
+    const testName = 'POS Inventory Sync';
+    try {
+      const retailer = await onboardTestRetailer(2005);
+      const vape = await seedTestBatch(2005);
+      const pouch = await seedTestBatch(2005, { categorySlug: 'pouches' });
+      await stockTestBatch(retailer, vape, 20);
+      await stockTestBatch(retailer, pouch, 20);
+      const headers = retailer.headers;
+      
+      // 1. A snapshot with one unknown code: the known line is counted, the
+      // unknown one held, and unmentioned stock left alone
+      const syncResponse = await axios.post(
+        `${API_BASE_URL}/api/inventory/sync`,
+        {
+          mode: 'snapshot',
+          sync_id: `SYNC-${Date.now()}`,
+          lines: [
+            { sku: vape.sku, batch_number: vape.batchNumber, quantity: 18 },
+            { sku: 'TILL-ONLY-CODE', batch_number: 'LOT-1', quantity: 12 }
+          ]
+        },
+        { headers }
+      );
+      
+      const [countedLine, heldLine] = syncResponse.data.lines;
+      if (countedLine.status !== 'adjusted' || countedLine.quantity_after !== 18) {
+        throw new Error(`Counted line was ${countedLine.status}`);
+      }
+      if (heldLine.status !== 'held' || heldLine.reason !== 'UNKNOWN_SKU') {
+        throw new Error(`Unknown code was ${heldLine.status} (${heldLine.reason})`);
+      }
+      if (!syncResponse.data.not_in_snapshot.some(row => row.batch_id === pouch.batchId && row.status === 'unchanged')) {
+        throw new Error('Unmentioned stock was changed although a line was held');
+      }
+      
+      // 2. A held count is stale, so resolving it needs today's count
+      const resolveUrl = `${API_BASE_URL}/api/inventory/sync/held/${heldLine.held_line_id}/resolve`;
+      const staleResponse = await axios.post(
+        resolveUrl,
+        { batch_id: pouch.batchId, remember: false },
+        { headers, validateStatus: () => true }
+      );
+      if (staleResponse.data.code !== 'COUNT_REQUIRED') {
+        throw new Error(`Resolving without a count returned ${staleResponse.data.code || staleResponse.status}`);
+      }
+      
+      const resolveResponse = await axios.post(
+        resolveUrl,
+        { batch_id: pouch.batchId, quantity: 15, remember: false },
+        { headers }
+      );
+      if (resolveResponse.data.quantity_after !== 15) {
+        throw new Error(`Resolved line set stock to ${resolveResponse.data.quantity_after}`);
+      }
+      
+      // 3. A full snapshot leaves quarantined recall stock alone: the till never lists it
+      const recalled = await seedTestBatch(`2005-${Date.now()}`, { categorySlug: 'lozenges' });
+      await stockTestBatch(retailer, recalled, 4);
+      await axios.post(
+        `${API_BASE_URL}/api/batches/${recalled.batchId}/recall`,
+        { reason: 'Test recall', severity: 'low' },
+        { headers: (await ensureTestManufacturer()).headers }
+      );
+      
+      const fullResponse = await axios.post(
+        `${API_BASE_URL}/api/inventory/sync`,
+        {
+          mode: 'snapshot',
+          sync_id: `SYNC-FULL-${Date.now()}`,
+          lines: [
+            { sku: vape.sku, batch_number: vape.batchNumber, quantity: 18 },
+            { sku: pouch.sku, batch_number: pouch.batchNumber, quantity: 15 }
+          ]
+        },
+        { headers }
+      );
+      const quarantined = await pool.query(
+        'SELECT quantity_in_stock FROM retailer_inventory WHERE retailer_id = $1 AND batch_id = $2',
+        [retailer.retailerId, recalled.batchId]
+      );
+      if (fullResponse.data.not_in_snapshot.some(row => row.batch_id === recalled.batchId) ||
+          quarantined.rows[0].quantity_in_stock !== 4) {
+        throw new Error(`Snapshot counted recalled stock down to ${quarantined.rows[0].quantity_in_stock}`);
+      }
+      
+      this.addResult(testName, true, `Sync run ${syncResponse.data.run_id} reconciled; held line resolved`);
+    } catch (error) {
+      this.addResult(testName, false, error.message);
+    }
+  }
+
+  async testProductImport() {
+    const testName = 'Bulk Product Import';
+    try {
+      const { manufacturerId, headers } = await ensureTestManufacturer();
+      const csvHeaders = { ...headers, 'Content-Type': 'text/csv' };
+      const skus = [`TEST-IMPORT-${Date.now()}-1`, `TEST-IMPORT-${Date.now()}-2`];
+      
+      // Spreadsheet export: BOM, CRLF line ends, a quoted comma and an escaped quote
+      const csv = '\uFEFF' + [
+        'SKU,product_name,description,category,attributes.pieces_per_pack',
+        `${skus[0]},"Gum, Mint","Says ""fresh"" on the pack",gum,10`,
+        `${skus[1]},Gum Fruit,,gum,20`
+      ].join('\r\n') + '\r\n';
+      
+      // 1. A dry run reports the creates but leaves no products behind
+      const dryRunResponse = await axios.post(
+        `${API_BASE_URL}/api/products/imports?dry_run=true`,
+        csv,
+        { headers: csvHeaders }
+      );
+      
+      const dryRunActions = dryRunResponse.data.rows.map(row => `${row.sku}:${row.action}`);
+      if (dryRunActions.join() !== skus.map(sku => `${sku}:create`).join()) {
+        throw new Error(`Dry run reported ${dryRunActions.join(', ')}`);
+      }
+      
+      const afterDryRun = await pool.query(
+        'SELECT COUNT(*)::int AS count FROM products WHERE manufacturer_id = $1 AND sku = ANY($2)',
+        [manufacturerId, skus]
+      );
+      if (afterDryRun.rows[0].count !== 0) {
+        throw new Error(`Dry run saved ${afterDryRun.rows[0].count} products`);
+      }
+      
+      // 2. The real import keeps quoted commas and quotes inside their fields
+      const importResponse = await axios.post(
+        `${API_BASE_URL}/api/products/imports`,
+        csv,
+        { headers: csvHeaders }
+      );
+      if (importResponse.data.job.created_count !== 2) {
+        throw new Error(`Import created ${importResponse.data.job.created_count} products`);
+      }
+      
+      const imported = await pool.query(
+        `SELECT product_name, description, attributes FROM products
+         WHERE manufacturer_id = $1 AND sku = $2`,
+        [manufacturerId, skus[0]]
+      );
+      const product = imported.rows[0];
+      if (product.product_name !== 'Gum, Mint' || product.description !== 'Says "fresh" on the pack') {
+        throw new Error(`Quoted fields were read as "${product.product_name}" / "${product.description}"`);
+      }
+      if (product.attributes.pieces_per_pack !== 10) {
+        throw new Error(`pieces_per_pack was stored as ${JSON.stringify(product.attributes.pieces_per_pack)}`);
+      }
+      
+      // 3. Unknown columns reject the whole file
+      const unknownResponse = await axios.post(
+        `${API_BASE_URL}/api/products/imports`,
+        `sku,colour\r\n${skus[0]},red\r\n`,
+        { headers: csvHeaders, validateStatus: () => true }
+      );
+      if (unknownResponse.status !== 400 || unknownResponse.data.code !== 'INVALID_IMPORT_FILE' ||
+          unknownResponse.data.unknown_columns.join() !== 'colour') {
+        throw new Error(`Unknown column returned ${unknownResponse.status} ${unknownResponse.data.code}`);
+      }
+      
+      this.addResult(testName, true, `Import job ${importResponse.data.job.id} created ${skus.join(', ')}`);
+    } catch (error) {
+      this.addResult(testName, false, error.message);
+    }
+  }
+
+  async testWebhookSignatures() {
+    const testName = 'Webhook Signatures';
+    try {
+      const secret = 'whsec_test';
+      const body = JSON.stringify({ id: 'evt_test', type: 'product.published', data: { product_id: 1 } });
+      
+      // 1. t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">
+      const header = webhookSignatureHeader(secret, body);
+      const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(header);
+      if (!match) {
+        throw new Error(`Unexpected signature header ${header}`);
+      }
+      
+      const expected = crypto.createHmac('sha256', secret).update(`${match[1]}.${body}`).digest('hex');
+      if (match[2] !== expected) {
+        throw new Error('v1 is not the HMAC of "t.body"');
+      }
+      
+      // 2. Receivers accept it, but not a changed body, another secret or an old timestamp
+      const staleHeader = webhookSignatureHeader(secret, body, Math.floor(Date.now() / 1000) - 3600);
+      if (!verifyWebhookSignature(secret, header, body)) {
+        throw new Error('A fresh signature was refused');
+      }
+      if (verifyWebhookSignature(secret, header, body.replace('1', '2')) ||
+          verifyWebhookSignature('whsec_other', header, body) ||
+          verifyWebhookSignature(secret, staleHeader, body)) {
+        throw new Error('A tampered, wrongly keyed or stale signature was accepted');
+      }
+      
+      // 3. Subscriptions can't point at private addresses, however they are written
+      const { headers } = await ensureTestManufacturer();
+      for (const url of ['http://localhost/hook', 'http://127.0.0.1/hook', 'http://[::ffff:7f00:1]/hook', 'http://10.0.0.5/hook']) {
+        const response = await axios.post(
+          `${API_BASE_URL}/api/webhooks`,
+          { url, event_types: ['product.published'] },
+          { headers, validateStatus: () => true }
+        );
+        if (response.status !== 422 || !response.data.errors.some(error => error.field === 'url')) {
+          throw new Error(`Subscribing ${url} returned ${response.status}`);
+        }
+      }
+      
+      this.addResult(testName, true, 'Signatures verify and private URLs are refused');
+    } catch (error) {
+      this.addResult(testName, false, error.message);
+    }
+  }
+
   addResult(testName, passed, message) {
     this.results.push({
       test: testName,
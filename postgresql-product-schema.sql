@@ -28,16 +28,21 @@ CREATE TABLE product_categories (
     slug VARCHAR(100) NOT NULL UNIQUE,
     parent_id INTEGER REFERENCES product_categories(id) ON DELETE SET NULL,
     attributes_schema JSONB DEFAULT '{}', -- Define required attributes per category
+    compliance_schema JSONB DEFAULT '{}', -- Required compliance_info sections per category
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Insert default categories
-INSERT INTO product_categories (name, slug, attributes_schema) VALUES
-('E-Cigarettes/Vapes', 'vapes', '{"required": ["battery_capacity", "coil_resistance"]}'),
-('Nicotine Pouches', 'pouches', '{"required": ["pouch_count", "pouch_weight"]}'),
-('Lozenges', 'lozenges', '{"required": ["lozenge_count"]}'),
-('Gum', 'gum', '{"required": ["pieces_per_pack"]}'),
-('Patches', 'patches', '{"required": ["patch_size", "duration_hours"]}');
+-- attributes_schema: "required" attribute names, plus optional typed "properties"
+-- rules (type number/integer/string/boolean, min, max, enum, unit)
+-- compliance_schema: "required" compliance_info sections, the unit ingredient
+-- quantities are stated in, and the authorities products can be notified to
+INSERT INTO product_categories (name, slug, attributes_schema, compliance_schema) VALUES
+('E-Cigarettes/Vapes', 'vapes', '{"required": ["battery_capacity", "coil_resistance"], "properties": {"battery_capacity": {"type": "integer", "min": 100, "max": 10000, "unit": "mAh"}, "coil_resistance": {"type": "number", "min": 0.05, "max": 5, "unit": "ohm"}}}', '{"required": ["ingredients", "emissions", "toxicology"], "quantity_unit": "mg/ml", "notifiable": ["EU-CEG", "MHRA"]}'),
+('Nicotine Pouches', 'pouches', '{"required": ["pouch_count", "pouch_weight"], "properties": {"pouch_count": {"type": "integer", "min": 1, "max": 100}, "pouch_weight": {"type": "number", "min": 0.1, "max": 5, "unit": "g"}}}', '{"required": ["ingredients"], "quantity_unit": "mg/pouch"}'),
+('Lozenges', 'lozenges', '{"required": ["lozenge_count"], "properties": {"lozenge_count": {"type": "integer", "min": 1}}}', '{"required": ["ingredients"], "quantity_unit": "mg/lozenge"}'),
+('Gum', 'gum', '{"required": ["pieces_per_pack"], "properties": {"pieces_per_pack": {"type": "integer", "min": 1}}}', '{"required": ["ingredients"], "quantity_unit": "mg/piece"}'),
+('Patches', 'patches', '{"required": ["patch_size", "duration_hours"], "properties": {"patch_size": {"type": "number", "min": 1, "max": 60, "unit": "cm2"}, "duration_hours": {"type": "integer", "enum": [16, 24]}}}', '{"required": ["ingredients"], "quantity_unit": "mg/patch"}');
 
 -- Products master table with JSONB for flexible attributes
 CREATE TABLE products (
@@ -55,7 +60,7 @@ CREATE TABLE products (
     warnings TEXT[],     -- PostgreSQL array type
     images JSONB DEFAULT '[]',  -- Array of {url, alt_text, is_primary}
     attributes JSONB DEFAULT '{}',  -- Category-specific attributes
-    compliance_info JSONB DEFAULT '{}',  -- Regulatory compliance data
+    compliance_info JSONB DEFAULT '{}',  -- Ingredients, emissions, toxicology, notifications; see compliance_schema
     status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'discontinued')),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -67,6 +72,48 @@ CREATE INDEX idx_products_status ON products(status);
 CREATE INDEX idx_products_search ON products USING GIN(to_tsvector('english', product_name || ' ' || COALESCE(description, '') || ' ' || COALESCE(flavor, '')));
 CREATE INDEX idx_products_attributes ON products USING GIN(attributes);
 CREATE INDEX idx_products_nicotine ON products(nicotine_strength) WHERE nicotine_strength IS NOT NULL;
+CREATE INDEX idx_products_name_trgm ON products USING GIN(product_name gin_trgm_ops);
+
+-- Bulk catalogue imports. input_rows is kept until the job finishes so an
+-- interrupted job can resume from processed_rows.
+CREATE TABLE product_import_jobs (
+    id SERIAL PRIMARY KEY,
+    manufacturer_id INTEGER NOT NULL REFERENCES manufacturers(id),
+    wp_user_id INTEGER NOT NULL,
+    source_format VARCHAR(10) NOT NULL CHECK (source_format IN ('csv', 'json')),
+    dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    input_rows JSONB,
+    total_rows INTEGER NOT NULL,
+    processed_rows INTEGER NOT NULL DEFAULT 0,
+    created_count INTEGER NOT NULL DEFAULT 0,
+    updated_count INTEGER NOT NULL DEFAULT 0,
+    unchanged_count INTEGER NOT NULL DEFAULT 0,
+    error_count INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    heartbeat_at TIMESTAMP WITH TIME ZONE,  -- Touched after every chunk; stale running jobs are reclaimed
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_import_jobs_manufacturer ON product_import_jobs(manufacturer_id, created_at DESC);
+CREATE INDEX idx_import_jobs_pending ON product_import_jobs(id) WHERE status IN ('queued', 'running');
+
+-- One row per imported row; product_id stays NULL for dry-run creates
+CREATE TABLE product_import_results (
+    job_id INTEGER NOT NULL REFERENCES product_import_jobs(id) ON DELETE CASCADE,
+    row_number INTEGER NOT NULL,
+    sku VARCHAR(100),
+    action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'unchanged', 'error')),
+    product_id INTEGER REFERENCES products(id),
+    errors JSONB,
+    PRIMARY KEY (job_id, row_number)
+);
+
+CREATE INDEX idx_import_results_action ON product_import_results(job_id, action, row_number);
 
 -- Batch tracking with enhanced traceability
 CREATE TABLE product_batches (
@@ -79,7 +126,7 @@ CREATE TABLE product_batches (
     quantity_produced INTEGER NOT NULL CHECK (quantity_produced > 0),
     quantity_available INTEGER NOT NULL CHECK (quantity_available >= 0),
     lab_test_results JSONB DEFAULT '{}',
-    qr_code_data JSONB DEFAULT '{}',  -- For QR code generation
+    qr_code_data JSONB DEFAULT '{}',  -- Signed QR code: kid, code, url, signed_at
     blockchain_hash VARCHAR(64),  -- For future blockchain integration
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT unique_batch_per_product UNIQUE(product_id, batch_number),
@@ -89,6 +136,48 @@ CREATE TABLE product_batches (
 CREATE INDEX idx_batches_expiry ON product_batches(expiry_date);
 CREATE INDEX idx_batches_available ON product_batches(quantity_available) WHERE quantity_available > 0;
 
+-- Public halves of every key that has signed batch QR codes. Rows are never
+-- deleted, so codes signed before a key rotation keep verifying.
+CREATE TABLE qr_signing_keys (
+    kid VARCHAR(32) PRIMARY KEY,  -- sha256 fingerprint of the public key
+    public_key TEXT NOT NULL,  -- SPKI PEM, Ed25519
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Verified scans of batch QR codes; a count beyond quantity_produced means copied labels
+CREATE TABLE batch_scans (
+    id SERIAL PRIMARY KEY,
+    batch_id INTEGER NOT NULL REFERENCES product_batches(id),
+    kid VARCHAR(32) NOT NULL REFERENCES qr_signing_keys(kid),
+    ip_address INET,
+    client_network CIDR,  -- ip_address, or its IPv6 /48; scans are de-duplicated and rate limited on this
+    user_agent TEXT,
+    scanned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_batch_scans_batch ON batch_scans(batch_id, scanned_at);
+CREATE INDEX idx_batch_scans_network ON batch_scans(client_network, scanned_at);
+
+-- Sale restrictions per jurisdiction, applied at the point of purchase by
+-- the selling retailer's region. A NULL limit means no limit.
+CREATE TABLE jurisdiction_rules (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(10) NOT NULL UNIQUE,  -- e.g. 'GB', 'US-CA'
+    name VARCHAR(100) NOT NULL,
+    minimum_age INTEGER NOT NULL CHECK (minimum_age > 0),
+    max_nicotine_strength DECIMAL(5,2),  -- mg/ml
+    max_volume_ml DECIMAL(10,2),  -- Per unit of e-liquid
+    limited_categories TEXT[] NOT NULL DEFAULT '{vapes}',  -- Category slugs (and subcategories) the caps apply to
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- TPD: 20 mg/ml nicotine cap and 10 ml refill containers
+INSERT INTO jurisdiction_rules (code, name, minimum_age, max_nicotine_strength, max_volume_ml) VALUES
+('GB', 'United Kingdom', 18, 20, 10),
+('EU', 'European Union (TPD)', 18, 20, 10),
+('US', 'United States', 21, NULL, NULL);
+
 -- Retailers with PostGIS location data
 CREATE TABLE retailers (
     id SERIAL PRIMARY KEY,
@@ -99,7 +188,9 @@ CREATE TABLE retailers (
     location GEOGRAPHY(POINT, 4326),  -- PostGIS point type
     phone VARCHAR(20),
     email VARCHAR(255),
-    business_hours JSONB DEFAULT '{}',  -- {monday: {open: "09:00", close: "17:00"}, ...}
+    business_hours JSONB DEFAULT '{}',  -- {monday: {open: "09:00", close: "17:00"}, ...}, local to timezone
+    timezone VARCHAR(64) NOT NULL DEFAULT 'Europe/London',  -- IANA zone name
+    jurisdiction_code VARCHAR(10) REFERENCES jurisdiction_rules(code),  -- Sale rules that apply
     verification_status VARCHAR(20) DEFAULT 'pending' CHECK (verification_status IN ('pending', 'verified', 'suspended')),
     metadata JSONB DEFAULT '{}',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -107,8 +198,21 @@ CREATE TABLE retailers (
 );
 
 CREATE INDEX idx_retailers_location ON retailers USING GIST(location);
+-- Bounding-box map queries compare the geometry cast
+CREATE INDEX idx_retailers_location_geom ON retailers USING GIST((location::geometry));
 CREATE INDEX idx_retailers_status ON retailers(verification_status);
 
+-- WordPress user mapping (entity_id references manufacturers.id or retailers.id)
+CREATE TABLE wp_user_mapping (
+    id SERIAL PRIMARY KEY,
+    wp_user_id INTEGER NOT NULL UNIQUE,
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('consumer', 'manufacturer', 'retailer', 'admin', 'auditor')),
+    entity_id INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_wp_mapping_type ON wp_user_mapping(user_type);
+
 -- Retailer inventory with optimized tracking
 CREATE TABLE retailer_inventory (
     id SERIAL PRIMARY KEY,
@@ -138,13 +242,14 @@ CREATE TABLE product_movements (
     uuid UUID DEFAULT uuid_generate_v4() UNIQUE,
     movement_type VARCHAR(30) NOT NULL CHECK (movement_type IN (
         'manufacture', 'ship_to_retailer', 'sale_to_consumer', 
-        'return', 'disposal', 'recall', 'transfer'
+        'return', 'disposal', 'recall', 'transfer', 'adjustment'
     )),
     product_id INTEGER NOT NULL REFERENCES products(id),
     batch_id INTEGER NOT NULL REFERENCES product_batches(id),
-    from_entity_type VARCHAR(20) NOT NULL CHECK (from_entity_type IN ('manufacturer', 'retailer', 'consumer')),
+    -- 'transit' is stock on a retailer-to-retailer transfer; its entity id is the stock_transfers id
+    from_entity_type VARCHAR(20) NOT NULL CHECK (from_entity_type IN ('manufacturer', 'retailer', 'consumer', 'transit')),
     from_entity_id INTEGER NOT NULL,
-    to_entity_type VARCHAR(20) NOT NULL CHECK (to_entity_type IN ('manufacturer', 'retailer', 'consumer')),
+    to_entity_type VARCHAR(20) NOT NULL CHECK (to_entity_type IN ('manufacturer', 'retailer', 'consumer', 'transit')),
     to_entity_id INTEGER NOT NULL,
     quantity INTEGER NOT NULL CHECK (quantity > 0),
     unit_price DECIMAL(10,2),
@@ -153,13 +258,97 @@ CREATE TABLE product_movements (
     verified_by INTEGER,  -- User who verified the transaction
     verified_at TIMESTAMP WITH TIME ZONE,
     notes TEXT,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    -- Hash chain, set by the chain_product_movements trigger
+    chain_seq BIGINT NOT NULL,
+    prev_hash CHAR(64),
+    batch_prev_hash CHAR(64),
+    row_hash CHAR(64) NOT NULL
 );
 
+CREATE UNIQUE INDEX idx_movements_chain ON product_movements(chain_seq);
+CREATE INDEX idx_movements_batch_chain ON product_movements(batch_id, chain_seq);
 CREATE INDEX idx_movements_batch ON product_movements(batch_id, created_at);
 CREATE INDEX idx_movements_entity ON product_movements(from_entity_type, from_entity_id, created_at);
 CREATE INDEX idx_movements_type ON product_movements(movement_type, created_at);
 
+-- Retailer-to-retailer stock transfers. Stock leaves the source when the
+-- transfer is created and reaches the destination when it is accepted.
+-- Movements go source -> transit -> destination (or back to the source).
+CREATE TABLE stock_transfers (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE,
+    from_retailer_id INTEGER NOT NULL REFERENCES retailers(id),
+    to_retailer_id INTEGER NOT NULL REFERENCES retailers(id),
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    batch_id INTEGER NOT NULL REFERENCES product_batches(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10,2),  -- Source shelf price when the transfer was created
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected', 'cancelled')),
+    notes TEXT,
+    movement_id INTEGER REFERENCES product_movements(id),
+    created_by INTEGER NOT NULL,
+    responded_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT different_retailers CHECK (from_retailer_id <> to_retailer_id)
+);
+
+CREATE INDEX idx_transfers_from ON stock_transfers(from_retailer_id, status);
+CREATE INDEX idx_transfers_to ON stock_transfers(to_retailer_id, status);
+
+-- Batch recalls; at most one open recall per batch
+CREATE TABLE batch_recalls (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE,
+    batch_id INTEGER NOT NULL REFERENCES product_batches(id),
+    reason TEXT NOT NULL,
+    severity VARCHAR(20) NOT NULL CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+    consumer_notice TEXT,  -- Shown publicly on batch trace
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'closed')),
+    initiated_by INTEGER NOT NULL,  -- WordPress user who issued the recall
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX idx_recalls_active_batch ON batch_recalls(batch_id) WHERE status = 'active';
+
+-- Consumer age checks, recorded by a retailer or an identity provider.
+-- Either the date of birth or just the age threshold that was confirmed is kept.
+CREATE TABLE age_verifications (
+    id SERIAL PRIMARY KEY,
+    wp_user_id INTEGER NOT NULL,
+    method VARCHAR(30) NOT NULL CHECK (method IN ('id_document', 'digital_id', 'credit_check', 'in_person')),
+    verifier VARCHAR(255) NOT NULL,  -- Staff member or verification provider
+    verified_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    date_of_birth DATE,
+    age_over INTEGER,
+    recorded_by INTEGER NOT NULL,  -- WordPress user who recorded the check
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT age_evidence CHECK (date_of_birth IS NOT NULL OR age_over IS NOT NULL)
+);
+
+CREATE INDEX idx_age_verifications_user ON age_verifications(wp_user_id, verified_at DESC);
+
+-- Caps on how much one consumer may buy in a rolling window. A rule applies to
+-- sales matching all of its scopes; a NULL scope matches everything. Nicotine
+-- limits count strength x volume_ml for liquids and strength per unit otherwise.
+CREATE TABLE purchase_limit_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    category_id INTEGER REFERENCES product_categories(id),  -- Includes subcategories
+    retailer_id INTEGER REFERENCES retailers(id) ON DELETE CASCADE,
+    jurisdiction_code VARCHAR(10) REFERENCES jurisdiction_rules(code),
+    limit_type VARCHAR(20) NOT NULL CHECK (limit_type IN ('units', 'nicotine_mg')),
+    max_amount DECIMAL(12,2) NOT NULL CHECK (max_amount > 0),
+    window_hours INTEGER NOT NULL CHECK (window_hours > 0),  -- e.g. 24, or 720 for 30 days
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_purchase_limits_scope ON purchase_limit_rules(retailer_id, jurisdiction_code) WHERE is_active = TRUE;
+
 -- Consumer purchases with enhanced tracking
 CREATE TABLE consumer_purchases (
     id SERIAL PRIMARY KEY,
@@ -171,12 +360,77 @@ CREATE TABLE consumer_purchases (
     pos_transaction_id VARCHAR(100),
     payment_method VARCHAR(50),
     total_amount DECIMAL(10,2) NOT NULL,
+    age_verification JSONB,  -- Attestation the sale relied on: method, verifier, verified_at
     ip_address INET,
     user_agent TEXT
 );
 
 CREATE INDEX idx_purchases_user ON consumer_purchases(wp_user_id, purchase_date) WHERE wp_user_id IS NOT NULL;
 CREATE INDEX idx_purchases_retailer ON consumer_purchases(retailer_id, purchase_date);
+-- pos_transaction_id is the POS idempotency key
+CREATE UNIQUE INDEX idx_purchases_pos_transaction ON consumer_purchases(retailer_id, pos_transaction_id)
+    WHERE pos_transaction_id IS NOT NULL;
+
+-- POS credentials for recording purchases; the key itself is only stored hashed
+CREATE TABLE retailer_pos_keys (
+    id SERIAL PRIMARY KEY,
+    retailer_id INTEGER NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+    label VARCHAR(100),
+    key_prefix VARCHAR(20) NOT NULL UNIQUE,
+    key_hash VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- POS inventory syncs; sync_id is the POS's idempotency key
+CREATE TABLE pos_sync_runs (
+    id SERIAL PRIMARY KEY,
+    retailer_id INTEGER NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+    pos_key_id INTEGER REFERENCES retailer_pos_keys(id),
+    sync_id VARCHAR(100),
+    mode VARCHAR(10) NOT NULL CHECK (mode IN ('snapshot', 'delta')),
+    line_count INTEGER NOT NULL,
+    matched_count INTEGER NOT NULL DEFAULT 0,
+    adjusted_count INTEGER NOT NULL DEFAULT 0,
+    held_count INTEGER NOT NULL DEFAULT 0,
+    report JSONB NOT NULL,  -- Reconciliation report as returned to the POS
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_pos_sync_runs_sync_id ON pos_sync_runs(retailer_id, sync_id) WHERE sync_id IS NOT NULL;
+
+-- POS lines that couldn't be applied (unknown SKU or batch, stock below
+-- reservations, ...), kept until the retailer resolves or dismisses them
+CREATE TABLE pos_sync_held_lines (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES pos_sync_runs(id) ON DELETE CASCADE,
+    retailer_id INTEGER NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    sku VARCHAR(100) NOT NULL,
+    batch_number VARCHAR(100) NOT NULL,
+    quantity INTEGER NOT NULL,
+    price DECIMAL(10,2),
+    reason VARCHAR(30) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'dismissed')),
+    resolved_by INTEGER,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    resolution JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_pos_held_pending ON pos_sync_held_lines(retailer_id, created_at) WHERE status = 'pending';
+
+-- A retailer's own POS codes for a batch, learned when a held line is resolved
+CREATE TABLE pos_sku_mappings (
+    retailer_id INTEGER NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+    pos_sku VARCHAR(100) NOT NULL,
+    pos_batch_number VARCHAR(100) NOT NULL,
+    batch_id INTEGER NOT NULL REFERENCES product_batches(id),
+    created_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (retailer_id, pos_sku, pos_batch_number)
+);
 
 -- Purchase items (normalized for better tracking)
 CREATE TABLE purchase_items (
@@ -191,6 +445,39 @@ CREATE TABLE purchase_items (
 );
 
 CREATE INDEX idx_purchase_items_batch ON purchase_items(batch_id);
+CREATE INDEX idx_purchase_items_purchase ON purchase_items(purchase_id);
+
+-- Click-and-collect reservations. Reserved units are held in
+-- retailer_inventory.quantity_reserved until pickup, cancellation or expiry.
+CREATE TABLE reservations (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE,
+    wp_user_id INTEGER NOT NULL,
+    retailer_id INTEGER NOT NULL REFERENCES retailers(id),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'fulfilled', 'cancelled', 'expired')),
+    pickup_by TIMESTAMP WITH TIME ZONE NOT NULL,
+    notes TEXT,
+    cancellation_reason TEXT,
+    purchase_id INTEGER REFERENCES consumer_purchases(id),  -- Set when collected
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    closed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_reservations_retailer ON reservations(retailer_id, status, pickup_by);
+CREATE INDEX idx_reservations_user ON reservations(wp_user_id, created_at);
+CREATE INDEX idx_reservations_open ON reservations(pickup_by) WHERE status IN ('pending', 'confirmed');
+
+CREATE TABLE reservation_items (
+    id SERIAL PRIMARY KEY,
+    reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    batch_id INTEGER NOT NULL REFERENCES product_batches(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10,2) NOT NULL  -- Shelf price when reserved, for display
+);
+
+CREATE INDEX idx_reservation_items_batch ON reservation_items(batch_id);
 
 -- Product reviews and ratings
 CREATE TABLE product_reviews (
@@ -203,12 +490,96 @@ CREATE TABLE product_reviews (
     review TEXT,
     is_verified_purchase BOOLEAN DEFAULT FALSE,
     helpful_count INTEGER DEFAULT 0,
+    -- Flagged reviews stay visible until a moderator approves or hides them;
+    -- editing a flagged or hidden review holds it as pending until moderated again
+    status VARCHAR(20) DEFAULT 'published' CHECK (status IN ('published', 'flagged', 'hidden', 'pending')),
+    flag_count INTEGER DEFAULT 0,
+    moderation_note TEXT,
+    moderated_by INTEGER,
+    moderated_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT one_review_per_user UNIQUE(product_id, wp_user_id)
 );
 
 CREATE INDEX idx_reviews_product ON product_reviews(product_id, rating);
 CREATE INDEX idx_reviews_user ON product_reviews(wp_user_id);
+CREATE INDEX idx_reviews_flagged ON product_reviews(flag_count DESC) WHERE status = 'flagged';
+
+-- One helpful vote and one flag per user per review
+CREATE TABLE review_votes (
+    review_id INTEGER NOT NULL REFERENCES product_reviews(id) ON DELETE CASCADE,
+    wp_user_id INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (review_id, wp_user_id)
+);
+
+CREATE TABLE review_flags (
+    review_id INTEGER NOT NULL REFERENCES product_reviews(id) ON DELETE CASCADE,
+    wp_user_id INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (review_id, wp_user_id)
+);
+
+-- Partner webhook endpoints. secret is the HMAC key, so it is stored as is
+CREATE TABLE webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    partner_type VARCHAR(20) NOT NULL CHECK (partner_type IN ('manufacturer', 'retailer')),
+    partner_id INTEGER NOT NULL,
+    url TEXT NOT NULL,
+    event_types TEXT[] NOT NULL,
+    description TEXT,
+    secret VARCHAR(100) NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,  -- Paused subscriptions keep their deliveries pending
+    created_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_subscriptions_partner ON webhook_subscriptions(partner_type, partner_id);
+CREATE INDEX idx_webhook_subscriptions_events ON webhook_subscriptions USING GIN(event_types) WHERE is_active;
+
+-- Outbox: events are written in the same transaction as the change they describe
+CREATE TABLE webhook_outbox (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE,  -- Event id sent to receivers
+    event_type VARCHAR(50) NOT NULL,
+    recipients JSONB NOT NULL,  -- [{type, id}], id null for every partner of the type
+    data JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per event per subscription; 'dead' rows are the dead-letter list
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL REFERENCES webhook_outbox(id),
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead')),
+    attempt_count INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    replay_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, status, created_at);
+
+CREATE TABLE webhook_delivery_attempts (
+    id SERIAL PRIMARY KEY,
+    delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    attempt_number INTEGER NOT NULL,
+    attempted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    status_code INTEGER,
+    error TEXT,
+    duration_ms INTEGER
+);
+
+CREATE INDEX idx_webhook_attempts_delivery ON webhook_delivery_attempts(delivery_id, attempt_number);
 
 -- Compliance and audit log
 CREATE TABLE compliance_log (
@@ -220,13 +591,18 @@ CREATE TABLE compliance_log (
     event_data JSONB NOT NULL,
     ip_address INET,
     user_agent TEXT,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    -- Hash chain, set by the chain_compliance_log trigger
+    chain_seq BIGINT NOT NULL,
+    prev_hash CHAR(64),
+    row_hash CHAR(64) NOT NULL
 );
 
+CREATE UNIQUE INDEX idx_compliance_chain ON compliance_log(chain_seq);
 CREATE INDEX idx_compliance_event ON compliance_log(event_type, created_at);
 CREATE INDEX idx_compliance_entity ON compliance_log(entity_type, entity_id, created_at);
 
--- Create materialized view for product search (refresh periodically)
+-- Create materialized view for product search (refreshed by the API on change notifications)
 CREATE MATERIALIZED VIEW product_search_view AS
 SELECT 
     p.id,
@@ -238,8 +614,10 @@ SELECT
     p.flavor,
     p.images,
     p.status,
+    p.created_at,
     c.name as category_name,
     c.slug as category_slug,
+    m.id as manufacturer_id,
     m.company_name as manufacturer_name,
     COUNT(DISTINCT r.id) as retailer_count,
     AVG(pr.rating) as average_rating,
@@ -250,20 +628,25 @@ SELECT
         COALESCE(p.flavor, '') || ' ' ||
         m.company_name || ' ' ||
         c.name
-    ) as search_vector
+    ) as search_vector,
+    -- For typo-tolerant matching with pg_trgm
+    p.product_name || ' ' || COALESCE(p.flavor, '') || ' ' || m.company_name || ' ' || c.name as search_text
 FROM products p
 JOIN manufacturers m ON p.manufacturer_id = m.id
 JOIN product_categories c ON p.category_id = c.id
 LEFT JOIN retailer_inventory ri ON p.id = ri.product_id AND ri.is_active = TRUE
 LEFT JOIN retailers r ON ri.retailer_id = r.id AND r.verification_status = 'verified'
-LEFT JOIN product_reviews pr ON p.id = pr.product_id
+LEFT JOIN product_reviews pr ON p.id = pr.product_id AND pr.status IN ('published', 'flagged')
 WHERE p.status = 'active'
+  AND m.verification_status <> 'suspended'
 GROUP BY p.id, p.uuid, p.product_name, p.sku, p.description, 
-         p.nicotine_strength, p.flavor, p.images, p.status,
-         c.name, c.slug, m.company_name;
+         p.nicotine_strength, p.flavor, p.images, p.status, p.created_at,
+         c.name, c.slug, m.id, m.company_name;
 
 CREATE INDEX idx_search_view_vector ON product_search_view USING GIN(search_vector);
 CREATE INDEX idx_search_view_category ON product_search_view(category_slug);
+CREATE INDEX idx_search_view_name_trgm ON product_search_view USING GIN(product_name gin_trgm_ops);
+CREATE INDEX idx_search_view_text_trgm ON product_search_view USING GIN(search_text gin_trgm_ops);
 CREATE UNIQUE INDEX idx_search_view_id ON product_search_view(id);
 
 -- Function to update timestamps
@@ -288,6 +671,240 @@ CREATE TRIGGER update_retailers_updated_at BEFORE UPDATE ON retailers
 CREATE TRIGGER update_inventory_updated_at BEFORE UPDATE ON retailer_inventory
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_jurisdiction_rules_updated_at BEFORE UPDATE ON jurisdiction_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reviews_updated_at BEFORE UPDATE ON product_reviews
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_purchase_limit_rules_updated_at BEFORE UPDATE ON purchase_limit_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Notify the API that product_search_view is out of date. Statement-level,
+-- and NOTIFY is delivered on commit with duplicates folded, so a bulk write
+-- costs one notification.
+CREATE OR REPLACE FUNCTION notify_search_view_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM pg_notify('search_view_changed', TG_TABLE_NAME);
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER products_search_view_change AFTER INSERT OR UPDATE OR DELETE ON products
+    FOR EACH STATEMENT EXECUTE FUNCTION notify_search_view_change();
+
+CREATE TRIGGER manufacturers_search_view_change AFTER INSERT OR UPDATE OR DELETE ON manufacturers
+    FOR EACH STATEMENT EXECUTE FUNCTION notify_search_view_change();
+
+CREATE TRIGGER categories_search_view_change AFTER INSERT OR UPDATE OR DELETE ON product_categories
+    FOR EACH STATEMENT EXECUTE FUNCTION notify_search_view_change();
+
+CREATE TRIGGER retailers_search_view_change AFTER INSERT OR UPDATE OR DELETE ON retailers
+    FOR EACH STATEMENT EXECUTE FUNCTION notify_search_view_change();
+
+CREATE TRIGGER inventory_search_view_change AFTER INSERT OR UPDATE OR DELETE ON retailer_inventory
+    FOR EACH STATEMENT EXECUTE FUNCTION notify_search_view_change();
+
+CREATE TRIGGER reviews_search_view_change AFTER INSERT OR UPDATE OR DELETE ON product_reviews
+    FOR EACH STATEMENT EXECUTE FUNCTION notify_search_view_change();
+
+-- Tamper-evident hash chains over product_movements and compliance_log.
+-- Each row stores sha256 over its contents and the previous row's hash, in
+-- one global chain per table; movements are also chained per batch. Inserts
+-- take an advisory lock so chain_seq is contiguous and links follow commit
+-- order. Timestamps are hashed in UTC so the hash does not depend on the
+-- session TimeZone.
+CREATE OR REPLACE FUNCTION movement_row_hash(m product_movements)
+RETURNS CHAR(64) AS $$
+    SELECT encode(sha256(convert_to(jsonb_build_array(
+        m.id, m.uuid, m.chain_seq, m.movement_type, m.product_id, m.batch_id,
+        m.from_entity_type, m.from_entity_id, m.to_entity_type, m.to_entity_id,
+        m.quantity, m.unit_price, m.transaction_metadata, m.verified_by,
+        m.verified_at AT TIME ZONE 'UTC', m.notes, m.created_at AT TIME ZONE 'UTC',
+        m.prev_hash, m.batch_prev_hash
+    )::text, 'UTF8')), 'hex');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION compliance_row_hash(c compliance_log)
+RETURNS CHAR(64) AS $$
+    SELECT encode(sha256(convert_to(jsonb_build_array(
+        c.id, c.chain_seq, c.event_type, c.entity_type, c.entity_id, c.user_id,
+        c.event_data, host(c.ip_address), c.user_agent, c.created_at AT TIME ZONE 'UTC',
+        c.prev_hash
+    )::text, 'UTF8')), 'hex');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION chain_product_movement()
+RETURNS TRIGGER AS $$
+DECLARE
+    last_row RECORD;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('hash_chain:product_movements'));
+    
+    SELECT chain_seq, row_hash INTO last_row
+    FROM product_movements
+    ORDER BY chain_seq DESC
+    LIMIT 1;
+    
+    NEW.chain_seq := COALESCE(last_row.chain_seq, 0) + 1;
+    NEW.prev_hash := last_row.row_hash;
+    NEW.batch_prev_hash := (
+        SELECT row_hash FROM product_movements
+        WHERE batch_id = NEW.batch_id
+        ORDER BY chain_seq DESC
+        LIMIT 1
+    );
+    NEW.row_hash := movement_row_hash(NEW);
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE FUNCTION chain_compliance_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    last_row RECORD;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('hash_chain:compliance_log'));
+    
+    SELECT chain_seq, row_hash INTO last_row
+    FROM compliance_log
+    ORDER BY chain_seq DESC
+    LIMIT 1;
+    
+    NEW.chain_seq := COALESCE(last_row.chain_seq, 0) + 1;
+    NEW.prev_hash := last_row.row_hash;
+    NEW.row_hash := compliance_row_hash(NEW);
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Both tables are append-only; edits are refused here and detected by verification
+CREATE OR REPLACE FUNCTION refuse_chained_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER chain_product_movements BEFORE INSERT ON product_movements
+    FOR EACH ROW EXECUTE FUNCTION chain_product_movement();
+
+CREATE TRIGGER chain_compliance_log BEFORE INSERT ON compliance_log
+    FOR EACH ROW EXECUTE FUNCTION chain_compliance_event();
+
+CREATE TRIGGER product_movements_append_only BEFORE UPDATE OR DELETE ON product_movements
+    FOR EACH ROW EXECUTE FUNCTION refuse_chained_change();
+
+CREATE TRIGGER compliance_log_append_only BEFORE UPDATE OR DELETE ON compliance_log
+    FOR EACH ROW EXECUTE FUNCTION refuse_chained_change();
+
+-- Re-walk a chain and report the first bad record: 'hash_mismatch' (row edited),
+-- 'missing_record' (gap in chain_seq) or 'broken_link' (the previous record was
+-- removed or rewritten). Batch chains have no contiguous sequence, so a removed
+-- batch record shows up as a broken link.
+-- Pass a batch id to walk that batch's custody chain instead of the global one.
+-- Deleting the newest rows leaves a valid chain, so auditors should keep the
+-- returned head_hash and check later walks still pass through it.
+CREATE OR REPLACE FUNCTION verify_movement_chain(p_batch_id INTEGER DEFAULT NULL)
+RETURNS TABLE (
+    records_checked BIGINT,
+    head_seq BIGINT,
+    head_hash CHAR(64),
+    first_bad_id INTEGER,
+    first_bad_seq BIGINT,
+    problem TEXT
+) AS $$
+    WITH walk AS (
+        SELECT 
+            m.id,
+            m.chain_seq,
+            m.row_hash,
+            m.row_hash IS DISTINCT FROM movement_row_hash(m) as tampered,
+            CASE WHEN p_batch_id IS NULL THEN m.prev_hash ELSE m.batch_prev_hash END as link,
+            lag(m.chain_seq) OVER w as previous_seq,
+            lag(m.row_hash) OVER w as previous_hash,
+            row_number() OVER w as position
+        FROM product_movements m
+        WHERE p_batch_id IS NULL OR m.batch_id = p_batch_id
+        WINDOW w AS (ORDER BY m.chain_seq)
+    ),
+    problems AS (
+        SELECT id, chain_seq,
+            CASE 
+                WHEN tampered THEN 'hash_mismatch'
+                WHEN p_batch_id IS NULL AND chain_seq <> COALESCE(previous_seq, 0) + 1 THEN 'missing_record'
+                WHEN link IS DISTINCT FROM previous_hash THEN 'broken_link'
+            END as problem,
+            position
+        FROM walk
+    ),
+    first_problem AS (
+        SELECT * FROM problems WHERE problem IS NOT NULL ORDER BY position LIMIT 1
+    ),
+    head AS (
+        SELECT chain_seq, row_hash FROM walk ORDER BY position DESC LIMIT 1
+    )
+    SELECT 
+        (SELECT COUNT(*) FROM walk),
+        (SELECT chain_seq FROM head),
+        (SELECT row_hash FROM head),
+        fp.id,
+        fp.chain_seq,
+        fp.problem
+    FROM (SELECT 1) one
+    LEFT JOIN first_problem fp ON TRUE;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION verify_compliance_chain()
+RETURNS TABLE (
+    records_checked BIGINT,
+    head_seq BIGINT,
+    head_hash CHAR(64),
+    first_bad_id INTEGER,
+    first_bad_seq BIGINT,
+    problem TEXT
+) AS $$
+    WITH walk AS (
+        SELECT 
+            c.id,
+            c.chain_seq,
+            c.row_hash,
+            c.row_hash IS DISTINCT FROM compliance_row_hash(c) as tampered,
+            c.prev_hash,
+            lag(c.chain_seq) OVER w as previous_seq,
+            lag(c.row_hash) OVER w as previous_hash,
+            row_number() OVER w as position
+        FROM compliance_log c
+        WINDOW w AS (ORDER BY c.chain_seq)
+    ),
+    problems AS (
+        SELECT id, chain_seq,
+            CASE 
+                WHEN tampered THEN 'hash_mismatch'
+                WHEN chain_seq <> COALESCE(previous_seq, 0) + 1 THEN 'missing_record'
+                WHEN prev_hash IS DISTINCT FROM previous_hash THEN 'broken_link'
+            END as problem,
+            position
+        FROM walk
+    ),
+    first_problem AS (
+        SELECT * FROM problems WHERE problem IS NOT NULL ORDER BY position LIMIT 1
+    ),
+    head AS (
+        SELECT chain_seq, row_hash FROM walk ORDER BY position DESC LIMIT 1
+    )
+    SELECT 
+        (SELECT COUNT(*) FROM walk),
+        (SELECT chain_seq FROM head),
+        (SELECT row_hash FROM head),
+        fp.id,
+        fp.chain_seq,
+        fp.problem
+    FROM (SELECT 1) one
+    LEFT JOIN first_problem fp ON TRUE;
+$$ LANGUAGE sql STABLE;
+
 -- Function for proximity search
 CREATE OR REPLACE FUNCTION find_nearby_retailers(
     user_lat DOUBLE PRECISION,
@@ -316,6 +933,51 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Whether a store is open at a moment, reading business_hours in the store's
+-- timezone. A slot whose close is not after its open runs past midnight (and
+-- open = close means round the clock). NULL when no hours have been set.
+CREATE OR REPLACE FUNCTION retailer_is_open(
+    hours JSONB,
+    tz TEXT,
+    at_time TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    local_ts TIMESTAMP;
+    local_time TIME;
+    today JSONB;
+    yesterday JSONB;
+BEGIN
+    IF hours IS NULL OR hours = '{}'::jsonb THEN
+        RETURN NULL;
+    END IF;
+    
+    local_ts := at_time AT TIME ZONE tz;
+    local_time := local_ts::time;
+    today := hours -> to_char(local_ts, 'FMday');
+    yesterday := hours -> to_char(local_ts - INTERVAL '1 day', 'FMday');
+    
+    IF jsonb_typeof(today) = 'object' THEN
+        IF (today->>'close')::time > (today->>'open')::time THEN
+            IF local_time >= (today->>'open')::time AND local_time < (today->>'close')::time THEN
+                RETURN TRUE;
+            END IF;
+        ELSIF local_time >= (today->>'open')::time THEN
+            RETURN TRUE;
+        END IF;
+    END IF;
+    
+    -- The early hours of yesterday's overnight opening
+    IF jsonb_typeof(yesterday) = 'object'
+        AND (yesterday->>'close')::time <= (yesterday->>'open')::time
+        AND local_time < (yesterday->>'close')::time THEN
+        RETURN TRUE;
+    END IF;
+    
+    RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
 -- Function for batch traceability
 CREATE OR REPLACE FUNCTION get_batch_history(batch_uuid UUID)
 RETURNS TABLE (
@@ -334,11 +996,13 @@ BEGIN
         CASE 
             WHEN pm.from_entity_type = 'manufacturer' THEN m1.company_name
             WHEN pm.from_entity_type = 'retailer' THEN r1.store_name
+            WHEN pm.from_entity_type = 'transit' THEN 'In transit (transfer #' || pm.from_entity_id || ')'
             ELSE 'Consumer #' || pm.from_entity_id
         END as from_entity,
         CASE 
             WHEN pm.to_entity_type = 'manufacturer' THEN m2.company_name
             WHEN pm.to_entity_type = 'retailer' THEN r2.store_name
+            WHEN pm.to_entity_type = 'transit' THEN 'In transit (transfer #' || pm.to_entity_id || ')'
             ELSE 'Consumer #' || pm.to_entity_id
         END as to_entity,
         pm.quantity,
@@ -148,6 +148,38 @@ class QuitOS_Product_Database {
         return $base64Header . "." . $base64Payload . "." . $base64Signature;
     }
     
+    // Category tree from the product API, cached for a few minutes
+    private function get_categories() {
+        $categories = get_transient('quitos_categories');
+        
+        if ($categories === false) {
+            $response = wp_remote_get($this->api_base_url . '/api/categories');
+            
+            if (is_wp_error($response)) {
+                return array();
+            }
+            
+            $body = json_decode(wp_remote_retrieve_body($response), true);
+            $categories = isset($body['categories']) ? $body['categories'] : array();
+            set_transient('quitos_categories', $categories, 10 * MINUTE_IN_SECONDS);
+        }
+        
+        return $categories;
+    }
+    
+    // Print <option>s for a category tree, indenting subcategories
+    private function render_category_options($categories, $value_field, $depth = 0) {
+        foreach ($categories as $category) {
+            printf(
+                '<option value="%s">%s%s</option>',
+                esc_attr($category[$value_field]),
+                str_repeat('&nbsp;&nbsp;', $depth),
+                esc_html($category['name'])
+            );
+            $this->render_category_options($category['children'], $value_field, $depth + 1);
+        }
+    }
+    
     // Manufacturer product upload interface
     public function render_product_upload() {
         if (!is_user_logged_in() || get_user_meta(get_current_user_id(), 'user_type', true) !== 'manufacturer') {
@@ -173,11 +205,7 @@ class QuitOS_Product_Database {
                     <label>Category *</label>
                     <select name="category_id" required class="form-control">
                         <option value="">Select Category</option>
-                        <option value="1">E-Cigarettes/Vapes</option>
-                        <option value="2">Nicotine Pouches</option>
-                        <option value="3">Lozenges</option>
-                        <option value="4">Gum</option>
-                        <option value="5">Patches</option>
+                        <?php $this->render_category_options($this->get_categories(), 'id'); ?>
                     </select>
                 </div>
                 
@@ -350,15 +378,13 @@ class QuitOS_Product_Database {
             <div id="search-filters">
                 <select id="category-filter">
                     <option value="">All Categories</option>
-                    <option value="vapes">E-Cigarettes/Vapes</option>
-                    <option value="pouches">Nicotine Pouches</option>
-                    <option value="lozenges">Lozenges</option>
-                    <option value="gum">Gum</option>
-                    <option value="patches">Patches</option>
+                    <?php $this->render_category_options($this->get_categories(), 'slug'); ?>
                 </select>
                 
                 <input type="range" id="radius-filter" min="1" max="50" value="10" />
                 <span id="radius-value">10 km</span>
+                
+                <label><input type="checkbox" id="open-now-filter" /> Open now</label>
             </div>
             
             <div id="search-results"></div>
@@ -389,6 +415,8 @@ class QuitOS_Product_Database {
                 }
             });
             
+            $('#open-now-filter').on('change', performSearch);
+            
             $('#radius-filter').on('input', function() {
                 $('#radius-value').text($(this).val() + ' km');
             });
@@ -400,7 +428,8 @@ class QuitOS_Product_Database {
                 const params = {
                     q: query,
                     category: $('#category-filter').val(),
-                    radius: $('#radius-filter').val()
+                    radius: $('#radius-filter').val(),
+                    open_now: $('#open-now-filter').is(':checked') ? 'true' : ''
                 };
                 
                 if (userLocation) {
@@ -441,6 +470,7 @@ class QuitOS_Product_Database {
                                 <p>${retailer.address}</p>
                                 <p class="price">$${retailer.price}</p>
                                 <p class="stock-status">${retailer.in_stock ? 'In Stock' : 'Out of Stock'}</p>
+                                <p class="open-status">${openStatus(retailer)}</p>
                                 <button class="trace-btn" 
                                         onclick="traceBatch('${retailer.batch_info.batch_number}')">
                                     Trace Product
@@ -455,6 +485,12 @@ class QuitOS_Product_Database {
                 $('#search-results').html(html);
             }
             
+            // open_now is null for stores that haven't published opening hours
+            function openStatus(retailer) {
+                if (retailer.open_now === null || retailer.open_now === undefined) return 'Opening hours unknown';
+                return retailer.open_now ? 'Open now' : 'Closed now';
+            }
+            
             function displayMap(products) {
                 $('#product-map').show();
                 
@@ -492,6 +528,7 @@ class QuitOS_Product_Database {
                                 .bindPopup(`
                                     <strong>${retailer.store_name}</strong><br>
                                     ${retailer.address}<br>
+                                    ${openStatus(retailer)}<br>
                                     <a href="https://maps.google.com/?q=${retailer.latitude},${retailer.longitude}" 
                                        target="_blank">Get Directions</a>
                                 `);
@@ -554,10 +591,15 @@ class QuitOS_Product_Database {
     }
     
     public function handle_search($request) {
+        $location = $request->get_param('location');
+        
         $params = array(
             'q' => $request->get_param('q'),
-            'location' => $request->get_param('location'),
-            'radius' => $request->get_param('radius') ?: 10
+            'category' => $request->get_param('category'),
+            'lat' => isset($location['lat']) ? $location['lat'] : null,
+            'lng' => isset($location['lng']) ? $location['lng'] : null,
+            'radius' => $request->get_param('radius') ?: 10,
+            'open_now' => $request->get_param('open_now')
         );
         
         $query_string = http_build_query($params);
@@ -2,13 +2,22 @@
 // Using Node.js/Express with PostgreSQL
 
 const express = require('express');
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const QRCode = require('qrcode');
+const { webhookSignatureHeader } = require('./webhook-signature');
 const app = express();
 
 // Middleware
+// Bulk imports get larger bodies, and CSV; registered first so the default parser skips them
+app.use('/api/products/imports', express.json({ limit: '20mb' }), express.text({ type: 'text/csv', limit: '20mb' }));
 app.use(express.json());
 
 // Parse CORS origins from environment variable
@@ -41,8 +50,8 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-WP-Nonce'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-WP-Nonce', 'X-POS-Key'],
   optionsSuccessStatus: 200
 };
 
@@ -52,9 +61,13 @@ app.use(cors(corsOptions));
 // Kinsta internal connections don't use SSL
 const isKinstaInternal = process.env.DATABASE_URL && process.env.DATABASE_URL.includes('.svc.cluster.local');
 
-const pool = new Pool({
+const connectionConfig = {
   connectionString: process.env.DATABASE_URL,
   ssl: isKinstaInternal ? false : { rejectUnauthorized: false },
+};
+
+const pool = new Pool({
+  ...connectionConfig,
   max: 20,
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 2000,
@@ -69,8 +82,10 @@ pool.query('SELECT NOW()', (err, res) => {
   }
 });
 
-// Middleware for WordPress authentication
-const authenticateWPUser = async (req, res, next) => {
+// Middleware for WordPress token verification. Unlike authenticateWPUser it
+// lets through users with no wp_user_mapping row yet (req.user.type is null),
+// which is what partner onboarding needs.
+const verifyWPToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
   
   if (!token) {
@@ -87,13 +102,9 @@ const authenticateWPUser = async (req, res, next) => {
       [decoded.user_id]
     );
     
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'User not found' });
-    }
-    
     req.user = {
       id: decoded.user_id,
-      type: userResult.rows[0].user_type
+      type: userResult.rows.length > 0 ? userResult.rows[0].user_type : null
     };
     
     next();
@@ -103,10 +114,459 @@ const authenticateWPUser = async (req, res, next) => {
   }
 };
 
-// Manufacturer endpoints
-app.post('/api/products', authenticateWPUser, async (req, res) => {
-  if (req.user.type !== 'manufacturer') {
-    return res.status(403).json({ error: 'Only manufacturers can add products' });
+// Middleware for WordPress authentication
+const authenticateWPUser = (req, res, next) => {
+  verifyWPToken(req, res, () => {
+    if (!req.user.type) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    
+    next();
+  });
+};
+
+// Middleware for admin-only endpoints
+const requireAdmin = (req, res, next) => {
+  authenticateWPUser(req, res, () => {
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    next();
+  });
+};
+
+// Middleware for read-only audit endpoints: admins and regulator auditors
+const requireAuditor = (req, res, next) => {
+  authenticateWPUser(req, res, () => {
+    if (req.user.type !== 'admin' && req.user.type !== 'auditor') {
+      return res.status(403).json({ error: 'Admin or auditor access required' });
+    }
+    
+    next();
+  });
+};
+
+// Error with an HTTP status, thrown inside transactions so the catch block
+// can roll back and still answer with the right status. details are extra
+// response fields, e.g. a per-field error list.
+class ApiError extends Error {
+  constructor(status, message, code, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const sendApiError = (res, error) => {
+  res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+};
+
+const PARTNER_TABLES = {
+  manufacturer: 'manufacturers',
+  retailer: 'retailers'
+};
+
+// Look up the caller's manufacturer/retailer id, refusing suspended partners
+const getActivePartnerId = async (client, partnerType, wpUserId) => {
+  const label = partnerType === 'manufacturer' ? 'Manufacturer' : 'Retailer';
+  const result = await client.query(
+    `SELECT id, verification_status FROM ${PARTNER_TABLES[partnerType]} WHERE wp_user_id = $1`,
+    [wpUserId]
+  );
+  
+  if (result.rows.length === 0) {
+    throw new ApiError(404, `${label} not found`);
+  }
+  
+  if (result.rows[0].verification_status === 'suspended') {
+    throw new ApiError(403, `${label} account is suspended`, 'PARTNER_SUSPENDED');
+  }
+  
+  return result.rows[0].id;
+};
+
+// Search view refresh scheduling. Triggers on the tables behind
+// product_search_view NOTIFY 'search_view_changed'; notifications are
+// coalesced into at most one refresh per interval and refreshes never overlap.
+const SEARCH_REFRESH_INTERVAL_MS = parseInt(process.env.SEARCH_REFRESH_INTERVAL_MS, 10) || 30 * 1000;
+const SEARCH_LISTENER_RETRY_MS = 30 * 1000;
+
+const searchViewState = {
+  listening: false,
+  dirtySince: null,      // oldest change not yet reflected in the view
+  lastAttemptAt: null,
+  lastRefreshedAt: null,
+  lastDurationMs: null,
+  lastError: null,
+  running: null,
+  timer: null
+};
+
+const refreshSearchView = () => {
+  const state = searchViewState;
+  
+  // Callers arriving mid-refresh share it; changes made meanwhile stay dirty
+  if (state.running) {
+    return state.running;
+  }
+  
+  clearTimeout(state.timer);
+  state.timer = null;
+  
+  const startedAt = new Date();
+  const pendingSince = state.dirtySince;
+  state.dirtySince = null;
+  state.lastAttemptAt = startedAt;
+  
+  state.running = pool.query('REFRESH MATERIALIZED VIEW CONCURRENTLY product_search_view')
+    .then(() => {
+      state.lastRefreshedAt = startedAt;
+      state.lastDurationMs = Date.now() - startedAt.getTime();
+      state.lastError = null;
+    })
+    .catch(error => {
+      state.lastError = error.message;
+      state.dirtySince = pendingSince || state.dirtySince || startedAt;
+      throw error;
+    })
+    .finally(() => {
+      state.running = null;
+      if (state.dirtySince) {
+        scheduleSearchViewRefresh();
+      }
+    });
+  
+  return state.running;
+};
+
+const scheduleSearchViewRefresh = () => {
+  const state = searchViewState;
+  
+  if (!state.dirtySince) {
+    state.dirtySince = new Date();
+  }
+  
+  // A running refresh reschedules itself when it finishes
+  if (state.timer || state.running) {
+    return;
+  }
+  
+  const lastAttempt = state.lastAttemptAt ? state.lastAttemptAt.getTime() : 0;
+  const wait = Math.max(0, lastAttempt + SEARCH_REFRESH_INTERVAL_MS - Date.now());
+  
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    refreshSearchView().catch(error => console.error('Refresh error:', error));
+  }, wait);
+  state.timer.unref();
+};
+
+// LISTEN needs a dedicated connection rather than a pooled one
+const listenForSearchViewChanges = async () => {
+  const listener = new Client(connectionConfig);
+  let failed = false;
+  
+  const retry = error => {
+    if (failed) return;
+    failed = true;
+    searchViewState.listening = false;
+    console.error('Search view listener error:', error.message);
+    listener.end().catch(() => {});
+    setTimeout(listenForSearchViewChanges, SEARCH_LISTENER_RETRY_MS).unref();
+  };
+  
+  listener.on('error', retry);
+  listener.on('end', () => retry(new Error('Connection closed')));
+  listener.on('notification', () => scheduleSearchViewRefresh());
+  
+  try {
+    await listener.connect();
+    await listener.query('LISTEN search_view_changed');
+    searchViewState.listening = true;
+    // Changes may have been missed while not listening
+    scheduleSearchViewRefresh();
+  } catch (error) {
+    retry(error);
+  }
+};
+
+listenForSearchViewChanges();
+
+const searchViewHealth = () => {
+  const state = searchViewState;
+  const secondsSince = date => date ? Math.round((Date.now() - date.getTime()) / 1000) : null;
+  
+  return {
+    listening: state.listening,
+    refreshing: state.running !== null,
+    refresh_interval_seconds: SEARCH_REFRESH_INTERVAL_MS / 1000,
+    last_refreshed_at: state.lastRefreshedAt,
+    last_refresh_ms: state.lastDurationMs,
+    pending_changes_since: state.dirtySince,
+    stale_seconds: state.dirtySince ? secondsSince(state.dirtySince) : 0,
+    last_error: state.lastError
+  };
+};
+
+// Write a compliance_log row as part of the caller's transaction
+const logComplianceEvent = (client, req, eventType, entityType, entityId, eventData) => {
+  return client.query(
+    `INSERT INTO compliance_log 
+     (event_type, entity_type, entity_id, user_id, event_data, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      eventType,
+      entityType,
+      entityId,
+      req.user ? req.user.id : null,
+      JSON.stringify(eventData),
+      req.ip,
+      req.get('user-agent')
+    ]
+  );
+};
+
+// Write a product_movements row as part of the caller's transaction
+const recordMovement = (client, movement) => {
+  return client.query(
+    `INSERT INTO product_movements 
+     (movement_type, product_id, batch_id, from_entity_type, from_entity_id,
+      to_entity_type, to_entity_id, quantity, unit_price, transaction_metadata, notes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING id, uuid`,
+    [
+      movement.movement_type,
+      movement.product_id,
+      movement.batch_id,
+      movement.from_entity_type,
+      movement.from_entity_id,
+      movement.to_entity_type,
+      movement.to_entity_id,
+      movement.quantity,
+      movement.unit_price || null,
+      JSON.stringify(movement.transaction_metadata || {}),
+      movement.notes || null
+    ]
+  );
+};
+
+// Queue a webhook event in the caller's transaction (the outbox), with a
+// delivery for each active subscription that wants it. recipients are
+// { type, id } partners; a null id means every partner of that type.
+const queueWebhookEvent = async (client, eventType, recipients, data) => {
+  const eventResult = await client.query(
+    `INSERT INTO webhook_outbox (event_type, recipients, data)
+     VALUES ($1, $2, $3)
+     RETURNING id`,
+    [eventType, JSON.stringify(recipients), JSON.stringify(data)]
+  );
+  
+  await client.query(
+    `INSERT INTO webhook_deliveries (event_id, subscription_id)
+     SELECT DISTINCT $1::int, ws.id
+     FROM webhook_subscriptions ws
+     JOIN jsonb_to_recordset($2::jsonb) AS r(type TEXT, id INTEGER)
+       ON ws.partner_type = r.type AND (r.id IS NULL OR ws.partner_id = r.id)
+     WHERE ws.is_active AND $3 = ANY(ws.event_types)`,
+    [eventResult.rows[0].id, JSON.stringify(recipients), eventType]
+  );
+};
+
+// Close the open reservations matching condition (SQL on alias rs, whose
+// parameters start at $2) and put the units they hold back on sale.
+// Returns the ids of the closed reservations.
+const releaseReservations = async (client, status, condition, params = []) => {
+  const result = await client.query(
+    `WITH closed AS (
+       UPDATE reservations rs
+       SET status = $1, closed_at = CURRENT_TIMESTAMP
+       WHERE rs.status IN ('pending', 'confirmed') AND ${condition}
+       RETURNING rs.id, rs.retailer_id
+     ),
+     held AS (
+       SELECT c.retailer_id, i.batch_id, SUM(i.quantity) as quantity
+       FROM closed c
+       JOIN reservation_items i ON i.reservation_id = c.id
+       GROUP BY c.retailer_id, i.batch_id
+     ),
+     released AS (
+       UPDATE retailer_inventory ri
+       SET quantity_reserved = ri.quantity_reserved - held.quantity
+       FROM held
+       WHERE ri.retailer_id = held.retailer_id AND ri.batch_id = held.batch_id
+     )
+     SELECT id FROM closed`,
+    [status, ...params]
+  );
+  
+  return result.rows.map(row => row.id);
+};
+
+// Selling price of a stock row: the discount price when it is lower
+const shelfPrice = (stock) => {
+  const price = parseFloat(stock.price);
+  const discountPrice = stock.discount_price !== null ? parseFloat(stock.discount_price) : null;
+  return discountPrice !== null && discountPrice < price ? discountPrice : price;
+};
+
+// Partner profile validation
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// business_hours is {monday: {open: "09:00", close: "17:00"}, ...}; a null day means closed
+const validateBusinessHours = (hours) => {
+  if (typeof hours !== 'object' || hours === null || Array.isArray(hours)) {
+    return 'business_hours must be an object keyed by weekday';
+  }
+  
+  for (const [day, slot] of Object.entries(hours)) {
+    if (!WEEKDAYS.includes(day)) {
+      return `Unknown weekday in business_hours: ${day}`;
+    }
+    if (slot === null) {
+      continue;
+    }
+    if (typeof slot !== 'object' || !TIME_PATTERN.test(slot.open) || !TIME_PATTERN.test(slot.close)) {
+      return `business_hours.${day} needs open and close times as HH:MM`;
+    }
+  }
+  
+  return null;
+};
+
+// IANA zone names such as Europe/London; opening hours are local to the store
+const isValidTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return typeof timezone === 'string';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Returns { lat, lng }, null when no location was sent, or an error string
+const parseLocation = (location) => {
+  if (location === undefined || location === null) {
+    return null;
+  }
+  
+  const lat = parseFloat(location.lat);
+  const lng = parseFloat(location.lng);
+  
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return 'location must be {lat, lng} with valid coordinates';
+  }
+  
+  return { lat, lng };
+};
+
+const validateRetailerProfile = (body) => {
+  if (body.business_hours !== undefined) {
+    const hoursError = validateBusinessHours(body.business_hours);
+    if (hoursError) {
+      return hoursError;
+    }
+  }
+  
+  if (body.timezone !== undefined && !isValidTimeZone(body.timezone)) {
+    return 'timezone must be an IANA time zone such as Europe/London';
+  }
+  
+  const location = parseLocation(body.location);
+  if (typeof location === 'string') {
+    return location;
+  }
+  
+  return null;
+};
+
+// A partner may only onboard their own WordPress account; admins may onboard anyone
+const resolveOnboardingUserId = (req) => {
+  const wpUserId = parseInt(req.body.wp_user_id || req.user.id);
+  return wpUserId === parseInt(req.user.id) || req.user.type === 'admin' ? wpUserId : null;
+};
+
+// A WP user keeps the type it was first mapped as; onboarding a consumer,
+// admin, auditor or the other partner type is refused, not overwritten
+const assertPartnerTypeUnchanged = async (client, wpUserId, userType) => {
+  const result = await client.query(
+    `SELECT user_type FROM wp_user_mapping WHERE wp_user_id = $1 FOR UPDATE`,
+    [wpUserId]
+  );
+  const existingType = result.rows[0]?.user_type;
+  
+  if (existingType && existingType !== userType) {
+    throw new ApiError(409, `User is already registered as a ${existingType}`, 'USER_TYPE_CONFLICT');
+  }
+};
+
+// Points the WP user at the partner row. The row was locked by
+// assertPartnerTypeUnchanged, so a skipped update means the type changed under us.
+const upsertPartnerMapping = async (client, wpUserId, userType, entityId) => {
+  const result = await client.query(
+    `INSERT INTO wp_user_mapping (wp_user_id, user_type, entity_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (wp_user_id) DO UPDATE SET
+       entity_id = EXCLUDED.entity_id
+     WHERE wp_user_mapping.user_type = EXCLUDED.user_type`,
+    [wpUserId, userType, entityId]
+  );
+  
+  if (result.rowCount === 0) {
+    throw new ApiError(409, 'User is already registered with another type', 'USER_TYPE_CONFLICT');
+  }
+};
+
+// Profile fields compared for the compliance_log diff on updates
+const MANUFACTURER_PROFILE_FIELDS = [
+  'company_name', 'license_number', 'address', 'contact_email', 'verification_status', 'metadata'
+];
+const RETAILER_PROFILE_FIELDS = [
+  'store_name', 'license_number', 'address', 'latitude', 'longitude', 'phone', 'email',
+  'business_hours', 'timezone', 'jurisdiction_code', 'verification_status', 'metadata'
+];
+
+const fetchManufacturerProfile = async (client, wpUserId) => {
+  const result = await client.query(
+    `SELECT id, wp_user_id, company_name, license_number, address, contact_email,
+            verification_status, metadata, created_at, updated_at
+     FROM manufacturers
+     WHERE wp_user_id = $1`,
+    [wpUserId]
+  );
+  
+  return result.rows[0] || null;
+};
+
+const fetchRetailerProfile = async (client, wpUserId) => {
+  const result = await client.query(
+    `SELECT id, wp_user_id, store_name, license_number, address,
+            ST_Y(location::geometry) as latitude,
+            ST_X(location::geometry) as longitude,
+            phone, email, business_hours, timezone, jurisdiction_code, verification_status, metadata,
+            created_at, updated_at
+     FROM retailers
+     WHERE wp_user_id = $1`,
+    [wpUserId]
+  );
+  
+  return result.rows[0] || null;
+};
+
+// Partner onboarding endpoints (called by the WP plugin's sync_user_with_product_db)
+app.post('/api/manufacturers', verifyWPToken, async (req, res) => {
+  const wpUserId = resolveOnboardingUserId(req);
+  
+  if (!wpUserId) {
+    return res.status(403).json({ error: 'Cannot register a profile for another user' });
+  }
+  
+  const { company_name, license_number, address, contact_email } = req.body;
+  
+  if (!company_name) {
+    return res.status(400).json({ error: 'company_name is required' });
   }
   
   const client = await pool.connect();
@@ -114,770 +574,8764 @@ app.post('/api/products', authenticateWPUser, async (req, res) => {
   try {
     await client.query('BEGIN');
     
-    // Get manufacturer ID
+    await assertPartnerTypeUnchanged(client, wpUserId, 'manufacturer');
+    
+    // Re-saving a WP profile updates the existing row
     const manufacturerResult = await client.query(
-      'SELECT id FROM manufacturers WHERE wp_user_id = $1',
-      [req.user.id]
+      `INSERT INTO manufacturers (wp_user_id, company_name, license_number, address, contact_email)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (wp_user_id) DO UPDATE SET
+         company_name = EXCLUDED.company_name,
+         license_number = COALESCE(EXCLUDED.license_number, manufacturers.license_number),
+         address = COALESCE(EXCLUDED.address, manufacturers.address),
+         contact_email = COALESCE(EXCLUDED.contact_email, manufacturers.contact_email),
+         -- A new license number has to be reviewed again
+         verification_status = CASE
+           WHEN manufacturers.verification_status = 'verified'
+             AND EXCLUDED.license_number IS DISTINCT FROM manufacturers.license_number
+             AND EXCLUDED.license_number IS NOT NULL
+           THEN 'pending'
+           ELSE manufacturers.verification_status
+         END
+       RETURNING id, (xmax = 0) as inserted`,
+      [wpUserId, company_name, license_number || null, address || null, contact_email || null]
     );
     
-    if (manufacturerResult.rows.length === 0) {
-      throw new Error('Manufacturer not found');
-    }
-    
-    const manufacturerId = manufacturerResult.rows[0].id;
+    const { id: manufacturerId, inserted } = manufacturerResult.rows[0];
     
-    // Insert product
-    const {
-      product_name,
-      sku,
-      category_id,
-      description,
-      nicotine_strength,
-      volume_ml,
-      flavor,
-      ingredients,
-      warnings,
-      images,
-      attributes
-    } = req.body;
+    await upsertPartnerMapping(client, wpUserId, 'manufacturer', manufacturerId);
     
-    const productResult = await client.query(
-      `INSERT INTO products 
-       (manufacturer_id, category_id, product_name, sku, description, 
-        nicotine_strength, volume_ml, flavor, ingredients, warnings, 
-        images, attributes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-       RETURNING id, uuid`,
-      [
-        manufacturerId,
-        category_id,
-        product_name,
-        sku,
-        description,
-        nicotine_strength,
-        volume_ml,
-        flavor,
-        ingredients || [],
-        warnings || [],
-        JSON.stringify(images || []),
-        JSON.stringify(attributes || {})
-      ]
+    await logComplianceEvent(
+      client, req,
+      inserted ? 'manufacturer_registered' : 'manufacturer_profile_updated',
+      'manufacturer', manufacturerId, req.body
     );
     
-    // Log compliance event
-    await client.query(
-      `INSERT INTO compliance_log 
-       (event_type, entity_type, entity_id, user_id, event_data, ip_address, user_agent)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-      [
-        'product_created',
-        'product',
-        productResult.rows[0].id,
-        req.user.id,
-        JSON.stringify(req.body),
-        req.ip,
-        req.get('user-agent')
-      ]
-    );
+    const profile = await fetchManufacturerProfile(client, wpUserId);
     
     await client.query('COMMIT');
     
-    res.json({
+    res.status(inserted ? 201 : 200).json({
       success: true,
-      product_id: productResult.rows[0].id,
-      product_uuid: productResult.rows[0].uuid,
-      message: 'Product created successfully'
+      manufacturer: profile,
+      message: inserted ? 'Manufacturer registered successfully' : 'Manufacturer updated successfully'
     });
     
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Product creation error:', error);
-    res.status(500).json({ error: 'Failed to create product' });
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Manufacturer onboarding error:', error);
+    res.status(500).json({ error: 'Failed to register manufacturer' });
   } finally {
     client.release();
   }
 });
 
-// Add batch for product
-app.post('/api/products/:productId/batches', authenticateWPUser, async (req, res) => {
-  const { productId } = req.params;
-  const {
-    batch_number,
-    manufacture_date,
-    expiry_date,
-    quantity_produced,
-    lab_test_results
-  } = req.body;
+app.get('/api/manufacturers/me', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'manufacturer') {
+    return res.status(403).json({ error: 'Only manufacturers can access this endpoint' });
+  }
+  
+  try {
+    const profile = await fetchManufacturerProfile(pool, req.user.id);
+    
+    if (!profile) {
+      return res.status(404).json({ error: 'Manufacturer not found' });
+    }
+    
+    res.json({ success: true, manufacturer: profile });
+  } catch (error) {
+    console.error('Error fetching manufacturer:', error);
+    res.status(500).json({ error: 'Failed to fetch manufacturer' });
+  }
+});
+
+app.put('/api/manufacturers/me', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'manufacturer') {
+    return res.status(403).json({ error: 'Only manufacturers can access this endpoint' });
+  }
   
+  const { company_name, license_number, address, contact_email, metadata } = req.body;
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
     
-    // Verify ownership
-    const productResult = await client.query(
-      `SELECT p.id, p.manufacturer_id 
-       FROM products p 
-       JOIN manufacturers m ON p.manufacturer_id = m.id 
-       WHERE p.id = $1 AND m.wp_user_id = $2`,
-      [productId, req.user.id]
-    );
-    
-    if (productResult.rows.length === 0) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
+    const before = await fetchManufacturerProfile(client, req.user.id);
     
-    // Insert batch
-    const batchResult = await client.query(
-      `INSERT INTO product_batches 
-       (product_id, batch_number, manufacture_date, expiry_date, 
-        quantity_produced, quantity_available, lab_test_results)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, uuid`,
+    const updateResult = await client.query(
+      `UPDATE manufacturers SET
+         company_name = COALESCE($2, company_name),
+         license_number = COALESCE($3, license_number),
+         verification_status = CASE
+           WHEN verification_status = 'verified' AND $3 IS NOT NULL AND $3 IS DISTINCT FROM license_number
+           THEN 'pending'
+           ELSE verification_status
+         END,
+         address = COALESCE($4, address),
+         contact_email = COALESCE($5, contact_email),
+         metadata = COALESCE($6, metadata)
+       WHERE wp_user_id = $1
+       RETURNING id`,
       [
-        productId,
-        batch_number,
-        manufacture_date,
-        expiry_date,
-        quantity_produced,
-        quantity_produced, // Initially all available
-        JSON.stringify(lab_test_results || {})
+        req.user.id,
+        company_name || null,
+        license_number || null,
+        address || null,
+        contact_email || null,
+        metadata ? JSON.stringify(metadata) : null
       ]
     );
     
-    // Record movement
-    await client.query(
-      `INSERT INTO product_movements 
-       (movement_type, product_id, batch_id, from_entity_type, from_entity_id,
-        to_entity_type, to_entity_id, quantity)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-      [
-        'manufacture',
-        productId,
-        batchResult.rows[0].id,
-        'manufacturer',
-        productResult.rows[0].manufacturer_id,
-        'manufacturer',
-        productResult.rows[0].manufacturer_id,
-        quantity_produced
-      ]
+    if (updateResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Manufacturer not found' });
+    }
+    
+    const profile = await fetchManufacturerProfile(client, req.user.id);
+    
+    await logComplianceEvent(
+      client, req, 'manufacturer_profile_updated', 'manufacturer', profile.id,
+      diffRows(before, profile, MANUFACTURER_PROFILE_FIELDS)
     );
     
     await client.query('COMMIT');
     
-    res.json({
-      success: true,
-      batch_id: batchResult.rows[0].id,
-      batch_uuid: batchResult.rows[0].uuid,
+    res.json({ success: true, manufacturer: profile });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Manufacturer update error:', error);
+    res.status(500).json({ error: 'Failed to update manufacturer' });
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/api/retailers', verifyWPToken, async (req, res) => {
+  const wpUserId = resolveOnboardingUserId(req);
+  
+  if (!wpUserId) {
+    return res.status(403).json({ error: 'Cannot register a profile for another user' });
+  }
+  
+  // The WP plugin sends company_name/contact_email for both partner types
+  const store_name = req.body.store_name || req.body.company_name;
+  const email = req.body.email || req.body.contact_email;
+  const { license_number, address, phone, business_hours, timezone, jurisdiction_code } = req.body;
+  
+  if (!store_name) {
+    return res.status(400).json({ error: 'store_name is required' });
+  }
+  
+  const validationError = validateRetailerProfile(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const location = parseLocation(req.body.location);
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    await assertPartnerTypeUnchanged(client, wpUserId, 'retailer');
+    
+    // Re-saving a WP profile updates the existing row; fields the plugin
+    // doesn't send (location, hours) are left as they were
+    const retailerResult = await client.query(
+      `INSERT INTO retailers 
+       (wp_user_id, store_name, license_number, address, location, phone, email, business_hours,
+        jurisdiction_code, timezone)
+       VALUES ($1, $2, $3, $4, ST_MakePoint($6::float8, $5::float8)::geography, $7, $8,
+               COALESCE($9::jsonb, '{}'), $10, COALESCE($11, 'Europe/London'))
+       ON CONFLICT (wp_user_id) DO UPDATE SET
+         store_name = EXCLUDED.store_name,
+         license_number = COALESCE(EXCLUDED.license_number, retailers.license_number),
+         address = COALESCE(EXCLUDED.address, retailers.address),
+         location = COALESCE(EXCLUDED.location, retailers.location),
+         phone = COALESCE(EXCLUDED.phone, retailers.phone),
+         email = COALESCE(EXCLUDED.email, retailers.email),
+         business_hours = COALESCE($9::jsonb, retailers.business_hours),
+         timezone = COALESCE($11, retailers.timezone),
+         jurisdiction_code = COALESCE(EXCLUDED.jurisdiction_code, retailers.jurisdiction_code),
+         -- A new license number or jurisdiction has to be reviewed again
+         verification_status = CASE
+           WHEN retailers.verification_status = 'verified'
+             AND ((EXCLUDED.license_number IS DISTINCT FROM retailers.license_number
+                   AND EXCLUDED.license_number IS NOT NULL)
+               OR (EXCLUDED.jurisdiction_code IS DISTINCT FROM retailers.jurisdiction_code
+                   AND EXCLUDED.jurisdiction_code IS NOT NULL))
+           THEN 'pending'
+           ELSE retailers.verification_status
+         END
+       RETURNING id, (xmax = 0) as inserted`,
+      [
+        wpUserId,
+        store_name,
+        license_number || null,
+        address || null,
+        location ? location.lat : null,
+        location ? location.lng : null,
+        phone || null,
+        email || null,
+        business_hours ? JSON.stringify(business_hours) : null,
+        jurisdiction_code || null,
+        timezone || null
+      ]
+    );
+    
+    const { id: retailerId, inserted } = retailerResult.rows[0];
+    
+    await upsertPartnerMapping(client, wpUserId, 'retailer', retailerId);
+    
+    await logComplianceEvent(
+      client, req,
+      inserted ? 'retailer_registered' : 'retailer_profile_updated',
+      'retailer', retailerId, req.body
+    );
+    
+    const profile = await fetchRetailerProfile(client, wpUserId);
+    
+    await client.query('COMMIT');
+    
+    res.status(inserted ? 201 : 200).json({
+      success: true,
+      retailer: profile,
+      message: inserted ? 'Retailer registered successfully' : 'Retailer updated successfully'
+    });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown jurisdiction_code' });
+    }
+    console.error('Retailer onboarding error:', error);
+    res.status(500).json({ error: 'Failed to register retailer' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/retailers/me', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can access this endpoint' });
+  }
+  
+  try {
+    const profile = await fetchRetailerProfile(pool, req.user.id);
+    
+    if (!profile) {
+      return res.status(404).json({ error: 'Retailer not found' });
+    }
+    
+    res.json({ success: true, retailer: profile });
+  } catch (error) {
+    console.error('Error fetching retailer:', error);
+    res.status(500).json({ error: 'Failed to fetch retailer' });
+  }
+});
+
+app.put('/api/retailers/me', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can access this endpoint' });
+  }
+  
+  const validationError = validateRetailerProfile(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const {
+    store_name, license_number, address, phone, email, business_hours, metadata, jurisdiction_code,
+    timezone
+  } = req.body;
+  const location = parseLocation(req.body.location);
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const before = await fetchRetailerProfile(client, req.user.id);
+    
+    const updateResult = await client.query(
+      `UPDATE retailers SET
+         store_name = COALESCE($2, store_name),
+         license_number = COALESCE($3, license_number),
+         verification_status = CASE
+           WHEN verification_status = 'verified' AND (
+             ($3 IS NOT NULL AND $3 IS DISTINCT FROM license_number) OR
+             ($11 IS NOT NULL AND $11 IS DISTINCT FROM jurisdiction_code)
+           )
+           THEN 'pending'
+           ELSE verification_status
+         END,
+         address = COALESCE($4, address),
+         location = COALESCE(ST_MakePoint($6::float8, $5::float8)::geography, location),
+         phone = COALESCE($7, phone),
+         email = COALESCE($8, email),
+         business_hours = COALESCE($9::jsonb, business_hours),
+         metadata = COALESCE($10::jsonb, metadata),
+         jurisdiction_code = COALESCE($11, jurisdiction_code),
+         timezone = COALESCE($12, timezone)
+       WHERE wp_user_id = $1
+       RETURNING id`,
+      [
+        req.user.id,
+        store_name || null,
+        license_number || null,
+        address || null,
+        location ? location.lat : null,
+        location ? location.lng : null,
+        phone || null,
+        email || null,
+        business_hours ? JSON.stringify(business_hours) : null,
+        metadata ? JSON.stringify(metadata) : null,
+        jurisdiction_code || null,
+        timezone || null
+      ]
+    );
+    
+    if (updateResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Retailer not found' });
+    }
+    
+    const profile = await fetchRetailerProfile(client, req.user.id);
+    
+    await logComplianceEvent(
+      client, req, 'retailer_profile_updated', 'retailer', profile.id,
+      diffRows(before, profile, RETAILER_PROFILE_FIELDS)
+    );
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, retailer: profile });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown jurisdiction_code' });
+    }
+    console.error('Retailer update error:', error);
+    res.status(500).json({ error: 'Failed to update retailer' });
+  } finally {
+    client.release();
+  }
+});
+
+// Category attribute validation. attributes_schema looks like
+// { required: ['coil_resistance'], properties: { coil_resistance: { type: 'number', min: 0.05, max: 5, unit: 'ohm' } } }
+// where a property may also have an enum. Numeric values may be sent as 1.2,
+// "1.2 ohm" or { value: 1.2, unit: 'ohm' } and are stored as plain numbers.
+const normalizeUnit = (unit) => {
+  return String(unit).trim().toLowerCase().replace(/ω/g, 'ohm').replace(/^ohms$/, 'ohm');
+};
+
+const checkAttributeValue = (rule, value) => {
+  let normalized = value;
+  
+  if (rule.type === 'number' || rule.type === 'integer') {
+    let number = value;
+    let unit = rule.unit;
+    
+    if (typeof value === 'object' && value !== null) {
+      number = value.value;
+      unit = value.unit || rule.unit;
+    } else if (typeof value === 'string') {
+      const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*(\D.*)?$/);
+      if (!match) {
+        return { error: 'must be a number' };
+      }
+      number = match[1];
+      unit = match[2] || rule.unit;
+    }
+    
+    normalized = Number(number);
+    
+    if (number === null || number === '' || !Number.isFinite(normalized)) {
+      return { error: 'must be a number' };
+    }
+    if (rule.type === 'integer' && !Number.isInteger(normalized)) {
+      return { error: 'must be a whole number' };
+    }
+    if (rule.unit && normalizeUnit(unit) !== normalizeUnit(rule.unit)) {
+      return { error: `must be given in ${rule.unit}` };
+    }
+    
+    const unitSuffix = rule.unit ? ` ${rule.unit}` : '';
+    if (rule.min !== undefined && normalized < rule.min) {
+      return { error: `must be at least ${rule.min}${unitSuffix}` };
+    }
+    if (rule.max !== undefined && normalized > rule.max) {
+      return { error: `must be at most ${rule.max}${unitSuffix}` };
+    }
+  } else if (rule.type === 'string' && typeof value !== 'string') {
+    return { error: 'must be text' };
+  } else if (rule.type === 'boolean' && typeof value !== 'boolean') {
+    return { error: 'must be true or false' };
+  }
+  
+  if (Array.isArray(rule.enum) && !rule.enum.includes(normalized)) {
+    return { error: `must be one of: ${rule.enum.join(', ')}` };
+  }
+  
+  return { value: normalized };
+};
+
+// Returns { errors: [{ field, message }], attributes } with numeric values normalized
+const validateAttributes = (schema, attributes) => {
+  if (typeof attributes !== 'object' || attributes === null || Array.isArray(attributes)) {
+    return { errors: [{ field: 'attributes', message: 'must be an object' }], attributes };
+  }
+  
+  const errors = [];
+  const normalized = { ...attributes };
+  const properties = (schema && schema.properties) || {};
+  const isMissing = (value) => value === undefined || value === null || value === '';
+  
+  ((schema && schema.required) || []).forEach(name => {
+    if (isMissing(attributes[name])) {
+      errors.push({ field: `attributes.${name}`, message: 'is required' });
+    }
+  });
+  
+  Object.entries(properties).forEach(([name, rule]) => {
+    if (isMissing(attributes[name])) {
+      return;
+    }
+    
+    const result = checkAttributeValue(rule, attributes[name]);
+    if (result.error) {
+      errors.push({ field: `attributes.${name}`, message: result.error });
+    } else {
+      normalized[name] = result.value;
+    }
+  });
+  
+  return { errors, attributes: normalized };
+};
+
+// Validate attributes against the category's schema, throwing a 422 with
+// per-field errors. Returns the normalized attributes.
+const validateProductAttributes = async (client, categoryId, attributes) => {
+  const categoryResult = await client.query(
+    'SELECT attributes_schema FROM product_categories WHERE id = $1',
+    [categoryId]
+  );
+  
+  if (categoryResult.rows.length === 0) {
+    throw new ApiError(422, 'Invalid product attributes', 'INVALID_ATTRIBUTES', {
+      errors: [{ field: 'category_id', message: 'does not match a category' }]
+    });
+  }
+  
+  const result = validateAttributes(categoryResult.rows[0].attributes_schema, attributes);
+  
+  if (result.errors.length > 0) {
+    throw new ApiError(422, 'Invalid product attributes', 'INVALID_ATTRIBUTES', {
+      errors: result.errors
+    });
+  }
+  
+  return result.attributes;
+};
+
+// Product compliance profiles. A category's compliance_schema looks like
+// { required: ['ingredients', 'emissions'], quantity_unit: 'mg/ml', notifiable: ['EU-CEG', 'MHRA'] }
+// and a product's compliance_info holds lists of ingredients, emissions,
+// toxicology references and regulator notifications (COMPLIANCE_ENTRY_RULES).
+// Required sections are only enforced for live products and exports, so a
+// draft can be filled in gradually.
+const NOTIFICATION_AUTHORITIES = ['EU-CEG', 'MHRA'];
+
+const COMPLIANCE_ENTRY_RULES = {
+  ingredients: {
+    name: { type: 'string', required: true },
+    cas_number: { type: 'string', format: 'cas' },
+    function: { type: 'string' },
+    quantity: { type: 'number', min: 0, required: true },
+    toxicology_refs: { type: 'list' }
+  },
+  emissions: {
+    name: { type: 'string', required: true },
+    cas_number: { type: 'string', format: 'cas' },
+    quantity: { type: 'number', min: 0, required: true },
+    unit: { type: 'string', required: true },
+    method: { type: 'string' }
+  },
+  toxicology: {
+    reference: { type: 'string', required: true },
+    title: { type: 'string' },
+    url: { type: 'string' }
+  },
+  notifications: {
+    authority: { type: 'string', enum: NOTIFICATION_AUTHORITIES, required: true },
+    submitter_id: { type: 'string', required: true },
+    product_id: { type: 'string', required: true },
+    notified_at: { type: 'string', format: 'date' }
+  }
+};
+
+// CAS registry numbers end in a check digit over the other digits
+const isValidCasNumber = (cas) => {
+  const match = /^(\d{2,7})-(\d{2})-(\d)$/.exec(cas);
+  if (!match) {
+    return false;
+  }
+  
+  const digits = (match[1] + match[2]).split('').reverse();
+  const sum = digits.reduce((total, digit, i) => total + Number(digit) * (i + 1), 0);
+  return sum % 10 === Number(match[3]);
+};
+
+const checkComplianceValue = (rule, value) => {
+  if (rule.type === 'list') {
+    return Array.isArray(value) && value.every(item => typeof item === 'string')
+      ? { value }
+      : { error: 'must be a list of text' };
+  }
+  if (rule.format === 'cas' && !(typeof value === 'string' && isValidCasNumber(value))) {
+    return { error: 'must be a valid CAS number' };
+  }
+  if (rule.format === 'date' && isNaN(Date.parse(value))) {
+    return { error: 'must be a date' };
+  }
+  return checkAttributeValue(rule, value);
+};
+
+// Returns { errors: [{ field, message }], complianceInfo } with quantities normalized.
+// complete enforces the category's required sections.
+const validateComplianceInfo = (schema, info, complete) => {
+  if (typeof info !== 'object' || info === null || Array.isArray(info)) {
+    return { errors: [{ field: 'compliance_info', message: 'must be an object' }], complianceInfo: info };
+  }
+  
+  const errors = [];
+  const normalized = { ...info };
+  const required = (schema && schema.required) || [];
+  const quantityUnit = schema && schema.quantity_unit;
+  const isMissing = (value) => value === undefined || value === null || value === '';
+  
+  Object.entries(COMPLIANCE_ENTRY_RULES).forEach(([section, sectionRules]) => {
+    const entries = info[section];
+    
+    if (isMissing(entries) || (Array.isArray(entries) && entries.length === 0)) {
+      if (complete && required.includes(section)) {
+        errors.push({ field: `compliance_info.${section}`, message: 'is required' });
+      }
+      return;
+    }
+    
+    if (!Array.isArray(entries)) {
+      errors.push({ field: `compliance_info.${section}`, message: 'must be a list' });
+      return;
+    }
+    
+    // Ingredient quantities are stated per unit of product, in the category's unit
+    const rules = section === 'ingredients' && quantityUnit
+      ? { ...sectionRules, quantity: { ...sectionRules.quantity, unit: quantityUnit } }
+      : sectionRules;
+    
+    normalized[section] = entries.map((entry, i) => {
+      const prefix = `compliance_info.${section}[${i}]`;
+      
+      if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+        errors.push({ field: prefix, message: 'must be an object' });
+        return entry;
+      }
+      
+      const result = { ...entry };
+      
+      Object.entries(rules).forEach(([name, rule]) => {
+        if (isMissing(entry[name])) {
+          if (rule.required) {
+            errors.push({ field: `${prefix}.${name}`, message: 'is required' });
+          }
+          return;
+        }
+        
+        const check = checkComplianceValue(rule, entry[name]);
+        if (check.error) {
+          errors.push({ field: `${prefix}.${name}`, message: check.error });
+        } else {
+          result[name] = check.value;
+        }
+      });
+      
+      if (section === 'ingredients' && quantityUnit) {
+        if (!isMissing(entry.unit) && normalizeUnit(entry.unit) !== normalizeUnit(quantityUnit)) {
+          errors.push({ field: `${prefix}.unit`, message: `must be ${quantityUnit}` });
+        }
+        result.unit = quantityUnit;
+      }
+      
+      return result;
+    });
+  });
+  
+  // Ingredients cite toxicology entries by reference
+  const references = new Set((Array.isArray(info.toxicology) ? info.toxicology : [])
+    .map(entry => entry && entry.reference));
+  (Array.isArray(normalized.ingredients) ? normalized.ingredients : []).forEach((ingredient, i) => {
+    ((ingredient && Array.isArray(ingredient.toxicology_refs)) ? ingredient.toxicology_refs : [])
+      .filter(reference => !references.has(reference))
+      .forEach(reference => {
+        errors.push({
+          field: `compliance_info.ingredients[${i}].toxicology_refs`,
+          message: `refers to unknown toxicology reference ${reference}`
+        });
+      });
+  });
+  
+  // One notification per authority
+  const authorities = (Array.isArray(info.notifications) ? info.notifications : [])
+    .map(notification => notification && notification.authority);
+  authorities.forEach((authority, i) => {
+    if (authority && authorities.indexOf(authority) !== i) {
+      errors.push({ field: `compliance_info.notifications[${i}].authority`, message: `duplicates ${authority}` });
+    }
+  });
+  
+  return { errors, complianceInfo: normalized };
+};
+
+// Validate compliance_info against the category's compliance_schema, throwing
+// a 422 with per-field errors. Returns the normalized profile.
+const validateProductCompliance = async (client, categoryId, info, complete) => {
+  const categoryResult = await client.query(
+    'SELECT compliance_schema FROM product_categories WHERE id = $1',
+    [categoryId]
+  );
+  
+  const result = validateComplianceInfo(
+    categoryResult.rows.length > 0 ? categoryResult.rows[0].compliance_schema : {},
+    info,
+    complete
+  );
+  
+  if (result.errors.length > 0) {
+    throw new ApiError(422, 'Invalid compliance profile', 'INVALID_COMPLIANCE_INFO', {
+      errors: result.errors
+    });
+  }
+  
+  return result.complianceInfo;
+};
+
+// Subquery for the slugs of a category and all of its descendants,
+// so filtering by a parent slug also matches its children
+const categorySubtreeSlugs = (param) => `(
+  WITH RECURSIVE subtree AS (
+    SELECT id, slug FROM product_categories WHERE slug = ${param}
+    UNION ALL
+    SELECT pc.id, pc.slug FROM product_categories pc JOIN subtree s ON pc.parent_id = s.id
+  )
+  SELECT slug FROM subtree
+)`;
+
+// Manufacturer endpoints
+app.post('/api/products', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'manufacturer') {
+    return res.status(403).json({ error: 'Only manufacturers can add products' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // Get manufacturer ID
+    const manufacturerId = await getActivePartnerId(client, 'manufacturer', req.user.id);
+    
+    // Insert product
+    const {
+      product_name,
+      sku,
+      category_id,
+      description,
+      nicotine_strength,
+      volume_ml,
+      flavor,
+      ingredients,
+      warnings,
+      images,
+      attributes,
+      compliance_info
+    } = req.body;
+    
+    const validatedAttributes = await validateProductAttributes(client, category_id, attributes || {});
+    const validatedCompliance = await validateProductCompliance(client, category_id, compliance_info || {}, false);
+    
+    const productResult = await client.query(
+      `INSERT INTO products 
+       (manufacturer_id, category_id, product_name, sku, description, 
+        nicotine_strength, volume_ml, flavor, ingredients, warnings, 
+        images, attributes, compliance_info)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING id, uuid`,
+      [
+        manufacturerId,
+        category_id,
+        product_name,
+        sku,
+        description,
+        nicotine_strength,
+        volume_ml,
+        flavor,
+        ingredients || [],
+        warnings || [],
+        JSON.stringify(images || []),
+        JSON.stringify(validatedAttributes),
+        JSON.stringify(validatedCompliance)
+      ]
+    );
+    
+    // Log compliance event
+    await logComplianceEvent(
+      client, req, 'product_created', 'product', productResult.rows[0].id, req.body
+    );
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      product_id: productResult.rows[0].id,
+      product_uuid: productResult.rows[0].uuid,
+      message: 'Product created successfully'
+    });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'SKU already exists for this manufacturer' });
+    }
+    console.error('Product creation error:', error);
+    res.status(500).json({ error: 'Failed to create product' });
+  } finally {
+    client.release();
+  }
+});
+
+// Product editing and lifecycle
+const PRODUCT_EDITABLE_FIELDS = [
+  'category_id', 'product_name', 'sku', 'description', 'nicotine_strength',
+  'volume_ml', 'flavor', 'ingredients', 'warnings', 'images', 'attributes', 'compliance_info'
+];
+const PRODUCT_JSON_FIELDS = ['images', 'attributes', 'compliance_info'];
+const PRODUCT_REQUIRED_FOR_PUBLISH = [
+  'product_name', 'sku', 'category_id', 'description', 'ingredients', 'warnings'
+];
+
+// Allowed status changes: draft -> active -> discontinued (a draft may also be retired)
+const PRODUCT_TRANSITIONS = {
+  draft: ['active', 'discontinued'],
+  active: ['discontinued'],
+  discontinued: []
+};
+
+const getMissingPublishFields = (product) => {
+  return PRODUCT_REQUIRED_FOR_PUBLISH.filter(field => {
+    const value = product[field];
+    return value === null || value === undefined || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+  });
+};
+
+// Changed fields between two rows, as { before, after }
+const diffRows = (before, after, fields) => {
+  const diff = { before: {}, after: {} };
+  
+  fields.forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      diff.before[field] = before[field];
+      diff.after[field] = after[field];
+    }
+  });
+  
+  return diff;
+};
+
+// Lock a product for update, checking the caller's manufacturer owns it
+const getOwnedProductForUpdate = async (client, productId, wpUserId) => {
+  const manufacturerId = await getActivePartnerId(client, 'manufacturer', wpUserId);
+  const productResult = await client.query(
+    'SELECT * FROM products WHERE id = $1 FOR UPDATE',
+    [productId]
+  );
+  
+  if (productResult.rows.length === 0) {
+    throw new ApiError(404, 'Product not found');
+  }
+  
+  if (productResult.rows[0].manufacturer_id !== manufacturerId) {
+    throw new ApiError(403, 'Unauthorized');
+  }
+  
+  return productResult.rows[0];
+};
+
+// Update product details (PUT and PATCH both take a partial body)
+const updateProduct = async (req, res) => {
+  if (req.user.type !== 'manufacturer') {
+    return res.status(403).json({ error: 'Only manufacturers can edit products' });
+  }
+  
+  if (req.body.status !== undefined) {
+    return res.status(400).json({ error: 'Use the publish and discontinue actions to change status' });
+  }
+  
+  const fields = PRODUCT_EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+  
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No editable fields provided' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const before = await getOwnedProductForUpdate(client, req.params.id, req.user.id);
+    
+    if (before.status === 'discontinued') {
+      throw new ApiError(409, 'Discontinued products cannot be edited', 'PRODUCT_DISCONTINUED');
+    }
+    
+    const changes = {};
+    fields.forEach(field => {
+      changes[field] = req.body[field];
+    });
+    
+    // Moving category or editing attributes re-validates against the category schema
+    if (changes.category_id !== undefined || changes.attributes !== undefined) {
+      changes.attributes = await validateProductAttributes(
+        client,
+        changes.category_id !== undefined ? changes.category_id : before.category_id,
+        changes.attributes !== undefined ? changes.attributes : before.attributes
+      );
+    }
+    
+    // Likewise for the compliance profile, which must stay complete once live
+    if (changes.category_id !== undefined || changes.compliance_info !== undefined) {
+      changes.compliance_info = await validateProductCompliance(
+        client,
+        changes.category_id !== undefined ? changes.category_id : before.category_id,
+        changes.compliance_info !== undefined ? changes.compliance_info : before.compliance_info,
+        before.status === 'active'
+      );
+    }
+    
+    const changedFields = Object.keys(changes);
+    const setClauses = changedFields.map((field, i) => `${field} = $${i + 2}`);
+    const values = changedFields.map(field => (
+      PRODUCT_JSON_FIELDS.includes(field) ? JSON.stringify(changes[field]) : changes[field]
+    ));
+    
+    const updateResult = await client.query(
+      `UPDATE products SET ${setClauses.join(', ')} WHERE id = $1 RETURNING *`,
+      [before.id, ...values]
+    );
+    
+    const after = updateResult.rows[0];
+    
+    // A live product must stay complete
+    if (after.status === 'active') {
+      const missing = getMissingPublishFields(after);
+      if (missing.length > 0) {
+        throw new ApiError(422, 'Active products cannot drop required fields', 'PRODUCT_INCOMPLETE', {
+          missing_fields: missing
+        });
+      }
+    }
+    
+    await logComplianceEvent(
+      client, req, 'product_updated', 'product', after.id,
+      diffRows(before, after, PRODUCT_EDITABLE_FIELDS)
+    );
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, product: after });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'SKU already exists for this manufacturer' });
+    }
+    console.error('Product update error:', error);
+    res.status(500).json({ error: 'Failed to update product' });
+  } finally {
+    client.release();
+  }
+};
+
+app.put('/api/products/:id', authenticateWPUser, updateProduct);
+app.patch('/api/products/:id', authenticateWPUser, updateProduct);
+
+// Publish and discontinue share one handler
+const changeProductStatus = (newStatus) => async (req, res) => {
+  if (req.user.type !== 'manufacturer') {
+    return res.status(403).json({ error: 'Only manufacturers can change product status' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const before = await getOwnedProductForUpdate(client, req.params.id, req.user.id);
+    
+    if (!PRODUCT_TRANSITIONS[before.status].includes(newStatus)) {
+      throw new ApiError(
+        409,
+        `Cannot change product status from ${before.status} to ${newStatus}`,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+    
+    if (newStatus === 'active') {
+      const manufacturerResult = await client.query(
+        'SELECT verification_status FROM manufacturers WHERE id = $1',
+        [before.manufacturer_id]
+      );
+      
+      if (manufacturerResult.rows[0].verification_status !== 'verified') {
+        throw new ApiError(403, 'Manufacturer must be verified before publishing products', 'PARTNER_NOT_VERIFIED');
+      }
+      
+      const missing = getMissingPublishFields(before);
+      if (missing.length > 0) {
+        throw new ApiError(422, 'Product is missing required fields', 'PRODUCT_INCOMPLETE', {
+          missing_fields: missing
+        });
+      }
+      
+      // Products created before attribute validation may still be incomplete
+      await validateProductAttributes(client, before.category_id, before.attributes);
+      await validateProductCompliance(client, before.category_id, before.compliance_info || {}, true);
+    }
+    
+    const updateResult = await client.query(
+      'UPDATE products SET status = $2 WHERE id = $1 RETURNING *',
+      [before.id, newStatus]
+    );
+    
+    const after = updateResult.rows[0];
+    
+    await logComplianceEvent(
+      client, req,
+      newStatus === 'active' ? 'product_published' : 'product_discontinued',
+      'product', after.id,
+      {
+        before: { status: before.status },
+        after: { status: after.status },
+        reason: req.body.reason || null
+      }
+    );
+    
+    // Retailers hear about new products too, so they can stock them
+    if (newStatus === 'active') {
+      await queueWebhookEvent(client, 'product.published', [
+        { type: 'manufacturer', id: after.manufacturer_id },
+        { type: 'retailer', id: null }
+      ], {
+        product_id: after.id,
+        product_uuid: after.uuid,
+        sku: after.sku,
+        product_name: after.product_name,
+        category_id: after.category_id,
+        manufacturer_id: after.manufacturer_id
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      product_id: after.id,
+      previous_status: before.status,
+      status: after.status
+    });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Product status error:', error);
+    res.status(500).json({ error: 'Failed to change product status' });
+  } finally {
+    client.release();
+  }
+};
+
+app.post('/api/products/:id/publish', authenticateWPUser, changeProductStatus('active'));
+app.post('/api/products/:id/discontinue', authenticateWPUser, changeProductStatus('discontinued'));
+
+// Product notification export for regulators. Both formats follow the EU-CEG
+// e-cigarette submission layout; the MHRA variant carries the UK submitter
+// and product IDs and the GB market. The portals validate against their own
+// XSDs on upload.
+const NOTIFICATION_FORMATS = {
+  'eu-ceg': { authority: 'EU-CEG', market: null },
+  'mhra': { authority: 'MHRA', market: 'GB' }
+};
+
+const xmlEscape = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// content is a value or a list of [name, content] children; empty values are left out
+const xmlElement = (name, content, indent = '') => {
+  if (content === null || content === undefined || content === '') {
+    return '';
+  }
+  
+  if (Array.isArray(content)) {
+    const children = content
+      .map(([childName, childContent]) => xmlElement(childName, childContent, `${indent}  `))
+      .filter(Boolean);
+    return children.length > 0
+      ? `${indent}<${name}>\n${children.join('\n')}\n${indent}</${name}>`
+      : '';
+  }
+  
+  return `${indent}<${name}>${xmlEscape(content)}</${name}>`;
+};
+
+const buildNotificationXml = (product, notification, market) => {
+  const info = product.compliance_info;
+  
+  const body = xmlElement('EcigProductSubmission', [
+    ['Submitter', [['SubmitterID', notification.submitter_id]]],
+    ['SubmissionType', notification.notified_at ? 'Modification' : 'New'],
+    ['Product', [
+      ['ProductID', notification.product_id],
+      ['ProductType', product.category_name],
+      ['NicotineConcentration', product.nicotine_strength],
+      ['Volume', product.volume_ml],
+      ['Presentations', [
+        ['Presentation', [
+          ['NationalMarket', market],
+          ['BrandName', product.manufacturer_name],
+          ['BrandSubtypeName', product.product_name],
+          ['ProductNumber', product.sku],
+          ['Flavour', product.flavor]
+        ]]
+      ]],
+      ['Ingredients', (info.ingredients || []).map(ingredient => ['Ingredient', [
+        ['Name', ingredient.name],
+        ['CasNumber', ingredient.cas_number],
+        ['Function', ingredient.function],
+        ['RecipeQuantity', ingredient.quantity],
+        ['RecipeQuantityUnit', ingredient.unit],
+        ['ToxicologicalDataAvailable', (ingredient.toxicology_refs || []).length > 0 ? 'true' : 'false'],
+        ['ToxicologyReferences', (ingredient.toxicology_refs || []).map(reference => ['Reference', reference])]
+      ]])],
+      ['Emissions', (info.emissions || []).map(emission => ['Emission', [
+        ['Name', emission.name],
+        ['CasNumber', emission.cas_number],
+        ['Quantity', emission.quantity],
+        ['Unit', emission.unit],
+        ['MethodsDescription', emission.method]
+      ]])],
+      ['ToxicologicalData', (info.toxicology || []).map(study => ['Study', [
+        ['Reference', study.reference],
+        ['Title', study.title],
+        ['Url', study.url]
+      ]])]
+    ]]
+  ]);
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${body}\n`;
+};
+
+app.get('/api/products/:id/notification', authenticateWPUser, async (req, res) => {
+  const format = req.query.format || 'eu-ceg';
+  const target = NOTIFICATION_FORMATS[format];
+  
+  if (!target) {
+    return res.status(400).json({
+      error: `format must be one of: ${Object.keys(NOTIFICATION_FORMATS).join(', ')}`
+    });
+  }
+  
+  if (req.user.type !== 'manufacturer' && req.user.type !== 'admin') {
+    return res.status(403).json({ error: 'Only manufacturers and admins can export notifications' });
+  }
+  
+  try {
+    const productResult = await pool.query(
+      `SELECT p.*, c.name as category_name, c.compliance_schema,
+              m.company_name as manufacturer_name, m.wp_user_id as manufacturer_wp_user_id
+       FROM products p
+       JOIN product_categories c ON p.category_id = c.id
+       JOIN manufacturers m ON p.manufacturer_id = m.id
+       WHERE p.id = $1`,
+      [req.params.id]
+    );
+    
+    if (productResult.rows.length === 0) {
+      throw new ApiError(404, 'Product not found');
+    }
+    
+    const product = productResult.rows[0];
+    
+    if (req.user.type !== 'admin' && product.manufacturer_wp_user_id !== req.user.id) {
+      throw new ApiError(403, 'Unauthorized');
+    }
+    
+    const schema = product.compliance_schema || {};
+    
+    if (!(schema.notifiable || []).includes(target.authority)) {
+      throw new ApiError(422, `${product.category_name} products are not notified to ${target.authority}`, 'NOT_NOTIFIABLE');
+    }
+    
+    const validation = validateComplianceInfo(schema, product.compliance_info || {}, true);
+    const notification = (validation.complianceInfo.notifications || [])
+      .find(entry => entry && entry.authority === target.authority);
+    
+    if (!notification) {
+      validation.errors.push({
+        field: 'compliance_info.notifications',
+        message: `needs a ${target.authority} entry with submitter_id and product_id`
+      });
+    }
+    
+    if (validation.errors.length > 0) {
+      throw new ApiError(422, 'Compliance profile is incomplete', 'INVALID_COMPLIANCE_INFO', {
+        errors: validation.errors
+      });
+    }
+    
+    const xml = buildNotificationXml(
+      { ...product, compliance_info: validation.complianceInfo },
+      notification,
+      target.market
+    );
+    
+    await logComplianceEvent(pool, req, 'product_notification_exported', 'product', product.id, {
+      format,
+      product_id: notification.product_id
+    });
+    
+    res.set('Content-Disposition', `attachment; filename="${product.sku.replace(/[^\w.-]/g, '_')}-${format}.xml"`);
+    res.type('application/xml').send(xml);
+    
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Notification export error:', error);
+    res.status(500).json({ error: 'Failed to export product notification' });
+  }
+});
+
+// Bulk catalogue import. Rows are upserted by SKU within the caller's
+// manufacturer; each runs in its own savepoint so one bad row doesn't sink the
+// rest. Every import is a product_import_jobs row: small files are processed
+// inline and answered with the per-row report, larger ones are queued for the
+// background worker and polled. A dry run does the same work and rolls it back.
+const IMPORT_INLINE_MAX_ROWS = 100;
+const IMPORT_MAX_ROWS = 10000;
+const IMPORT_CHUNK_SIZE = 100;
+const IMPORT_STALE_MS = 5 * 60 * 1000;    // a running job not heard from in this long was interrupted
+const IMPORT_POLL_MS = 60 * 1000;
+const IMPORT_PRODUCT_FIELDS = PRODUCT_EDITABLE_FIELDS;
+const IMPORT_NUMERIC_FIELDS = ['category_id', 'nicotine_strength', 'volume_ml'];
+const IMPORT_LIST_FIELDS = ['ingredients', 'warnings'];
+const IMPORT_CSV_JSON_FIELDS = ['images', 'attributes', 'compliance_info'];
+const IMPORT_RESULT_ACTIONS = ['create', 'update', 'unchanged', 'error'];
+const IMPORT_JOB_COLUMNS = `id, manufacturer_id, source_format, dry_run, status, total_rows,
+  processed_rows, created_count, updated_count, unchanged_count, error_count, error_message,
+  created_at, started_at, finished_at`;
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, quotes ("") and line breaks
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (quoted) {
+    throw new ApiError(400, 'CSV has an unterminated quoted field', 'INVALID_IMPORT_FILE');
+  }
+  
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  
+  return records.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// CSV columns are the product fields, category (a slug, instead of category_id)
+// and attributes.<name>. Lists are separated by "|", images and compliance_info
+// hold JSON, and blank cells leave a field unchanged.
+const csvImportRows = (text) => {
+  const [header, ...records] = parseCsv(text);
+  
+  if (!header) {
+    throw new ApiError(400, 'CSV file is empty', 'INVALID_IMPORT_FILE');
+  }
+  
+  const columns = header.map(column => column.trim().toLowerCase());
+  const unknown = columns.filter(column => (
+    column !== 'category' && !IMPORT_PRODUCT_FIELDS.includes(column) && !/^attributes\.\w+$/.test(column)
+  ));
+  
+  if (!columns.includes('sku') || unknown.length > 0) {
+    throw new ApiError(400, 'CSV header must include sku and only importable columns', 'INVALID_IMPORT_FILE', {
+      unknown_columns: unknown
+    });
+  }
+  
+  return records.map(cells => {
+    const row = {};
+    
+    columns.forEach((column, i) => {
+      const value = (cells[i] || '').trim();
+      
+      if (value === '') {
+        return;
+      }
+      
+      if (column.startsWith('attributes.')) {
+        row.attributes = row.attributes || {};
+        row.attributes[column.slice('attributes.'.length)] =
+          /^(true|false)$/i.test(value) ? value.toLowerCase() === 'true' : value;
+      } else if (IMPORT_LIST_FIELDS.includes(column)) {
+        row[column] = value.split('|').map(item => item.trim()).filter(Boolean);
+      } else if (IMPORT_CSV_JSON_FIELDS.includes(column)) {
+        // Unparseable JSON stays a string and fails that row's validation
+        try {
+          row[column] = JSON.parse(value);
+        } catch (error) {
+          row[column] = value;
+        }
+      } else {
+        row[column] = value;
+      }
+    });
+    
+    return row;
+  });
+};
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const importSku = row => (
+  isPlainObject(row) && (typeof row.sku === 'string' || typeof row.sku === 'number')
+    ? String(row.sku).trim() : ''
+);
+
+const invalidImportRow = errors => new ApiError(422, 'Invalid import row', 'INVALID_IMPORT_ROW', { errors });
+
+// Shape checks that don't need the database
+const checkImportRowShape = (row) => {
+  if (!isPlainObject(row)) {
+    return [{ field: null, message: 'must be an object' }];
+  }
+  
+  const errors = [];
+  
+  Object.keys(row).forEach(field => {
+    if (field === 'status') {
+      errors.push({ field, message: 'cannot be imported; use the publish and discontinue actions' });
+    } else if (field !== 'category' && !IMPORT_PRODUCT_FIELDS.includes(field)) {
+      errors.push({ field, message: 'is not an importable field' });
+    }
+  });
+  
+  if (!importSku(row)) {
+    errors.push({ field: 'sku', message: 'is required' });
+  }
+  
+  IMPORT_NUMERIC_FIELDS.forEach(field => {
+    if (row[field] !== undefined && row[field] !== null && row[field] !== '' && !Number.isFinite(Number(row[field]))) {
+      errors.push({ field, message: 'must be a number' });
+    }
+  });
+  
+  IMPORT_LIST_FIELDS.forEach(field => {
+    if (row[field] !== undefined && !(Array.isArray(row[field]) && row[field].every(item => typeof item === 'string'))) {
+      errors.push({ field, message: 'must be a list of text' });
+    }
+  });
+  
+  if (row.images !== undefined && !Array.isArray(row.images)) {
+    errors.push({ field: 'images', message: 'must be a list' });
+  }
+  
+  if (row.attributes !== undefined && !isPlainObject(row.attributes)) {
+    errors.push({ field: 'attributes', message: 'must be an object' });
+  }
+  
+  return errors;
+};
+
+// Categories are loaded once per chunk rather than once per row
+const loadImportCategories = async (client) => {
+  const result = await client.query(
+    'SELECT id, slug, attributes_schema, compliance_schema FROM product_categories'
+  );
+  
+  return {
+    byId: new Map(result.rows.map(category => [category.id, category])),
+    bySlug: new Map(result.rows.map(category => [category.slug, category]))
+  };
+};
+
+// Create or update one product. Returns { action, product_id }; an unchanged
+// row returns rollback: true so the caller can undo the no-op update.
+const upsertImportedProduct = async (client, job, row, categories, audit) => {
+  const sku = importSku(row);
+  const existingResult = await client.query(
+    'SELECT * FROM products WHERE manufacturer_id = $1 AND sku = $2 FOR UPDATE',
+    [job.manufacturer_id, sku]
+  );
+  const before = existingResult.rows[0];
+  
+  if (before && before.status === 'discontinued') {
+    throw new ApiError(409, 'Discontinued products cannot be edited', 'PRODUCT_DISCONTINUED');
+  }
+  
+  const changes = {};
+  IMPORT_PRODUCT_FIELDS.forEach(field => {
+    if (row[field] !== undefined) {
+      changes[field] = IMPORT_NUMERIC_FIELDS.includes(field) && row[field] !== null && row[field] !== ''
+        ? Number(row[field]) : row[field];
+    }
+  });
+  changes.sku = sku;
+  
+  const errors = [];
+  
+  if (row.category !== undefined) {
+    const bySlug = categories.bySlug.get(String(row.category).trim());
+    if (bySlug) {
+      changes.category_id = bySlug.id;
+    } else {
+      errors.push({ field: 'category', message: 'does not match a category' });
+    }
+  }
+  
+  const categoryId = changes.category_id !== undefined ? changes.category_id : before && before.category_id;
+  const category = categories.byId.get(categoryId);
+  
+  if (!category && errors.length === 0) {
+    errors.push({ field: 'category_id', message: categoryId ? 'does not match a category' : 'is required' });
+  }
+  
+  if (!before && !changes.product_name) {
+    errors.push({ field: 'product_name', message: 'is required' });
+  }
+  
+  if (category) {
+    // Attributes from a row are merged into the product's existing ones
+    if (!before || changes.category_id !== undefined || changes.attributes !== undefined) {
+      const result = validateAttributes(category.attributes_schema, {
+        ...(before ? before.attributes : {}),
+        ...(changes.attributes || {})
+      });
+      errors.push(...result.errors);
+      changes.attributes = result.attributes;
+    }
+    
+    if (!before || changes.category_id !== undefined || changes.compliance_info !== undefined) {
+      const result = validateComplianceInfo(
+        category.compliance_schema,
+        changes.compliance_info !== undefined ? changes.compliance_info : (before ? before.compliance_info : {}),
+        Boolean(before) && before.status === 'active'
+      );
+      errors.push(...result.errors);
+      changes.compliance_info = result.complianceInfo;
+    }
+  }
+  
+  if (errors.length > 0) {
+    throw invalidImportRow(errors);
+  }
+  
+  const fields = Object.keys(changes);
+  const values = fields.map(field => (
+    PRODUCT_JSON_FIELDS.includes(field) ? JSON.stringify(changes[field]) : changes[field]
+  ));
+  
+  if (!before) {
+    const insertResult = await client.query(
+      `INSERT INTO products (manufacturer_id, ${fields.join(', ')})
+       VALUES ($1, ${fields.map((field, i) => `$${i + 2}`).join(', ')})
+       RETURNING id`,
+      [job.manufacturer_id, ...values]
+    );
+    
+    const productId = insertResult.rows[0].id;
+    
+    if (!job.dry_run) {
+      await logComplianceEvent(
+        client, audit, 'product_created', 'product', productId, { ...changes, import_job_id: job.id }
+      );
+    }
+    
+    return { action: 'create', product_id: job.dry_run ? null : productId };
+  }
+  
+  const updateResult = await client.query(
+    `UPDATE products SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}
+     WHERE id = $1 RETURNING *`,
+    [before.id, ...values]
+  );
+  
+  const after = updateResult.rows[0];
+  const diff = diffRows(before, after, PRODUCT_EDITABLE_FIELDS);
+  
+  if (Object.keys(diff.after).length === 0) {
+    return { action: 'unchanged', product_id: before.id, rollback: true };
+  }
+  
+  if (after.status === 'active') {
+    const missing = getMissingPublishFields(after);
+    if (missing.length > 0) {
+      throw invalidImportRow(missing.map(field => ({ field, message: 'is required for active products' })));
+    }
+  }
+  
+  if (!job.dry_run) {
+    await logComplianceEvent(
+      client, audit, 'product_updated', 'product', before.id, { ...diff, import_job_id: job.id }
+    );
+  }
+  
+  return { action: 'update', product_id: before.id };
+};
+
+// Errors a row can report; anything else fails the whole job
+const importRowErrors = (error) => {
+  if (error instanceof ApiError) {
+    return error.details && error.details.errors
+      ? error.details.errors
+      : [{ field: null, message: error.message }];
+  }
+  if (error.code === '23505') {
+    return [{ field: 'sku', message: 'already exists for this manufacturer' }];
+  }
+  if (['22001', '22003', '22P02', '23502', '23503'].includes(error.code)) {
+    return [{ field: error.column || null, message: error.message }];
+  }
+  return null;
+};
+
+const importProductRow = async (client, job, row, rowNumber, categories, seenSkus, audit) => {
+  const sku = importSku(row);
+  const result = { row_number: rowNumber, sku: sku || null, product_id: null, errors: null };
+  const errors = checkImportRowShape(row);
+  
+  // The first row for a SKU wins, so later repeats are reported rather than applied
+  if (sku && seenSkus.has(sku)) {
+    errors.push({ field: 'sku', message: `repeats row ${seenSkus.get(sku)}` });
+  } else if (sku) {
+    seenSkus.set(sku, rowNumber);
+  }
+  
+  if (errors.length > 0) {
+    return { ...result, action: 'error', errors };
+  }
+  
+  await client.query('SAVEPOINT import_row');
+  
+  try {
+    const outcome = await upsertImportedProduct(client, job, row, categories, audit);
+    await client.query(outcome.rollback ? 'ROLLBACK TO SAVEPOINT import_row' : 'RELEASE SAVEPOINT import_row');
+    return { ...result, action: outcome.action, product_id: outcome.product_id };
+  } catch (error) {
+    const rowErrors = importRowErrors(error);
+    if (!rowErrors) {
+      throw error;
+    }
+    await client.query('ROLLBACK TO SAVEPOINT import_row');
+    return { ...result, action: 'error', errors: rowErrors };
+  }
+};
+
+// Process one chunk and record its results and progress in the same
+// transaction, so an interrupted job resumes exactly where it stopped
+const importChunk = async (job, rows, start, seenSkus, audit) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    await client.query('SAVEPOINT import_chunk');
+    
+    const categories = await loadImportCategories(client);
+    const results = [];
+    
+    for (let i = start; i < Math.min(start + IMPORT_CHUNK_SIZE, rows.length); i++) {
+      results.push(await importProductRow(client, job, rows[i], i + 1, categories, seenSkus, audit));
+    }
+    
+    if (job.dry_run) {
+      await client.query('ROLLBACK TO SAVEPOINT import_chunk');
+    }
+    
+    await client.query(
+      `INSERT INTO product_import_results (job_id, row_number, sku, action, product_id, errors)
+       SELECT $1, r.row_number, left(r.sku, 100), r.action, r.product_id, r.errors
+       FROM jsonb_to_recordset($2::jsonb) AS r(row_number INTEGER, sku TEXT, action TEXT, product_id INTEGER, errors JSONB)`,
+      [job.id, JSON.stringify(results)]
+    );
+    
+    const count = action => results.filter(result => result.action === action).length;
+    
+    await client.query(
+      `UPDATE product_import_jobs SET 
+        processed_rows = $2,
+        created_count = created_count + $3,
+        updated_count = updated_count + $4,
+        unchanged_count = unchanged_count + $5,
+        error_count = error_count + $6,
+        heartbeat_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [job.id, start + results.length, count('create'), count('update'), count('unchanged'), count('error')]
+    );
+    
+    await client.query('COMMIT');
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// compliance_log rows written by a job carry the requester's details
+const importAuditContext = job => ({
+  user: { id: job.wp_user_id },
+  ip: job.ip_address,
+  get: () => job.user_agent
+});
+
+const runImportJob = async (job) => {
+  const rows = job.input_rows;
+  const seenSkus = new Map();
+  
+  // Rebuild the first-row-per-SKU map when resuming
+  rows.slice(0, job.processed_rows).forEach((row, i) => {
+    const sku = importSku(row);
+    if (sku && !seenSkus.has(sku)) {
+      seenSkus.set(sku, i + 1);
+    }
+  });
+  
+  try {
+    for (let start = job.processed_rows; start < rows.length; start += IMPORT_CHUNK_SIZE) {
+      await importChunk(job, rows, start, seenSkus, importAuditContext(job));
+    }
+    
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const finished = await client.query(
+        `UPDATE product_import_jobs SET 
+          status = 'completed', input_rows = NULL, finished_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${IMPORT_JOB_COLUMNS}`,
+        [job.id]
+      );
+      
+      if (!job.dry_run) {
+        const { created_count, updated_count, unchanged_count, error_count } = finished.rows[0];
+        await logComplianceEvent(client, importAuditContext(job), 'product_import_completed', 'product_import', job.id, {
+          source_format: job.source_format,
+          total_rows: job.total_rows,
+          created: created_count,
+          updated: updated_count,
+          unchanged: unchanged_count,
+          errors: error_count
+        });
+      }
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error(`Import job ${job.id} error:`, error);
+    await pool.query(
+      `UPDATE product_import_jobs SET 
+        status = 'failed', error_message = $2, input_rows = NULL, finished_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [job.id, error.message]
+    ).catch(updateError => console.error(`Import job ${job.id} status error:`, updateError));
+  }
+};
+
+// Queued jobs, and running jobs whose worker stopped heartbeating, are claimed
+// one at a time; SKIP LOCKED keeps several API instances from taking the same job
+const claimImportJob = async () => {
+  const result = await pool.query(
+    `UPDATE product_import_jobs SET 
+      status = 'running',
+      started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+      heartbeat_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM product_import_jobs
+       WHERE status = 'queued'
+          OR (status = 'running' AND heartbeat_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 millisecond')
+       ORDER BY id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [IMPORT_STALE_MS]
+  );
+  
+  return result.rows[0] || null;
+};
+
+const importWorker = { running: null, again: false };
+
+const processImportJobs = () => {
+  // A call arriving while the worker drains the queue makes it look again
+  if (importWorker.running) {
+    importWorker.again = true;
+    return;
+  }
+  
+  importWorker.running = (async () => {
+    let job;
+    while ((job = await claimImportJob())) {
+      await runImportJob(job);
+    }
+  })()
+    .catch(error => console.error('Import worker error:', error))
+    .finally(() => {
+      importWorker.running = null;
+      if (importWorker.again) {
+        importWorker.again = false;
+        processImportJobs();
+      }
+    });
+};
+
+setInterval(processImportJobs, IMPORT_POLL_MS).unref();
+processImportJobs();
+
+const formatImportJob = job => ({
+  ...job,
+  progress_percent: job.total_rows > 0 ? Math.floor(job.processed_rows * 100 / job.total_rows) : 100,
+  error_file_url: job.error_count > 0 ? `/api/products/imports/${job.id}/errors.csv` : null
+});
+
+const getOwnedImportJob = async (jobId, wpUserId) => {
+  const manufacturerId = await getActivePartnerId(pool, 'manufacturer', wpUserId);
+  const result = await pool.query(
+    `SELECT ${IMPORT_JOB_COLUMNS} FROM product_import_jobs WHERE id = $1`,
+    [jobId]
+  );
+  
+  if (result.rows.length === 0) {
+    throw new ApiError(404, 'Import job not found');
+  }
+  
+  if (result.rows[0].manufacturer_id !== manufacturerId) {
+    throw new ApiError(403, 'Unauthorized');
+  }
+  
+  return result.rows[0];
+};
+
+const getImportResults = async (jobId, action, limit, offset) => {
+  const result = await pool.query(
+    `SELECT row_number, sku, action, product_id, errors
+     FROM product_import_results
+     WHERE job_id = $1 AND ($2::text IS NULL OR action = $2)
+     ORDER BY row_number
+     LIMIT $3 OFFSET $4`,
+    [jobId, action, limit, offset]
+  );
+  
+  return result.rows;
+};
+
+// Takes a CSV body (Content-Type: text/csv) or JSON: an array of products or
+// { products, dry_run }. ?dry_run=true reports without saving.
+app.post('/api/products/imports', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'manufacturer') {
+    return res.status(403).json({ error: 'Only manufacturers can import products' });
+  }
+  
+  const sourceFormat = req.is('text/csv') ? 'csv' : 'json';
+  const dryRun = req.query.dry_run === 'true' || (isPlainObject(req.body) && req.body.dry_run === true);
+  
+  try {
+    let rows;
+    
+    if (sourceFormat === 'csv') {
+      rows = csvImportRows(typeof req.body === 'string' ? req.body : '');
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body && req.body.products;
+      if (!Array.isArray(rows)) {
+        throw new ApiError(400, 'Send a CSV file or a JSON array of products', 'INVALID_IMPORT_FILE');
+      }
+    }
+    
+    if (rows.length === 0) {
+      throw new ApiError(400, 'The import has no rows', 'INVALID_IMPORT_FILE');
+    }
+    
+    if (rows.length > IMPORT_MAX_ROWS) {
+      throw new ApiError(413, `Imports are limited to ${IMPORT_MAX_ROWS} rows`, 'IMPORT_TOO_LARGE', {
+        max_rows: IMPORT_MAX_ROWS
+      });
+    }
+    
+    const manufacturerId = await getActivePartnerId(pool, 'manufacturer', req.user.id);
+    const inline = rows.length <= IMPORT_INLINE_MAX_ROWS;
+    
+    // Inline jobs start out running with a fresh heartbeat so the worker leaves them alone
+    const jobResult = await pool.query(
+      `INSERT INTO product_import_jobs 
+       (manufacturer_id, wp_user_id, source_format, dry_run, status, input_rows, total_rows,
+        ip_address, user_agent, started_at, heartbeat_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+        CASE WHEN $10 THEN CURRENT_TIMESTAMP END, CURRENT_TIMESTAMP)
+       RETURNING *`,
+      [
+        manufacturerId,
+        req.user.id,
+        sourceFormat,
+        dryRun,
+        inline ? 'running' : 'queued',
+        JSON.stringify(rows),
+        rows.length,
+        req.ip,
+        req.get('user-agent'),
+        inline
+      ]
+    );
+    
+    const job = jobResult.rows[0];
+    
+    if (!inline) {
+      processImportJobs();
+      return res.status(202).json({
+        success: true,
+        job: formatImportJob(await getOwnedImportJob(job.id, req.user.id)),
+        status_url: `/api/products/imports/${job.id}`
+      });
+    }
+    
+    await runImportJob(job);
+    
+    const finished = await getOwnedImportJob(job.id, req.user.id);
+    
+    if (finished.status === 'failed') {
+      return res.status(500).json({ error: 'Import failed', job: formatImportJob(finished) });
+    }
+    
+    res.json({
+      success: true,
+      job: formatImportJob(finished),
+      rows: await getImportResults(job.id, null, IMPORT_INLINE_MAX_ROWS, 0)
+    });
+    
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Product import error:', error);
+    res.status(500).json({ error: 'Failed to import products' });
+  }
+});
+
+app.get('/api/products/imports', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'manufacturer') {
+    return res.status(403).json({ error: 'Only manufacturers can import products' });
+  }
+  
+  try {
+    const manufacturerId = await getActivePartnerId(pool, 'manufacturer', req.user.id);
+    const result = await pool.query(
+      `SELECT ${IMPORT_JOB_COLUMNS} FROM product_import_jobs
+       WHERE manufacturer_id = $1
+       ORDER BY created_at DESC
+       LIMIT 50`,
+      [manufacturerId]
+    );
+    
+    res.json({ success: true, jobs: result.rows.map(formatImportJob) });
+    
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Import jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch import jobs' });
+  }
+});
+
+app.get('/api/products/imports/:id', authenticateWPUser, async (req, res) => {
+  try {
+    const job = await getOwnedImportJob(req.params.id, req.user.id);
+    res.json({ success: true, job: formatImportJob(job) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Import job error:', error);
+    res.status(500).json({ error: 'Failed to fetch import job' });
+  }
+});
+
+// Per-row report, optionally only one action (e.g. ?action=error)
+app.get('/api/products/imports/:id/rows', authenticateWPUser, async (req, res) => {
+  const { action } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  
+  if (action && !IMPORT_RESULT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${IMPORT_RESULT_ACTIONS.join(', ')}` });
+  }
+  
+  try {
+    const job = await getOwnedImportJob(req.params.id, req.user.id);
+    
+    res.json({
+      success: true,
+      job: formatImportJob(job),
+      rows: await getImportResults(job.id, action || null, limit, offset)
+    });
+    
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Import rows error:', error);
+    res.status(500).json({ error: 'Failed to fetch import rows' });
+  }
+});
+
+// One line per problem, for fixing the source file
+app.get('/api/products/imports/:id/errors.csv', authenticateWPUser, async (req, res) => {
+  try {
+    const job = await getOwnedImportJob(req.params.id, req.user.id);
+    const errorRows = await getImportResults(job.id, 'error', IMPORT_MAX_ROWS, 0);
+    
+    const lines = ['row,sku,field,message'];
+    errorRows.forEach(row => {
+      row.errors.forEach(error => {
+        lines.push([row.row_number, row.sku, error.field, error.message].map(csvField).join(','));
+      });
+    });
+    
+    res.set('Content-Disposition', `attachment; filename="product-import-${job.id}-errors.csv"`);
+    res.type('text/csv').send(lines.join('\r\n') + '\r\n');
+    
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Import error file error:', error);
+    res.status(500).json({ error: 'Failed to build import error file' });
+  }
+});
+
+// Add batch for product
+app.post('/api/products/:productId/batches', authenticateWPUser, async (req, res) => {
+  const { productId } = req.params;
+  const {
+    batch_number,
+    manufacture_date,
+    expiry_date,
+    quantity_produced,
+    lab_test_results
+  } = req.body;
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // Verify ownership
+    const productResult = await client.query(
+      `SELECT p.id, p.manufacturer_id, p.status, m.verification_status
+       FROM products p 
+       JOIN manufacturers m ON p.manufacturer_id = m.id 
+       WHERE p.id = $1 AND m.wp_user_id = $2`,
+      [productId, req.user.id]
+    );
+    
+    if (productResult.rows.length === 0) {
+      throw new ApiError(403, 'Unauthorized');
+    }
+    
+    if (productResult.rows[0].verification_status === 'suspended') {
+      throw new ApiError(403, 'Manufacturer account is suspended', 'PARTNER_SUSPENDED');
+    }
+    
+    if (productResult.rows[0].status === 'discontinued') {
+      throw new ApiError(409, 'Cannot add batches to a discontinued product', 'PRODUCT_DISCONTINUED');
+    }
+    
+    // Insert batch
+    const batchResult = await client.query(
+      `INSERT INTO product_batches 
+       (product_id, batch_number, manufacture_date, expiry_date, 
+        quantity_produced, quantity_available, lab_test_results)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, uuid`,
+      [
+        productId,
+        batch_number,
+        manufacture_date,
+        expiry_date,
+        quantity_produced,
+        quantity_produced, // Initially all available
+        JSON.stringify(lab_test_results || {})
+      ]
+    );
+    
+    // Record movement
+    await recordMovement(client, {
+      movement_type: 'manufacture',
+      product_id: productId,
+      batch_id: batchResult.rows[0].id,
+      from_entity_type: 'manufacturer',
+      from_entity_id: productResult.rows[0].manufacturer_id,
+      to_entity_type: 'manufacturer',
+      to_entity_id: productResult.rows[0].manufacturer_id,
+      quantity: quantity_produced
+    });
+    
+    // Left unsigned when no key is configured; signed on first QR render instead
+    const qrCodeData = getQrSigningKey() ? await signBatchQr(client, batchResult.rows[0].id) : null;
+    
+    await queueWebhookEvent(client, 'batch.created', [
+      { type: 'manufacturer', id: productResult.rows[0].manufacturer_id }
+    ], {
+      batch_id: batchResult.rows[0].id,
+      batch_uuid: batchResult.rows[0].uuid,
+      batch_number,
+      product_id: productResult.rows[0].id,
+      manufacture_date,
+      expiry_date,
+      quantity_produced
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      batch_id: batchResult.rows[0].id,
+      batch_uuid: batchResult.rows[0].uuid,
+      qr_code_url: qrCodeData ? qrCodeData.url : null,
       message: 'Batch created successfully'
     });
     
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Batch creation error:', error);
-    res.status(500).json({ error: 'Failed to create batch' });
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Batch creation error:', error);
+    res.status(500).json({ error: 'Failed to create batch' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get manufacturer's products
+app.get('/api/manufacturer/products', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'manufacturer') {
+    return res.status(403).json({ error: 'Only manufacturers can access this endpoint' });
+  }
+  
+  try {
+    const result = await pool.query(
+      `SELECT 
+        p.*,
+        c.name as category_name,
+        c.attributes_schema,
+        c.compliance_schema,
+        COUNT(DISTINCT pb.id) as batch_count,
+        SUM(pb.quantity_available) as total_available
+       FROM products p
+       JOIN manufacturers m ON p.manufacturer_id = m.id
+       JOIN product_categories c ON p.category_id = c.id
+       LEFT JOIN product_batches pb ON p.id = pb.product_id
+       WHERE m.wp_user_id = $1
+       GROUP BY p.id, c.name, c.attributes_schema, c.compliance_schema
+       ORDER BY p.created_at DESC`,
+      [req.user.id]
+    );
+    
+    // Flag products that no longer satisfy their category schemas
+    res.json(result.rows.map(({ attributes_schema, compliance_schema, ...product }) => ({
+      ...product,
+      attribute_errors: validateAttributes(attributes_schema, product.attributes).errors,
+      compliance_errors: validateComplianceInfo(
+        compliance_schema, product.compliance_info || {}, product.status === 'active'
+      ).errors
+    })));
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+// Retailer endpoints
+app.get('/api/products/available', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can access this endpoint' });
+  }
+  
+  const { category, search, page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
+  
+  let query = `
+    SELECT 
+      p.id,
+      p.uuid,
+      p.product_name,
+      p.sku,
+      p.description,
+      p.nicotine_strength,
+      p.volume_ml,
+      p.flavor,
+      p.images,
+      c.name as category_name,
+      m.company_name as manufacturer_name,
+      COUNT(DISTINCT pb.id) as available_batches,
+      SUM(pb.quantity_available) as total_available
+    FROM products p
+    JOIN manufacturers m ON p.manufacturer_id = m.id
+    JOIN product_categories c ON p.category_id = c.id
+    LEFT JOIN product_batches pb ON p.id = pb.product_id 
+      AND pb.quantity_available > 0 
+      AND pb.expiry_date > CURRENT_DATE
+      AND NOT EXISTS (
+        SELECT 1 FROM batch_recalls br WHERE br.batch_id = pb.id AND br.status = 'active'
+      )
+    WHERE p.status = 'active'
+      AND m.verification_status <> 'suspended'
+  `;
+  
+  const params = [];
+  let paramCount = 0;
+  
+  if (category) {
+    params.push(category);
+    query += ` AND c.slug IN ${categorySubtreeSlugs(`$${++paramCount}`)}`;
+  }
+  
+  if (search) {
+    params.push(search);
+    query += ` AND p.product_name ILIKE '%' || $${++paramCount} || '%'`;
+  }
+  
+  query += ' GROUP BY p.id, p.uuid, p.product_name, p.sku, p.description, p.nicotine_strength, p.volume_ml, p.flavor, p.images, c.name, m.company_name';
+  query += ' HAVING SUM(pb.quantity_available) > 0';
+  query += ' ORDER BY p.product_name';
+  
+  params.push(parseInt(limit));
+  params.push(parseInt(offset));
+  query += ` LIMIT $${++paramCount} OFFSET $${++paramCount}`;
+  
+  try {
+    const result = await pool.query(query, params);
+    
+    res.json({
+      success: true,
+      products: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: result.rows.length
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+// Add product to retailer inventory
+app.post('/api/inventory/add', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can manage inventory' });
+  }
+  
+  const {
+    product_id,
+    batch_id,
+    quantity,
+    price
+  } = req.body;
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // Get retailer ID
+    const retailerId = await getActivePartnerId(client, 'retailer', req.user.id);
+    
+    // Check batch availability
+    const batchResult = await client.query(
+      `SELECT pb.quantity_available, p.status as product_status,
+              m.verification_status as manufacturer_status,
+              EXISTS (
+                SELECT 1 FROM batch_recalls br WHERE br.batch_id = pb.id AND br.status = 'active'
+              ) as is_recalled
+       FROM product_batches pb
+       JOIN products p ON pb.product_id = p.id
+       JOIN manufacturers m ON p.manufacturer_id = m.id
+       WHERE pb.id = $1 AND pb.product_id = $2`,
+      [batch_id, product_id]
+    );
+    
+    if (batchResult.rows.length === 0 || batchResult.rows[0].quantity_available < quantity) {
+      throw new Error('Insufficient batch quantity available');
+    }
+    
+    if (batchResult.rows[0].manufacturer_status === 'suspended') {
+      throw new ApiError(403, 'Products from a suspended manufacturer cannot be stocked', 'MANUFACTURER_SUSPENDED');
+    }
+    
+    if (batchResult.rows[0].product_status === 'discontinued') {
+      throw new ApiError(409, 'Discontinued products cannot be stocked', 'PRODUCT_DISCONTINUED');
+    }
+    
+    if (batchResult.rows[0].is_recalled) {
+      throw new ApiError(409, 'Recalled batches cannot be stocked', 'BATCH_RECALLED');
+    }
+    
+    // Update or insert inventory
+    await client.query(
+      `INSERT INTO retailer_inventory 
+       (retailer_id, product_id, batch_id, quantity_in_stock, price)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (retailer_id, product_id, batch_id) 
+       DO UPDATE SET 
+         quantity_in_stock = retailer_inventory.quantity_in_stock + $4,
+         price = $5,
+         updated_at = CURRENT_TIMESTAMP`,
+      [retailerId, product_id, batch_id, quantity, price]
+    );
+    
+    // Update batch availability
+    await client.query(
+      'UPDATE product_batches SET quantity_available = quantity_available - $1 WHERE id = $2',
+      [quantity, batch_id]
+    );
+    
+    // Get manufacturer ID for movement record
+    const manufacturerResult = await client.query(
+      'SELECT manufacturer_id FROM products WHERE id = $1',
+      [product_id]
+    );
+    
+    // Record movement
+    await recordMovement(client, {
+      movement_type: 'ship_to_retailer',
+      product_id,
+      batch_id,
+      from_entity_type: 'manufacturer',
+      from_entity_id: manufacturerResult.rows[0].manufacturer_id,
+      to_entity_type: 'retailer',
+      to_entity_id: retailerId,
+      quantity,
+      unit_price: price
+    });
+    
+    await queueWebhookEvent(client, 'stock.shipped', [
+      { type: 'retailer', id: retailerId },
+      { type: 'manufacturer', id: manufacturerResult.rows[0].manufacturer_id }
+    ], {
+      source: 'manufacturer',
+      manufacturer_id: manufacturerResult.rows[0].manufacturer_id,
+      retailer_id: retailerId,
+      product_id,
+      batch_id,
+      quantity,
+      unit_price: price
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      message: 'Product added to inventory'
+    });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Inventory error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Retailer stock transfers: the source creates a transfer (stock leaves its
+// shelf), the destination accepts it (stock arrives) or rejects it (stock goes back)
+app.post('/api/transfers', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can transfer stock' });
+  }
+  
+  const { to_retailer_id, batch_id, notes } = req.body;
+  const quantity = parseInt(req.body.quantity);
+  
+  if (!to_retailer_id || !batch_id || !(quantity > 0)) {
+    return res.status(400).json({ error: 'to_retailer_id, batch_id and a positive quantity are required' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const fromRetailerId = await getActivePartnerId(client, 'retailer', req.user.id);
+    
+    if (fromRetailerId === parseInt(to_retailer_id)) {
+      throw new ApiError(400, 'Cannot transfer stock to the same retailer');
+    }
+    
+    const destinationResult = await client.query(
+      'SELECT verification_status FROM retailers WHERE id = $1',
+      [to_retailer_id]
+    );
+    
+    if (destinationResult.rows.length === 0) {
+      throw new ApiError(404, 'Destination retailer not found');
+    }
+    
+    if (destinationResult.rows[0].verification_status === 'suspended') {
+      throw new ApiError(409, 'Destination retailer is suspended', 'PARTNER_SUSPENDED');
+    }
+    
+    // Only active (not recalled), unexpired, unreserved stock can move
+    const stockResult = await client.query(
+      `UPDATE retailer_inventory ri
+       SET quantity_in_stock = ri.quantity_in_stock - $3
+       FROM product_batches pb
+       WHERE ri.batch_id = pb.id
+         AND ri.retailer_id = $1 AND ri.batch_id = $2
+         AND ri.is_active = TRUE
+         AND pb.expiry_date > CURRENT_DATE
+         AND ri.quantity_in_stock - ri.quantity_reserved >= $3
+       RETURNING ri.product_id, ri.price`,
+      [fromRetailerId, batch_id, quantity]
+    );
+    
+    if (stockResult.rows.length === 0) {
+      throw new ApiError(409, 'Not enough transferable stock of this batch', 'INSUFFICIENT_STOCK');
+    }
+    
+    const transferResult = await client.query(
+      `INSERT INTO stock_transfers 
+       (from_retailer_id, to_retailer_id, product_id, batch_id, quantity, unit_price, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        fromRetailerId,
+        to_retailer_id,
+        stockResult.rows[0].product_id,
+        batch_id,
+        quantity,
+        stockResult.rows[0].price,
+        notes || null,
+        req.user.id
+      ]
+    );
+    
+    // Stock leaving the source is in transit (entity id: the transfer) until
+    // it is accepted, or rejected or cancelled back to the source
+    const created = transferResult.rows[0];
+    const movementResult = await recordMovement(client, {
+      movement_type: 'transfer',
+      product_id: created.product_id,
+      batch_id: created.batch_id,
+      from_entity_type: 'retailer',
+      from_entity_id: created.from_retailer_id,
+      to_entity_type: 'transit',
+      to_entity_id: created.id,
+      quantity: created.quantity,
+      unit_price: created.unit_price,
+      transaction_metadata: { transfer_id: created.id },
+      notes: created.notes
+    });
+    
+    const linkResult = await client.query(
+      'UPDATE stock_transfers SET movement_id = $2 WHERE id = $1 RETURNING *',
+      [created.id, movementResult.rows[0].id]
+    );
+    const transfer = linkResult.rows[0];
+    
+    await logComplianceEvent(client, req, 'transfer_created', 'transfer', transfer.id, req.body);
+    
+    await queueWebhookEvent(client, 'stock.shipped', [{ type: 'retailer', id: transfer.to_retailer_id }], {
+      source: 'transfer',
+      transfer_id: transfer.id,
+      from_retailer_id: transfer.from_retailer_id,
+      retailer_id: transfer.to_retailer_id,
+      product_id: transfer.product_id,
+      batch_id: transfer.batch_id,
+      quantity: transfer.quantity,
+      unit_price: transfer.unit_price
+    });
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({ success: true, transfer });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Transfer creation error:', error);
+    res.status(500).json({ error: 'Failed to create transfer' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/transfers', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can view transfers' });
+  }
+  
+  const { direction, status } = req.query;
+  
+  let query = `
+    SELECT 
+      st.*,
+      fr.store_name as from_store_name,
+      tr.store_name as to_store_name,
+      p.product_name,
+      pb.batch_number
+    FROM stock_transfers st
+    JOIN retailers fr ON st.from_retailer_id = fr.id
+    JOIN retailers tr ON st.to_retailer_id = tr.id
+    JOIN products p ON st.product_id = p.id
+    JOIN product_batches pb ON st.batch_id = pb.id
+    WHERE
+  `;
+  
+  if (direction === 'incoming') {
+    query += ' tr.wp_user_id = $1';
+  } else if (direction === 'outgoing') {
+    query += ' fr.wp_user_id = $1';
+  } else {
+    query += ' (fr.wp_user_id = $1 OR tr.wp_user_id = $1)';
+  }
+  
+  const params = [req.user.id];
+  
+  if (status) {
+    params.push(status);
+    query += ' AND st.status = $2';
+  }
+  
+  query += ' ORDER BY st.created_at DESC';
+  
+  try {
+    const result = await pool.query(query, params);
+    res.json({ success: true, transfers: result.rows });
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({ error: 'Failed to fetch transfers' });
+  }
+});
+
+// Lock a pending transfer that the caller is allowed to act on
+const getPendingTransfer = async (client, transferId, retailerId, side) => {
+  const transferResult = await client.query(
+    'SELECT * FROM stock_transfers WHERE id = $1 FOR UPDATE',
+    [transferId]
+  );
+  
+  if (transferResult.rows.length === 0) {
+    throw new ApiError(404, 'Transfer not found');
+  }
+  
+  const transfer = transferResult.rows[0];
+  const ownerId = side === 'destination' ? transfer.to_retailer_id : transfer.from_retailer_id;
+  
+  if (ownerId !== retailerId) {
+    throw new ApiError(403, 'Unauthorized');
+  }
+  
+  if (transfer.status !== 'pending') {
+    throw new ApiError(409, `Transfer is already ${transfer.status}`);
+  }
+  
+  return transfer;
+};
+
+app.post('/api/transfers/:id/accept', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can accept transfers' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const retailerId = await getActivePartnerId(client, 'retailer', req.user.id);
+    const transfer = await getPendingTransfer(client, req.params.id, retailerId, 'destination');
+    
+    // The batch may have been recalled or expired while the stock was in transit
+    if (await getActiveRecallId(client, transfer.batch_id)) {
+      throw new ApiError(409, 'Batch was recalled; the sender must cancel this transfer', 'BATCH_RECALLED');
+    }
+    
+    const expiryResult = await client.query(
+      'SELECT expiry_date <= CURRENT_DATE as is_expired FROM product_batches WHERE id = $1',
+      [transfer.batch_id]
+    );
+    
+    if (expiryResult.rows[0].is_expired) {
+      throw new ApiError(409, 'Batch has expired; the sender must cancel this transfer', 'BATCH_EXPIRED');
+    }
+    
+    // Existing stock keeps its shelf price unless the destination sets one
+    const price = req.body.price || transfer.unit_price;
+    await client.query(
+      `INSERT INTO retailer_inventory 
+       (retailer_id, product_id, batch_id, quantity_in_stock, price, last_restocked)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+       ON CONFLICT (retailer_id, product_id, batch_id) 
+       DO UPDATE SET 
+         quantity_in_stock = retailer_inventory.quantity_in_stock + $4,
+         price = COALESCE($6, retailer_inventory.price),
+         last_restocked = CURRENT_TIMESTAMP`,
+      [retailerId, transfer.product_id, transfer.batch_id, transfer.quantity, price, req.body.price || null]
+    );
+    
+    await recordMovement(client, {
+      movement_type: 'transfer',
+      product_id: transfer.product_id,
+      batch_id: transfer.batch_id,
+      from_entity_type: 'transit',
+      from_entity_id: transfer.id,
+      to_entity_type: 'retailer',
+      to_entity_id: retailerId,
+      quantity: transfer.quantity,
+      unit_price: transfer.unit_price,
+      transaction_metadata: { transfer_id: transfer.id, transfer_status: 'accepted' }
+    });
+    
+    await client.query(
+      `UPDATE stock_transfers
+       SET status = 'accepted', responded_by = $2, responded_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [transfer.id, req.user.id]
+    );
+    
+    await logComplianceEvent(client, req, 'transfer_accepted', 'transfer', transfer.id, {
+      quantity: transfer.quantity,
+      price
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, transfer_id: transfer.id, status: 'accepted' });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Transfer accept error:', error);
+    res.status(500).json({ error: 'Failed to accept transfer' });
+  } finally {
+    client.release();
+  }
+});
+
+// Puts a pending transfer's stock back on the source shelf, recording it
+// coming out of transit. Also used when a recall cancels stock in transit.
+const returnTransferToSource = async (client, transfer, newStatus, userId, note) => {
+  await client.query(
+    `UPDATE retailer_inventory
+     SET quantity_in_stock = quantity_in_stock + $3
+     WHERE retailer_id = $1 AND batch_id = $2`,
+    [transfer.from_retailer_id, transfer.batch_id, transfer.quantity]
+  );
+  
+  await recordMovement(client, {
+    movement_type: 'transfer',
+    product_id: transfer.product_id,
+    batch_id: transfer.batch_id,
+    from_entity_type: 'transit',
+    from_entity_id: transfer.id,
+    to_entity_type: 'retailer',
+    to_entity_id: transfer.from_retailer_id,
+    quantity: transfer.quantity,
+    unit_price: transfer.unit_price,
+    transaction_metadata: { transfer_id: transfer.id, transfer_status: newStatus },
+    notes: note
+  });
+  
+  await client.query(
+    `UPDATE stock_transfers
+     SET status = $2, responded_by = $3, responded_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [transfer.id, newStatus, userId]
+  );
+};
+
+// Reject (destination) and cancel (source) both put the stock back on the source shelf
+const closeTransfer = (newStatus) => async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can manage transfers' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const retailerId = await getActivePartnerId(client, 'retailer', req.user.id);
+    const transfer = await getPendingTransfer(
+      client, req.params.id, retailerId, newStatus === 'rejected' ? 'destination' : 'source'
+    );
+    
+    await returnTransferToSource(
+      client, transfer, newStatus, req.user.id, req.body.reason || `Transfer ${newStatus}`
+    );
+    
+    await logComplianceEvent(client, req, `transfer_${newStatus}`, 'transfer', transfer.id, {
+      reason: req.body.reason || null
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, transfer_id: transfer.id, status: newStatus });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Transfer update error:', error);
+    res.status(500).json({ error: 'Failed to update transfer' });
+  } finally {
+    client.release();
+  }
+};
+
+app.post('/api/transfers/:id/reject', authenticateWPUser, closeTransfer('rejected'));
+app.post('/api/transfers/:id/cancel', authenticateWPUser, closeTransfer('cancelled'));
+
+// Category tree with product counts; total_product_count includes descendants
+app.get('/api/categories', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT 
+        c.id,
+        c.name,
+        c.slug,
+        c.parent_id,
+        c.attributes_schema,
+        c.compliance_schema,
+        COUNT(p.id) as product_count
+       FROM product_categories c
+       LEFT JOIN products p ON p.category_id = c.id AND p.status = 'active'
+         AND EXISTS (
+           SELECT 1 FROM manufacturers m
+           WHERE m.id = p.manufacturer_id AND m.verification_status <> 'suspended'
+         )
+       GROUP BY c.id
+       ORDER BY c.name`
+    );
+    
+    const nodes = new Map(result.rows.map(row => [row.id, {
+      ...row,
+      product_count: parseInt(row.product_count),
+      total_product_count: 0,
+      children: []
+    }]));
+    
+    const roots = [];
+    nodes.forEach(node => {
+      const parent = nodes.get(node.parent_id);
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+    
+    const countSubtree = (node) => {
+      node.total_product_count = node.children.reduce(
+        (sum, child) => sum + countSubtree(child), node.product_count
+      );
+      return node.total_product_count;
+    };
+    roots.forEach(countSubtree);
+    
+    res.json({
+      success: true,
+      categories: roots
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+// Store locator and opening hours
+const NEARBY_MAX_RADIUS_KM = 50;
+const OPEN_AT_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// business_hours as a week in order; a close at or before open runs past midnight
+const describeOpeningHours = (hours) => WEEKDAYS.map(day => {
+  const slot = hours && hours[day];
+  return slot
+    ? { day, closed: false, open: slot.open, close: slot.close, overnight: slot.close <= slot.open }
+    : { day, closed: true, open: null, close: null, overnight: false };
+});
+
+// SQL for the moment a store should be open, given open_at and its parameter
+// slot. With an offset open_at is one instant; without one it is wall-clock
+// time in each store's own timezone, so "2024-06-01T18:00" means 6pm locally.
+// Returns null for an invalid open_at.
+const openAtSql = (openAt, param) => {
+  if (!openAt) {
+    return 'CURRENT_TIMESTAMP';
+  }
+  
+  const match = OPEN_AT_PATTERN.exec(String(openAt).trim());
+  if (!match || isNaN(Date.parse(openAt))) {
+    return null;
+  }
+  
+  return match[1] ? `${param}::timestamptz` : `(${param}::timestamp AT TIME ZONE r.timezone)`;
+};
+
+// Location search can answer as GeoJSON for the map, and take a bounding box
+// (bbox=minLng,minLat,maxLng,maxLat) instead of lat, lng and a radius
+const wantsGeoJson = (req) => {
+  return req.query.format === 'geojson' || (req.get('Accept') || '').includes('application/geo+json');
+};
+
+// Returns [minLng, minLat, maxLng, maxLat], null when no bbox was sent, or an error string
+const parseBbox = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  
+  const box = String(value).split(',').map(Number);
+  
+  if (box.length !== 4 || box.some(isNaN)) {
+    return 'bbox must be minLng,minLat,maxLng,maxLat';
+  }
+  
+  const [minLng, minLat, maxLng, maxLat] = box;
+  
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90 || minLng >= maxLng || minLat >= maxLat) {
+    return 'bbox must be minLng,minLat,maxLng,maxLat within valid coordinates';
+  }
+  
+  return box;
+};
+
+// SQL condition keeping retailers inside the bbox whose four values were pushed from firstParam
+const bboxCondition = (firstParam) => {
+  const [a, b, c, d] = [0, 1, 2, 3].map(i => `$${firstParam + i}`);
+  return `ST_Intersects(r.location::geometry, ST_MakeEnvelope(${a}, ${b}, ${c}, ${d}, 4326))`;
+};
+
+const sendFeatureCollection = (res, features, extra = {}) => {
+  res.type('application/geo+json').json({ type: 'FeatureCollection', ...extra, features });
+};
+
+const retailerFeature = ({ latitude, longitude, ...properties }) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [longitude, latitude] },
+  properties
+});
+
+app.get('/api/retailers/nearby', async (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
+  const hasPoint = !isNaN(lat) && !isNaN(lng);
+  const bbox = parseBbox(req.query.bbox);
+  const radius = Math.min(Math.max(parseInt(req.query.radius_km) || 10, 1), NEARBY_MAX_RADIUS_KM);
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const { open_now, open_at } = req.query;
+  
+  if (typeof bbox === 'string') {
+    return res.status(400).json({ error: bbox });
+  }
+  
+  if ((!bbox && !hasPoint) || (hasPoint && (lat < -90 || lat > 90 || lng < -180 || lng > 180))) {
+    return res.status(400).json({ error: 'lat and lng (or bbox) are required and must be valid coordinates' });
+  }
+  
+  const params = [limit];
+  const conditions = [];
+  let source;
+  let distance = 'NULL::float8';
+  
+  if (bbox) {
+    // Distances are still given when the map also sends the user's position
+    source = 'retailers r';
+    conditions.push(`r.verification_status = 'verified'`);
+    params.push(...bbox);
+    conditions.push(bboxCondition(2));
+    if (hasPoint) {
+      params.push(lat, lng);
+      distance = `ST_Distance(r.location, ST_MakePoint($${params.length}, $${params.length - 1})::geography) / 1000`;
+    }
+  } else {
+    params.push(lat, lng, radius);
+    source = 'find_nearby_retailers($2, $3, $4) n JOIN retailers r ON r.id = n.retailer_id';
+    distance = 'n.distance_km';
+  }
+  
+  if (open_at) {
+    params.push(String(open_at).trim());
+  }
+  
+  const openAt = openAtSql(open_at, `$${params.length}`);
+  if (!openAt) {
+    return res.status(400).json({ error: 'open_at must be a date and time, e.g. 2024-06-01T18:00' });
+  }
+  
+  if (open_now === 'true' || open_at) {
+    conditions.push(`retailer_is_open(r.business_hours, r.timezone, ${openAt})`);
+  }
+  
+  try {
+    const result = await pool.query(
+      `SELECT 
+        r.id,
+        r.store_name,
+        r.address,
+        r.phone,
+        ST_Y(r.location::geometry) as latitude,
+        ST_X(r.location::geometry) as longitude,
+        ROUND((${distance})::numeric, 2) as distance_km,
+        r.business_hours,
+        r.timezone,
+        retailer_is_open(r.business_hours, r.timezone, ${openAt}) as is_open
+       FROM ${source}
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY distance_km NULLS LAST, r.store_name
+       LIMIT $1`,
+      params
+    );
+    
+    const retailers = result.rows.map(({ business_hours, ...retailer }) => ({
+      ...retailer,
+      opening_hours: describeOpeningHours(business_hours)
+    }));
+    
+    if (wantsGeoJson(req)) {
+      return sendFeatureCollection(res, retailers.map(retailerFeature), { open_at: open_at || null });
+    }
+    
+    res.json({
+      success: true,
+      open_at: open_at || null,
+      retailers
+    });
+    
+  } catch (error) {
+    console.error('Nearby retailers error:', error);
+    res.status(500).json({ error: 'Failed to find nearby retailers' });
+  }
+});
+
+// Consumer search endpoint with PostGIS
+app.get('/api/search/products', async (req, res) => {
+  const { q, lat, lng, radius = 10, open_now } = req.query;
+  const bbox = parseBbox(req.query.bbox);
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  
+  if (!q) {
+    return res.status(400).json({ error: 'Search query required' });
+  }
+  
+  if (typeof bbox === 'string') {
+    return res.status(400).json({ error: bbox });
+  }
+  
+  const params = [q, limit];
+  const conditions = [];
+  let distance = 'NULL::float8';
+  
+  if (lat && lng) {
+    params.push(parseFloat(lat), parseFloat(lng));
+    distance = 'ST_Distance(r.location, ST_MakePoint($4, $3)::geography) / 1000';
+  }
+  
+  // A bbox replaces the radius; lat and lng then only give distances
+  if (bbox) {
+    params.push(...bbox);
+    conditions.push(bboxCondition(params.length - 3));
+  } else if (lat && lng) {
+    params.push(parseInt(radius));
+    conditions.push(`ST_DWithin(r.location, ST_MakePoint($4, $3)::geography, $${params.length} * 1000)`);
+  }
+  
+  if (open_now === 'true') {
+    conditions.push('retailer_is_open(r.business_hours, r.timezone)');
+  }
+  
+  try {
+    const result = await pool.query(
+      `SELECT 
+        p.id,
+        p.uuid,
+        p.product_name,
+        p.description,
+        p.nicotine_strength,
+        p.flavor,
+        p.images,
+        r.id as retailer_id,
+        r.store_name,
+        r.address,
+        ST_Y(r.location::geometry) as latitude,
+        ST_X(r.location::geometry) as longitude,
+        ${distance} as distance_km,
+        retailer_is_open(r.business_hours, r.timezone) as open_now,
+        ri.price,
+        ri.quantity_in_stock - ri.quantity_reserved as quantity_available,
+        pb.id as batch_id,
+        pb.batch_number,
+        pb.expiry_date
+      FROM products p
+      JOIN retailer_inventory ri ON p.id = ri.product_id
+      JOIN retailers r ON ri.retailer_id = r.id
+      JOIN product_batches pb ON ri.batch_id = pb.id
+      JOIN manufacturers m ON p.manufacturer_id = m.id
+      WHERE ri.is_active = TRUE 
+        AND ri.quantity_in_stock > ri.quantity_reserved
+        AND pb.expiry_date > CURRENT_DATE
+        AND r.verification_status = 'verified'
+        AND m.verification_status <> 'suspended'
+        AND (p.product_name ILIKE '%' || $1 || '%' OR $1 <% p.product_name)
+        ${conditions.map(condition => `AND ${condition}`).join('\n        ')}
+      ORDER BY distance_km NULLS LAST, ri.price
+      LIMIT $2`,
+      params
+    );
+    
+    const batchInfo = (row) => ({
+      batch_id: row.batch_id,
+      batch_number: row.batch_number,
+      expiry_date: row.expiry_date
+    });
+    
+    // Map mode: one point per retailer carrying the matching products it stocks
+    if (wantsGeoJson(req)) {
+      const retailers = result.rows.reduce((acc, row) => {
+        if (!acc[row.retailer_id]) {
+          acc[row.retailer_id] = {
+            retailer_id: row.retailer_id,
+            store_name: row.store_name,
+            address: row.address,
+            latitude: row.latitude,
+            longitude: row.longitude,
+            distance_km: row.distance_km,
+            open_now: row.open_now,
+            products: []
+          };
+        }
+        
+        acc[row.retailer_id].products.push({
+          id: row.id,
+          uuid: row.uuid,
+          product_name: row.product_name,
+          nicotine_strength: row.nicotine_strength,
+          flavor: row.flavor,
+          price: row.price,
+          in_stock: row.quantity_available > 0,
+          quantity_available: row.quantity_available,
+          batch_info: batchInfo(row)
+        });
+        
+        return acc;
+      }, {});
+      
+      return sendFeatureCollection(res, Object.values(retailers).map(retailerFeature));
+    }
+    
+    // Group by product
+    const products = result.rows.reduce((acc, row) => {
+      const productKey = row.id;
+      
+      if (!acc[productKey]) {
+        acc[productKey] = {
+          id: row.id,
+          uuid: row.uuid,
+          product_name: row.product_name,
+          description: row.description,
+          nicotine_strength: row.nicotine_strength,
+          flavor: row.flavor,
+          images: row.images,
+          retailers: []
+        };
+      }
+      
+      acc[productKey].retailers.push({
+        retailer_id: row.retailer_id,
+        store_name: row.store_name,
+        address: row.address,
+        latitude: row.latitude,
+        longitude: row.longitude,
+        distance_km: row.distance_km,
+        open_now: row.open_now,
+        price: row.price,
+        in_stock: row.quantity_available > 0,
+        quantity_available: row.quantity_available,
+        batch_info: batchInfo(row)
+      });
+      
+      return acc;
+    }, {});
+    
+    res.json({
+      success: true,
+      products: Object.values(products)
+    });
+    
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Faceted search over the materialized view. Prices and stock come live from
+// retailer_inventory (sellable stock at verified retailers), so they don't wait
+// for a view refresh. List filters (manufacturer, flavor, strength) take
+// comma-separated values.
+const STRENGTH_BANDS = [
+  { value: 'nicotine_free', label: '0 mg/ml', max: 0 },
+  { value: 'low', label: 'Up to 6 mg/ml', max: 6 },
+  { value: 'medium', label: '6-12 mg/ml', max: 12 },
+  { value: 'high', label: '12-20 mg/ml', max: 20 },
+  { value: 'very_high', label: 'Over 20 mg/ml', max: null }
+];
+
+const PRICE_BANDS = [
+  { value: 'up_to_10', label: 'Up to 10', max: 10 },
+  { value: '10_20', label: '10-20', max: 20 },
+  { value: '20_50', label: '20-50', max: 50 },
+  { value: 'over_50', label: 'Over 50', max: null }
+];
+
+const SEARCH_SORTS = {
+  relevance: 'relevance DESC, product_name',
+  price_asc: 'min_price ASC NULLS LAST, product_name',
+  price_desc: 'min_price DESC NULLS LAST, product_name',
+  rating: 'average_rating DESC NULLS LAST, review_count DESC',
+  newest: 'created_at DESC'
+};
+
+// SQL CASE putting a column into bands; a band covers values up to and including its max
+const bandCase = (column, bands) => `CASE
+  WHEN ${column} IS NULL THEN NULL
+  ${bands.map(band => band.max === null
+    ? `ELSE '${band.value}'`
+    : `WHEN ${column} <= ${band.max} THEN '${band.value}'`).join('\n  ')}
+END`;
+
+// Below this many full-text matches, search v2 also matches by trigram similarity
+const SEARCH_FUZZY_THRESHOLD = 5;
+
+// Names, flavours, manufacturers and categories spelled like the query
+const suggestSpellings = async (q) => {
+  const result = await pool.query(
+    `SELECT term
+     FROM (
+       SELECT product_name as term FROM product_search_view
+       UNION SELECT flavor FROM product_search_view WHERE flavor IS NOT NULL
+       UNION SELECT manufacturer_name FROM product_search_view
+       UNION SELECT name FROM product_categories
+     ) terms
+     WHERE term % $1 AND lower(term) <> lower($1)
+     ORDER BY similarity(term, $1) DESC
+     LIMIT 3`,
+    [q]
+  );
+  
+  return result.rows.map(row => row.term);
+};
+
+const splitList = (value) => value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+
+app.get('/api/search/v2/products', async (req, res) => {
+  const {
+    q, category, min_rating, min_price, max_price, in_stock, open_now,
+    sort = q ? 'relevance' : 'newest'
+  } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const offset = (page - 1) * limit;
+  
+  if (!SEARCH_SORTS[sort]) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(SEARCH_SORTS).join(', ')}` });
+  }
+  
+  const buildBase = (fuzzy) => `
+    WITH offers AS (
+      SELECT 
+        ri.product_id,
+        MIN(LEAST(ri.price, ri.discount_price)) as min_price,
+        MAX(LEAST(ri.price, ri.discount_price)) as max_price,
+        SUM(ri.quantity_in_stock - ri.quantity_reserved) as quantity_available
+      FROM retailer_inventory ri
+      JOIN retailers r ON ri.retailer_id = r.id
+      JOIN product_batches pb ON ri.batch_id = pb.id
+      WHERE ri.is_active = TRUE
+        AND ri.quantity_in_stock > ri.quantity_reserved
+        AND pb.expiry_date > CURRENT_DATE
+        AND r.verification_status = 'verified'
+        AND NOT EXISTS (
+          SELECT 1 FROM batch_recalls br WHERE br.batch_id = pb.id AND br.status = 'active'
+        )
+        ${open_now === 'true' ? 'AND retailer_is_open(r.business_hours, r.timezone)' : ''}
+      GROUP BY ri.product_id
+    ),
+    matches AS (
+      SELECT 
+        v.id, v.uuid, v.product_name, v.sku, v.description, v.nicotine_strength,
+        v.flavor, v.images, v.created_at, v.category_name, v.category_slug,
+        v.manufacturer_id, v.manufacturer_name, v.retailer_count,
+        ROUND(v.average_rating, 2) as average_rating, v.review_count,
+        o.min_price,
+        o.max_price,
+        COALESCE(o.quantity_available, 0) > 0 as in_stock,
+        ${bandCase('v.nicotine_strength', STRENGTH_BANDS)} as strength_band,
+        ${bandCase('o.min_price', PRICE_BANDS)} as price_band,
+        CASE 
+          WHEN $1 = '' THEN 0
+          ELSE ts_rank(v.search_vector, plainto_tsquery('english', $1)) + word_similarity($1, v.search_text)
+        END as relevance
+      FROM product_search_view v
+      LEFT JOIN offers o ON o.product_id = v.id
+      WHERE $1 = ''
+        OR v.search_vector @@ plainto_tsquery('english', $1)
+        ${fuzzy ? 'OR $1 <% v.search_text' : ''}
+    )
+  `;
+  
+  const params = [q || ''];
+  let paramCount = 1;
+  
+  // Each facet's counts apply every filter but its own
+  const filters = {};
+  
+  if (category) {
+    params.push(category);
+    filters.category = `category_slug IN ${categorySubtreeSlugs(`$${++paramCount}`)}`;
+  }
+  
+  const manufacturers = splitList(req.query.manufacturer).map(id => parseInt(id)).filter(id => !isNaN(id));
+  if (manufacturers.length > 0) {
+    params.push(manufacturers);
+    filters.manufacturer = `manufacturer_id = ANY($${++paramCount}::int[])`;
+  }
+  
+  const flavors = splitList(req.query.flavor).map(flavor => flavor.toLowerCase());
+  if (flavors.length > 0) {
+    params.push(flavors);
+    filters.flavor = `LOWER(flavor) = ANY($${++paramCount}::text[])`;
+  }
+  
+  const strengths = splitList(req.query.strength);
+  if (strengths.length > 0) {
+    params.push(strengths);
+    filters.strength = `strength_band = ANY($${++paramCount}::text[])`;
+  }
+  
+  // Price takes the facet's band values and/or a min_price/max_price range
+  const priceConditions = [];
+  const priceBands = splitList(req.query.price);
+  if (priceBands.length > 0) {
+    params.push(priceBands);
+    priceConditions.push(`price_band = ANY($${++paramCount}::text[])`);
+  }
+  if (min_price) {
+    params.push(parseFloat(min_price));
+    priceConditions.push(`min_price >= $${++paramCount}`);
+  }
+  if (max_price) {
+    params.push(parseFloat(max_price));
+    priceConditions.push(`min_price <= $${++paramCount}`);
+  }
+  if (priceConditions.length > 0) {
+    filters.price = priceConditions.join(' AND ');
+  }
+  
+  if (in_stock === 'true' || in_stock === 'false') {
+    filters.in_stock = in_stock === 'true' ? 'in_stock' : 'NOT in_stock';
+  }
+  
+  if (min_rating) {
+    params.push(parseFloat(min_rating));
+    filters.rating = `average_rating >= $${++paramCount}`;
+  }
+  
+  // Offers are already limited to open stores; keep only products they stock
+  if (open_now === 'true') {
+    filters.open_now = 'in_stock';
+  }
+  
+  const where = (except) => {
+    const conditions = Object.entries(filters)
+      .filter(([name]) => name !== except)
+      .map(([, condition]) => `(${condition})`);
+    return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+  };
+  
+  const facetQuery = (facet, value, label) => `
+    SELECT '${facet}' as facet, (${value})::text as value, MIN((${label})::text) as label, COUNT(*) as count
+    FROM matches
+    WHERE ${value} IS NOT NULL AND ${where(facet)}
+    GROUP BY ${value}
+  `;
+  
+  try {
+    // Full-text search first; when it finds few products, fall back to
+    // trigram matching so typos and partial words still find something
+    let fuzzy = false;
+    
+    if (q) {
+      const exactResult = await pool.query(
+        `SELECT COUNT(*) as count FROM product_search_view WHERE search_vector @@ plainto_tsquery('english', $1)`,
+        [q]
+      );
+      fuzzy = parseInt(exactResult.rows[0].count) < SEARCH_FUZZY_THRESHOLD;
+    }
+    
+    const base = buildBase(fuzzy);
+    
+    const [productResult, countResult, facetResult, didYouMean] = await Promise.all([
+      pool.query(
+        `${base}
+         SELECT * FROM matches
+         WHERE ${where()}
+         ORDER BY ${SEARCH_SORTS[sort]}
+         LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`${base} SELECT COUNT(*) as total FROM matches WHERE ${where()}`, params),
+      pool.query(
+        `${base}
+         ${[
+           facetQuery('category', 'category_slug', 'category_name'),
+           facetQuery('manufacturer', 'manufacturer_id', 'manufacturer_name'),
+           facetQuery('flavor', 'LOWER(flavor)', 'flavor'),
+           facetQuery('strength', 'strength_band', 'strength_band'),
+           facetQuery('price', 'price_band', 'price_band'),
+           facetQuery('in_stock', 'in_stock', 'in_stock')
+         ].join(' UNION ALL ')}
+         ORDER BY facet, count DESC, label`,
+        params
+      ),
+      fuzzy ? suggestSpellings(q) : []
+    ]);
+    
+    const bandLabels = {
+      strength: Object.fromEntries(STRENGTH_BANDS.map(band => [band.value, band.label])),
+      price: Object.fromEntries(PRICE_BANDS.map(band => [band.value, band.label]))
+    };
+    
+    const facets = { category: [], manufacturer: [], flavor: [], strength: [], price: [], in_stock: [] };
+    facetResult.rows.forEach(row => {
+      facets[row.facet].push({
+        value: row.value,
+        label: bandLabels[row.facet] ? bandLabels[row.facet][row.value] : row.label,
+        count: parseInt(row.count)
+      });
+    });
+    
+    res.json({
+      success: true,
+      products: productResult.rows.map(({ strength_band, price_band, relevance, ...product }) => product),
+      facets,
+      fuzzy_matched: fuzzy,
+      did_you_mean: didYouMean,
+      pagination: {
+        page,
+        limit,
+        total: parseInt(countResult.rows[0].total)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Search v2 error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Autocomplete for the search box. value is what to search or filter by:
+// a product id, flavour, manufacturer id or category slug.
+app.get('/api/search/suggest', async (req, res) => {
+  const q = (req.query.q || '').trim();
+  const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+  
+  if (q.length < 2) {
+    return res.json({ success: true, suggestions: [] });
+  }
+  
+  // Prefix matches rank first, then the closest trigram matches
+  const prefix = `${q.replace(/[\\%_]/g, '\\$&')}%`;
+  
+  try {
+    const result = await pool.query(
+      `SELECT type, label, value
+       FROM (
+         SELECT 'product' as type, product_name as label, id::text as value, product_name as term
+         FROM product_search_view
+         WHERE product_name ILIKE $2 OR $1 <% product_name
+         UNION
+         SELECT 'flavor', flavor, flavor, flavor
+         FROM product_search_view
+         WHERE flavor ILIKE $2 OR $1 <% flavor
+         UNION
+         SELECT 'manufacturer', manufacturer_name, manufacturer_id::text, manufacturer_name
+         FROM product_search_view
+         WHERE manufacturer_name ILIKE $2 OR $1 <% manufacturer_name
+         UNION
+         SELECT 'category', name, slug, name
+         FROM product_categories
+         WHERE name ILIKE $2 OR $1 <% name
+       ) matches
+       ORDER BY (term ILIKE $2) DESC, word_similarity($1, term) DESC, length(term)
+       LIMIT $3`,
+      [q, prefix, limit]
+    );
+    
+    res.json({ success: true, suggestions: result.rows });
+  } catch (error) {
+    console.error('Suggest error:', error);
+    res.status(500).json({ error: 'Suggest failed' });
+  }
+});
+
+// Product reviews. Anyone can read; consumers write one review per product.
+// Reviews from buyers of the product are marked is_verified_purchase.
+const REVIEW_SORTS = {
+  newest: 'pr.created_at DESC',
+  oldest: 'pr.created_at ASC',
+  highest: 'pr.rating DESC, pr.created_at DESC',
+  lowest: 'pr.rating ASC, pr.created_at DESC',
+  helpful: 'pr.helpful_count DESC, pr.created_at DESC'
+};
+
+const validateReviewInput = (body, partial) => {
+  if (body.rating !== undefined || !partial) {
+    if (!Number.isInteger(body.rating) || body.rating < 1 || body.rating > 5) {
+      return 'rating must be a whole number from 1 to 5';
+    }
+  }
+  
+  if (body.title && String(body.title).length > 255) {
+    return 'title must be at most 255 characters';
+  }
+  
+  if (body.review && String(body.review).length > 5000) {
+    return 'review must be at most 5000 characters';
+  }
+  
+  return null;
+};
+
+// Latest purchase of the product by the user, or null
+const findVerifiedPurchase = async (client, wpUserId, productId) => {
+  const result = await client.query(
+    `SELECT cp.id
+     FROM consumer_purchases cp
+     JOIN purchase_items pi ON pi.purchase_id = cp.id
+     WHERE cp.wp_user_id = $1 AND pi.product_id = $2
+     ORDER BY cp.purchase_date DESC
+     LIMIT 1`,
+    [wpUserId, productId]
+  );
+  
+  return result.rows[0] ? result.rows[0].id : null;
+};
+
+// Lock a review, checking the caller wrote it (admins may act on any review)
+const getOwnedReviewForUpdate = async (client, reviewId, user) => {
+  const reviewResult = await client.query(
+    'SELECT * FROM product_reviews WHERE id = $1 FOR UPDATE',
+    [reviewId]
+  );
+  
+  if (reviewResult.rows.length === 0) {
+    throw new ApiError(404, 'Review not found');
+  }
+  
+  const review = reviewResult.rows[0];
+  
+  if (review.wp_user_id !== parseInt(user.id) && user.type !== 'admin') {
+    throw new ApiError(403, 'Unauthorized');
+  }
+  
+  return review;
+};
+
+app.get('/api/products/:id/reviews', async (req, res) => {
+  const { sort = 'newest', page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
+  
+  if (!REVIEW_SORTS[sort]) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+  }
+  
+  try {
+    const summaryResult = await pool.query(
+      `SELECT 
+        ROUND(AVG(rating), 2) as average_rating,
+        COUNT(*) as review_count,
+        COUNT(*) FILTER (WHERE is_verified_purchase) as verified_count,
+        jsonb_build_object(
+          '1', COUNT(*) FILTER (WHERE rating = 1),
+          '2', COUNT(*) FILTER (WHERE rating = 2),
+          '3', COUNT(*) FILTER (WHERE rating = 3),
+          '4', COUNT(*) FILTER (WHERE rating = 4),
+          '5', COUNT(*) FILTER (WHERE rating = 5)
+        ) as rating_distribution
+       FROM product_reviews
+       WHERE product_id = $1 AND status IN ('published', 'flagged')`,
+      [req.params.id]
+    );
+    
+    // Public listing: reviewers' WP user ids are not exposed
+    const reviewResult = await pool.query(
+      `SELECT 
+        pr.id,
+        pr.rating,
+        pr.title,
+        pr.review,
+        pr.is_verified_purchase,
+        pr.helpful_count,
+        pr.created_at,
+        pr.updated_at
+       FROM product_reviews pr
+       WHERE pr.product_id = $1 AND pr.status IN ('published', 'flagged')
+       ORDER BY ${REVIEW_SORTS[sort]}
+       LIMIT $2 OFFSET $3`,
+      [req.params.id, parseInt(limit), parseInt(offset)]
+    );
+    
+    const summary = summaryResult.rows[0];
+    
+    res.json({
+      success: true,
+      summary,
+      reviews: reviewResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(summary.review_count)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+app.post('/api/products/:id/reviews', verifyWPToken, async (req, res) => {
+  if (req.user.type && req.user.type !== 'consumer') {
+    return res.status(403).json({ error: 'Only consumers can review products' });
+  }
+  
+  const validationError = validateReviewInput(req.body, false);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const { rating, title, review } = req.body;
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const productResult = await client.query(
+      'SELECT id, status FROM products WHERE id = $1',
+      [req.params.id]
+    );
+    
+    if (productResult.rows.length === 0 || productResult.rows[0].status === 'draft') {
+      throw new ApiError(404, 'Product not found');
+    }
+    
+    const purchaseId = await findVerifiedPurchase(client, req.user.id, req.params.id);
+    
+    const reviewResult = await client.query(
+      `INSERT INTO product_reviews 
+       (product_id, wp_user_id, purchase_id, rating, title, review, is_verified_purchase)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [req.params.id, req.user.id, purchaseId, rating, title || null, review || null, purchaseId !== null]
+    );
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({ success: true, review: reviewResult.rows[0] });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'You have already reviewed this product; edit your review instead' });
+    }
+    console.error('Review creation error:', error);
+    res.status(500).json({ error: 'Failed to create review' });
+  } finally {
+    client.release();
+  }
+});
+
+app.put('/api/reviews/:id', verifyWPToken, async (req, res) => {
+  const validationError = validateReviewInput(req.body, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const existing = await getOwnedReviewForUpdate(client, req.params.id, { id: req.user.id });
+    
+    // A purchase made since the review was written now counts
+    const purchaseId = await findVerifiedPurchase(client, existing.wp_user_id, existing.product_id);
+    
+    // Fields left out are kept; title or review sent as null (or empty) are cleared.
+    // Rewriting a reported or hidden review sends it back to moderation.
+    const reviewResult = await client.query(
+      `UPDATE product_reviews SET
+         rating = COALESCE($2, rating),
+         title = CASE WHEN $3 THEN $4 ELSE title END,
+         review = CASE WHEN $5 THEN $6 ELSE review END,
+         purchase_id = $7,
+         is_verified_purchase = $7 IS NOT NULL,
+         status = CASE WHEN status IN ('flagged', 'hidden') THEN 'pending' ELSE status END
+       WHERE id = $1
+       RETURNING *`,
+      [
+        existing.id,
+        req.body.rating || null,
+        req.body.title !== undefined,
+        req.body.title || null,
+        req.body.review !== undefined,
+        req.body.review || null,
+        purchaseId
+      ]
+    );
+    
+    if (existing.status === 'flagged' || existing.status === 'hidden') {
+      await logComplianceEvent(client, req, 'review_resubmitted', 'review', existing.id, {
+        previous_status: existing.status,
+        before: { rating: existing.rating, title: existing.title, review: existing.review }
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, review: reviewResult.rows[0] });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Review update error:', error);
+    res.status(500).json({ error: 'Failed to update review' });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/reviews/:id', verifyWPToken, async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const review = await getOwnedReviewForUpdate(client, req.params.id, req.user);
+    
+    await client.query('DELETE FROM product_reviews WHERE id = $1', [review.id]);
+    
+    // Reviews removed by an admin are kept in the audit trail
+    if (review.wp_user_id !== parseInt(req.user.id)) {
+      await logComplianceEvent(client, req, 'review_deleted', 'review', review.id, review);
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, message: 'Review deleted' });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Review deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete review' });
+  } finally {
+    client.release();
+  }
+});
+
+// Helpful votes: one per user, not on your own review. DELETE takes the vote back.
+const voteHelpful = (helpful) => async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const reviewResult = await client.query(
+      `SELECT id, wp_user_id FROM product_reviews WHERE id = $1 AND status IN ('published', 'flagged') FOR UPDATE`,
+      [req.params.id]
+    );
+    
+    if (reviewResult.rows.length === 0) {
+      throw new ApiError(404, 'Review not found');
+    }
+    
+    if (reviewResult.rows[0].wp_user_id === parseInt(req.user.id)) {
+      throw new ApiError(403, 'You cannot vote on your own review');
+    }
+    
+    const voteResult = helpful
+      ? await client.query(
+        `INSERT INTO review_votes (review_id, wp_user_id) VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+        [req.params.id, req.user.id]
+      )
+      : await client.query(
+        'DELETE FROM review_votes WHERE review_id = $1 AND wp_user_id = $2',
+        [req.params.id, req.user.id]
+      );
+    
+    // Only count a vote that was actually added or removed
+    const countResult = await client.query(
+      `UPDATE product_reviews
+       SET helpful_count = helpful_count + $2
+       WHERE id = $1
+       RETURNING helpful_count`,
+      [req.params.id, voteResult.rowCount * (helpful ? 1 : -1)]
+    );
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, review_id: parseInt(req.params.id), helpful_count: countResult.rows[0].helpful_count });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Review vote error:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
+  } finally {
+    client.release();
+  }
+};
+
+app.post('/api/reviews/:id/helpful', verifyWPToken, voteHelpful(true));
+app.delete('/api/reviews/:id/helpful', verifyWPToken, voteHelpful(false));
+
+// Report a review for moderation; it stays visible until a moderator decides
+app.post('/api/reviews/:id/flag', verifyWPToken, async (req, res) => {
+  const { reason } = req.body;
+  
+  if (!reason) {
+    return res.status(400).json({ error: 'reason is required' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const flagResult = await client.query(
+      `INSERT INTO review_flags (review_id, wp_user_id, reason)
+       SELECT id, $2, $3 FROM product_reviews WHERE id = $1 AND status IN ('published', 'flagged')
+       ON CONFLICT DO NOTHING
+       RETURNING review_id`,
+      [req.params.id, req.user.id, reason]
+    );
+    
+    if (flagResult.rows.length > 0) {
+      await client.query(
+        `UPDATE product_reviews
+         SET flag_count = flag_count + 1, status = 'flagged'
+         WHERE id = $1`,
+        [req.params.id]
+      );
+    } else {
+      const existsResult = await client.query(
+        `SELECT 1 FROM product_reviews WHERE id = $1 AND status IN ('published', 'flagged')`,
+        [req.params.id]
+      );
+      if (existsResult.rows.length === 0) {
+        throw new ApiError(404, 'Review not found');
+      }
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, message: 'Review reported for moderation' });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Review flag error:', error);
+    res.status(500).json({ error: 'Failed to report review' });
+  } finally {
+    client.release();
+  }
+});
+
+// Batch recall endpoints
+const RECALL_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Load a recall with its batch, checking the caller may see it: admins see
+// all, manufacturers their own batches, retailers recalls that hit their stock
+const getRecallForUser = async (client, recallId, user) => {
+  const recallResult = await client.query(
+    `SELECT 
+      br.*,
+      pb.uuid as batch_uuid,
+      pb.batch_number,
+      pb.product_id,
+      pb.quantity_available as manufacturer_quantity,
+      p.product_name,
+      p.manufacturer_id,
+      m.wp_user_id as manufacturer_wp_user_id
+     FROM batch_recalls br
+     JOIN product_batches pb ON br.batch_id = pb.id
+     JOIN products p ON pb.product_id = p.id
+     JOIN manufacturers m ON p.manufacturer_id = m.id
+     WHERE br.id = $1`,
+    [recallId]
+  );
+  
+  if (recallResult.rows.length === 0) {
+    throw new ApiError(404, 'Recall not found');
+  }
+  
+  const recall = recallResult.rows[0];
+  
+  if (user.type === 'admin' ||
+      (user.type === 'manufacturer' && recall.manufacturer_wp_user_id === user.id)) {
+    return recall;
+  }
+  
+  if (user.type === 'retailer') {
+    const heldResult = await client.query(
+      `SELECT 1
+       FROM product_movements pm
+       JOIN retailers r ON pm.from_entity_id = r.id
+       WHERE pm.movement_type = 'recall'
+         AND pm.from_entity_type = 'retailer'
+         AND pm.transaction_metadata->>'recall_id' = $1::text
+         AND r.wp_user_id = $2`,
+      [recall.id, user.id]
+    );
+    
+    if (heldResult.rows.length > 0) {
+      return recall;
+    }
+  }
+  
+  throw new ApiError(403, 'Unauthorized');
+};
+
+// Per-holder recalled, returned and disposed quantities for a recall
+const buildRecallReport = async (client, recall) => {
+  const holderResult = await client.query(
+    `SELECT 
+      pm.from_entity_type as holder_type,
+      pm.from_entity_id as holder_id,
+      r.store_name,
+      COALESCE(SUM(pm.quantity) FILTER (WHERE pm.movement_type = 'recall'), 0)::int as recalled_quantity,
+      COALESCE(SUM(pm.quantity) FILTER (WHERE pm.movement_type = 'return'), 0)::int as returned_quantity,
+      COALESCE(SUM(pm.quantity) FILTER (WHERE pm.movement_type = 'disposal'), 0)::int as disposed_quantity
+     FROM product_movements pm
+     LEFT JOIN retailers r ON pm.from_entity_type = 'retailer' AND pm.from_entity_id = r.id
+     WHERE pm.transaction_metadata->>'recall_id' = $1::text
+       AND pm.from_entity_type IN ('retailer', 'consumer')
+     GROUP BY pm.from_entity_type, pm.from_entity_id, r.store_name
+     ORDER BY pm.from_entity_type DESC, recalled_quantity DESC`,
+    [recall.id]
+  );
+  
+  const holders = holderResult.rows.map(row => ({
+    ...row,
+    outstanding_quantity: Math.max(
+      row.recalled_quantity - row.returned_quantity - row.disposed_quantity, 0
+    )
+  }));
+  
+  const totals = holders.reduce((sum, row) => {
+    const key = row.holder_type === 'retailer' ? 'retailers' : 'consumers';
+    sum[key].recalled += row.recalled_quantity;
+    sum[key].returned += row.returned_quantity;
+    sum[key].disposed += row.disposed_quantity;
+    sum[key].outstanding += row.outstanding_quantity;
+    return sum;
+  }, {
+    retailers: { recalled: 0, returned: 0, disposed: 0, outstanding: 0 },
+    consumers: { recalled: 0, returned: 0, disposed: 0, outstanding: 0 }
+  });
+  
+  const recalled = totals.retailers.recalled + totals.consumers.recalled;
+  const resolved = recalled - totals.retailers.outstanding - totals.consumers.outstanding;
+  
+  return {
+    recall_id: recall.id,
+    batch_number: recall.batch_number,
+    status: recall.status,
+    held_at_manufacturer: recall.manufacturer_quantity,
+    totals,
+    percent_recovered: recalled > 0 ? Math.round((resolved / recalled) * 1000) / 10 : 100,
+    holders
+  };
+};
+
+app.post('/api/batches/:batchId/recall', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'manufacturer' && req.user.type !== 'admin') {
+    return res.status(403).json({ error: 'Only manufacturers and admins can recall batches' });
+  }
+  
+  const { reason, severity, consumer_notice } = req.body;
+  
+  if (!reason) {
+    return res.status(400).json({ error: 'A recall reason is required' });
+  }
+  
+  if (!RECALL_SEVERITIES.includes(severity)) {
+    return res.status(400).json({ error: `severity must be one of: ${RECALL_SEVERITIES.join(', ')}` });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const batchResult = await client.query(
+      `SELECT pb.id, pb.product_id, pb.batch_number, p.manufacturer_id,
+              m.wp_user_id as manufacturer_wp_user_id
+       FROM product_batches pb
+       JOIN products p ON pb.product_id = p.id
+       JOIN manufacturers m ON p.manufacturer_id = m.id
+       WHERE pb.id = $1
+       FOR UPDATE OF pb`,
+      [req.params.batchId]
+    );
+    
+    if (batchResult.rows.length === 0) {
+      throw new ApiError(404, 'Batch not found');
+    }
+    
+    const batch = batchResult.rows[0];
+    
+    if (req.user.type === 'manufacturer' && batch.manufacturer_wp_user_id !== req.user.id) {
+      throw new ApiError(403, 'Unauthorized');
+    }
+    
+    const existingResult = await client.query(
+      `SELECT id FROM batch_recalls WHERE batch_id = $1 AND status = 'active'`,
+      [batch.id]
+    );
+    
+    if (existingResult.rows.length > 0) {
+      throw new ApiError(409, 'Batch already has an active recall', 'ALREADY_RECALLED');
+    }
+    
+    const recallResult = await client.query(
+      `INSERT INTO batch_recalls (batch_id, reason, severity, consumer_notice, initiated_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [batch.id, reason, severity, consumer_notice || null, req.user.id]
+    );
+    
+    const recall = recallResult.rows[0];
+    const recallMetadata = { recall_id: recall.id, severity };
+    const recallNote = `Recall: ${reason}`;
+    
+    // Open reservations can no longer be collected
+    const cancelledReservations = await releaseReservations(
+      client,
+      'cancelled',
+      'EXISTS (SELECT 1 FROM reservation_items i WHERE i.reservation_id = rs.id AND i.batch_id = $2)',
+      [batch.id]
+    );
+    
+    if (cancelledReservations.length > 0) {
+      await client.query(
+        'UPDATE reservations SET cancellation_reason = $2 WHERE id = ANY($1)',
+        [cancelledReservations, recallNote]
+      );
+    }
+    
+    // Stock in transit can no longer be accepted; it goes back to the sender
+    // first so the recall below covers it with the rest of their stock
+    const transferResult = await client.query(
+      `SELECT * FROM stock_transfers WHERE batch_id = $1 AND status = 'pending' FOR UPDATE`,
+      [batch.id]
+    );
+    
+    for (const transfer of transferResult.rows) {
+      await returnTransferToSource(client, transfer, 'cancelled', req.user.id, recallNote);
+    }
+    
+    // Pull all retailer stock of the batch off sale immediately
+    const stockResult = await client.query(
+      `UPDATE retailer_inventory
+       SET is_active = FALSE
+       WHERE batch_id = $1
+       RETURNING retailer_id, quantity_in_stock`,
+      [batch.id]
+    );
+    
+    for (const stock of stockResult.rows) {
+      if (stock.quantity_in_stock > 0) {
+        await recordMovement(client, {
+          movement_type: 'recall',
+          product_id: batch.product_id,
+          batch_id: batch.id,
+          from_entity_type: 'retailer',
+          from_entity_id: stock.retailer_id,
+          to_entity_type: 'manufacturer',
+          to_entity_id: batch.manufacturer_id,
+          quantity: stock.quantity_in_stock,
+          transaction_metadata: recallMetadata,
+          notes: recallNote
+        });
+      }
+    }
+    
+    // Units already sold, less those the consumer has since returned, are
+    // recalled from the consumer back to their retailer
+    const purchaseResult = await client.query(
+      `SELECT * FROM (
+         SELECT cp.id as purchase_id, cp.wp_user_id, cp.retailer_id,
+                (SUM(pi.quantity) - (
+                  SELECT COALESCE(SUM(pm.quantity), 0)
+                  FROM product_movements pm
+                  WHERE pm.movement_type = 'return'
+                    AND pm.from_entity_type = 'consumer'
+                    AND pm.batch_id = $1
+                    AND pm.transaction_metadata->>'purchase_id' = cp.id::text
+                ))::int as quantity
+         FROM purchase_items pi
+         JOIN consumer_purchases cp ON pi.purchase_id = cp.id
+         WHERE pi.batch_id = $1
+         GROUP BY cp.id, cp.wp_user_id, cp.retailer_id
+       ) outstanding
+       WHERE quantity > 0`,
+      [batch.id]
+    );
+    
+    for (const purchase of purchaseResult.rows) {
+      await recordMovement(client, {
+        movement_type: 'recall',
+        product_id: batch.product_id,
+        batch_id: batch.id,
+        from_entity_type: 'consumer',
+        from_entity_id: purchase.wp_user_id || 0,
+        to_entity_type: 'retailer',
+        to_entity_id: purchase.retailer_id,
+        quantity: purchase.quantity,
+        transaction_metadata: { ...recallMetadata, purchase_id: purchase.purchase_id },
+        notes: recallNote
+      });
+    }
+    
+    await logComplianceEvent(client, req, 'batch_recalled', 'batch', batch.id, {
+      recall_id: recall.id,
+      batch_number: batch.batch_number,
+      reason,
+      severity,
+      retailers_affected: stockResult.rows.length,
+      purchases_affected: purchaseResult.rows.length,
+      reservations_cancelled: cancelledReservations.length,
+      transfers_cancelled: transferResult.rows.length
+    });
+    
+    await queueWebhookEvent(client, 'recall.issued', [
+      { type: 'manufacturer', id: batch.manufacturer_id },
+      ...[...new Set(stockResult.rows.map(stock => stock.retailer_id))].map(id => ({ type: 'retailer', id }))
+    ], {
+      recall_id: recall.id,
+      batch_id: batch.id,
+      batch_number: batch.batch_number,
+      product_id: batch.product_id,
+      severity,
+      reason,
+      consumer_notice: recall.consumer_notice
+    });
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({
+      success: true,
+      recall,
+      retailers_affected: stockResult.rows.length,
+      purchases_affected: purchaseResult.rows.length
+    });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Recall error:', error);
+    res.status(500).json({ error: 'Failed to recall batch' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/recalls', authenticateWPUser, async (req, res) => {
+  const { status } = req.query;
+  
+  let query = `
+    SELECT 
+      br.*,
+      pb.batch_number,
+      p.product_name,
+      m.company_name as manufacturer_name
+    FROM batch_recalls br
+    JOIN product_batches pb ON br.batch_id = pb.id
+    JOIN products p ON pb.product_id = p.id
+    JOIN manufacturers m ON p.manufacturer_id = m.id
+    WHERE TRUE
+  `;
+  
+  const params = [];
+  let paramCount = 0;
+  
+  if (req.user.type === 'manufacturer') {
+    params.push(req.user.id);
+    query += ` AND m.wp_user_id = $${++paramCount}`;
+  } else if (req.user.type === 'retailer') {
+    params.push(req.user.id);
+    query += ` AND EXISTS (
+      SELECT 1 FROM product_movements pm
+      JOIN retailers r ON pm.from_entity_id = r.id
+      WHERE pm.movement_type = 'recall'
+        AND pm.from_entity_type = 'retailer'
+        AND pm.transaction_metadata->>'recall_id' = br.id::text
+        AND r.wp_user_id = $${++paramCount}
+    )`;
+  } else if (req.user.type !== 'admin') {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  
+  if (status) {
+    params.push(status);
+    query += ` AND br.status = $${++paramCount}`;
+  }
+  
+  query += ' ORDER BY br.created_at DESC';
+  
+  try {
+    const result = await pool.query(query, params);
+    res.json({ success: true, recalls: result.rows });
+  } catch (error) {
+    console.error('Error fetching recalls:', error);
+    res.status(500).json({ error: 'Failed to fetch recalls' });
+  }
+});
+
+app.get('/api/recalls/:id/report', authenticateWPUser, async (req, res) => {
+  try {
+    const recall = await getRecallForUser(pool, req.params.id, req.user);
+    const report = await buildRecallReport(pool, recall);
+    
+    // Retailers only see their own line
+    if (req.user.type === 'retailer') {
+      const retailerResult = await pool.query(
+        'SELECT id FROM retailers WHERE wp_user_id = $1',
+        [req.user.id]
+      );
+      report.holders = report.holders.filter(holder => (
+        holder.holder_type === 'retailer' && holder.holder_id === retailerResult.rows[0].id
+      ));
+      delete report.totals;
+      delete report.held_at_manufacturer;
+    }
+    
+    res.json({ success: true, report });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Recall report error:', error);
+    res.status(500).json({ error: 'Failed to build recall report' });
+  }
+});
+
+// Purchases containing the recalled batch, so customers can be contacted
+app.get('/api/recalls/:id/affected-purchases', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'manufacturer' && req.user.type !== 'admin') {
+    return res.status(403).json({ error: 'Only manufacturers and admins can list affected purchases' });
+  }
+  
+  const { page = 1, limit = 100 } = req.query;
+  const offset = (page - 1) * limit;
+  
+  try {
+    const recall = await getRecallForUser(pool, req.params.id, req.user);
+    
+    const [result, countResult] = await Promise.all([
+      pool.query(
+        `SELECT 
+          cp.id as purchase_id,
+          cp.uuid as purchase_uuid,
+          cp.wp_user_id,
+          cp.purchase_date,
+          cp.pos_transaction_id,
+          r.id as retailer_id,
+          r.store_name,
+          r.phone as retailer_phone,
+          r.email as retailer_email,
+          SUM(pi.quantity)::int as quantity
+         FROM purchase_items pi
+         JOIN consumer_purchases cp ON pi.purchase_id = cp.id
+         JOIN retailers r ON cp.retailer_id = r.id
+         WHERE pi.batch_id = $1
+         GROUP BY cp.id, r.id
+         ORDER BY cp.purchase_date DESC
+         LIMIT $2 OFFSET $3`,
+        [recall.batch_id, parseInt(limit), parseInt(offset)]
+      ),
+      pool.query(
+        `SELECT COUNT(DISTINCT purchase_id) as total FROM purchase_items WHERE batch_id = $1`,
+        [recall.batch_id]
+      )
+    ]);
+    
+    res.json({
+      success: true,
+      recall_id: recall.id,
+      purchases: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].total)
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Affected purchases error:', error);
+    res.status(500).json({ error: 'Failed to fetch affected purchases' });
+  }
+});
+
+// Retailer sends recalled stock back to the manufacturer or disposes of it
+app.post('/api/recalls/:id/resolve', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can resolve recalled stock' });
+  }
+  
+  const { action, notes } = req.body;
+  const quantity = parseInt(req.body.quantity);
+  
+  if (action !== 'return' && action !== 'disposal') {
+    return res.status(400).json({ error: 'action must be return or disposal' });
+  }
+  
+  if (!(quantity > 0)) {
+    return res.status(400).json({ error: 'quantity must be a positive number' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const recall = await getRecallForUser(client, req.params.id, req.user);
+    const retailerId = await getActivePartnerId(client, 'retailer', req.user.id);
+    
+    const stockResult = await client.query(
+      `UPDATE retailer_inventory
+       SET quantity_in_stock = quantity_in_stock - $3
+       WHERE retailer_id = $1 AND batch_id = $2 AND quantity_in_stock >= $3
+       RETURNING quantity_in_stock`,
+      [retailerId, recall.batch_id, quantity]
+    );
+    
+    if (stockResult.rows.length === 0) {
+      throw new ApiError(409, 'Not enough recalled stock held', 'INSUFFICIENT_STOCK');
+    }
+    
+    await recordMovement(client, {
+      movement_type: action,
+      product_id: recall.product_id,
+      batch_id: recall.batch_id,
+      from_entity_type: 'retailer',
+      from_entity_id: retailerId,
+      to_entity_type: action === 'return' ? 'manufacturer' : 'retailer',
+      to_entity_id: action === 'return' ? recall.manufacturer_id : retailerId,
+      quantity,
+      transaction_metadata: { recall_id: recall.id },
+      notes: notes || `Recall ${action}`
+    });
+    
+    await logComplianceEvent(client, req, `recall_${action}`, 'batch', recall.batch_id, {
+      recall_id: recall.id,
+      quantity,
+      notes: notes || null
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      recall_id: recall.id,
+      remaining_in_stock: stockResult.rows[0].quantity_in_stock
+    });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Recall resolution error:', error);
+    res.status(500).json({ error: 'Failed to record recalled stock' });
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/api/recalls/:id/close', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'manufacturer' && req.user.type !== 'admin') {
+    return res.status(403).json({ error: 'Only manufacturers and admins can close recalls' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const recall = await getRecallForUser(client, req.params.id, req.user);
+    
+    if (recall.status === 'closed') {
+      throw new ApiError(409, 'Recall is already closed');
+    }
+    
+    const report = await buildRecallReport(client, recall);
+    
+    await client.query(
+      `UPDATE batch_recalls SET status = 'closed', closed_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [recall.id]
+    );
+    
+    await logComplianceEvent(client, req, 'recall_closed', 'batch', recall.batch_id, {
+      recall_id: recall.id,
+      notes: req.body.notes || null,
+      totals: report.totals
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, recall_id: recall.id, report: { ...report, status: 'closed' } });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Recall close error:', error);
+    res.status(500).json({ error: 'Failed to close recall' });
+  } finally {
+    client.release();
+  }
+});
+
+// Returns and disposal endpoints
+const DISPOSAL_REASONS = ['expired', 'damaged', 'other'];
+
+const getActiveRecallId = async (client, batchId) => {
+  const result = await client.query(
+    `SELECT id FROM batch_recalls WHERE batch_id = $1 AND status = 'active'`,
+    [batchId]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+// Consumer brings items from a purchase back to the retailer. Each item is
+// either restocked or disposed of; expired and recalled units can't go back on sale.
+app.post('/api/returns/consumer', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can record consumer returns' });
+  }
+  
+  const { purchase_id, items, reason } = req.body;
+  
+  if (!purchase_id || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'purchase_id and items are required' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const retailerId = await getActivePartnerId(client, 'retailer', req.user.id);
+    
+    const purchaseResult = await client.query(
+      'SELECT id, wp_user_id, retailer_id FROM consumer_purchases WHERE id = $1 FOR UPDATE',
+      [purchase_id]
+    );
+    
+    if (purchaseResult.rows.length === 0) {
+      throw new ApiError(404, 'Purchase not found');
+    }
+    
+    const purchase = purchaseResult.rows[0];
+    
+    if (purchase.retailer_id !== retailerId) {
+      throw new ApiError(403, 'Purchase was made at another retailer');
+    }
+    
+    // What was bought and what has already come back, per batch
+    const purchasedResult = await client.query(
+      `SELECT 
+        pi.batch_id,
+        pi.product_id,
+        MAX(pi.unit_price) as unit_price,
+        SUM(pi.quantity)::int as purchased,
+        pb.expiry_date <= CURRENT_DATE as is_expired,
+        (SELECT COALESCE(SUM(pm.quantity), 0)::int
+         FROM product_movements pm
+         WHERE pm.movement_type = 'return'
+           AND pm.from_entity_type = 'consumer'
+           AND pm.batch_id = pi.batch_id
+           AND pm.transaction_metadata->>'purchase_id' = $1::text) as returned
+       FROM purchase_items pi
+       JOIN product_batches pb ON pi.batch_id = pb.id
+       WHERE pi.purchase_id = $1
+       GROUP BY pi.batch_id, pi.product_id, pb.expiry_date`,
+      [purchase.id]
+    );
+    
+    const purchased = new Map(purchasedResult.rows.map(row => [row.batch_id, row]));
+    const results = [];
+    
+    for (const item of items) {
+      const line = purchased.get(parseInt(item.batch_id));
+      const quantity = parseInt(item.quantity);
+      const disposition = item.disposition || 'restock';
+      
+      if (!line) {
+        throw new ApiError(400, `Batch ${item.batch_id} is not part of this purchase`);
+      }
+      if (!(quantity > 0) || quantity > line.purchased - line.returned) {
+        throw new ApiError(409, `Cannot return ${item.quantity} of batch ${item.batch_id}; ${line.purchased - line.returned} returnable`, 'RETURN_EXCEEDS_PURCHASE');
+      }
+      if (disposition !== 'restock' && disposition !== 'dispose') {
+        throw new ApiError(400, 'disposition must be restock or dispose');
+      }
+      if (disposition === 'restock' && line.is_expired) {
+        throw new ApiError(409, `Batch ${item.batch_id} has expired and must be disposed of`, 'BATCH_EXPIRED');
+      }
+      
+      line.returned += quantity;
+      const recallId = await getActiveRecallId(client, line.batch_id);
+      const metadata = { purchase_id: purchase.id, reason: item.reason || reason || null };
+      if (recallId) {
+        metadata.recall_id = recallId;
+      }
+      
+      await recordMovement(client, {
+        movement_type: 'return',
+        product_id: line.product_id,
+        batch_id: line.batch_id,
+        from_entity_type: 'consumer',
+        from_entity_id: purchase.wp_user_id || 0,
+        to_entity_type: 'retailer',
+        to_entity_id: retailerId,
+        quantity,
+        unit_price: line.unit_price,
+        transaction_metadata: metadata,
+        notes: item.reason || reason || null
+      });
+      
+      if (disposition === 'restock') {
+        // Recalled units go into the retailer's held (inactive) stock, to be sent back with the recall
+        await client.query(
+          `UPDATE retailer_inventory
+           SET quantity_in_stock = quantity_in_stock + $3,
+               last_restocked = CURRENT_TIMESTAMP
+           WHERE retailer_id = $1 AND batch_id = $2`,
+          [retailerId, line.batch_id, quantity]
+        );
+      } else {
+        await recordMovement(client, {
+          movement_type: 'disposal',
+          product_id: line.product_id,
+          batch_id: line.batch_id,
+          from_entity_type: 'retailer',
+          from_entity_id: retailerId,
+          to_entity_type: 'retailer',
+          to_entity_id: retailerId,
+          quantity,
+          transaction_metadata: metadata,
+          notes: 'Disposed of on consumer return'
+        });
+      }
+      
+      results.push({ batch_id: line.batch_id, quantity, disposition, recalled: Boolean(recallId) });
+    }
+    
+    await logComplianceEvent(client, req, 'consumer_return', 'purchase', purchase.id, {
+      items: results,
+      reason: reason || null
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, purchase_id: purchase.id, items: results });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Consumer return error:', error);
+    res.status(500).json({ error: 'Failed to record return' });
+  } finally {
+    client.release();
+  }
+});
+
+// Retailer sends stock back to the manufacturer. Unexpired, unrecalled
+// units become available to ship again.
+app.post('/api/returns/manufacturer', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can return stock to manufacturers' });
+  }
+  
+  const { batch_id, reason } = req.body;
+  const quantity = parseInt(req.body.quantity);
+  
+  if (!batch_id || !(quantity > 0)) {
+    return res.status(400).json({ error: 'batch_id and a positive quantity are required' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const retailerId = await getActivePartnerId(client, 'retailer', req.user.id);
+    
+    const stockResult = await client.query(
+      `UPDATE retailer_inventory ri
+       SET quantity_in_stock = ri.quantity_in_stock - $3
+       FROM product_batches pb, products p
+       WHERE ri.batch_id = pb.id AND pb.product_id = p.id
+         AND ri.retailer_id = $1 AND ri.batch_id = $2
+         AND ri.quantity_in_stock - ri.quantity_reserved >= $3
+       RETURNING ri.product_id, ri.price, p.manufacturer_id, pb.expiry_date <= CURRENT_DATE as is_expired`,
+      [retailerId, batch_id, quantity]
+    );
+    
+    if (stockResult.rows.length === 0) {
+      throw new ApiError(409, 'Not enough unreserved stock of this batch', 'INSUFFICIENT_STOCK');
+    }
+    
+    const stock = stockResult.rows[0];
+    const recallId = await getActiveRecallId(client, batch_id);
+    const restocked = !recallId && !stock.is_expired;
+    
+    if (restocked) {
+      await client.query(
+        'UPDATE product_batches SET quantity_available = quantity_available + $1 WHERE id = $2',
+        [quantity, batch_id]
+      );
+    }
+    
+    await recordMovement(client, {
+      movement_type: 'return',
+      product_id: stock.product_id,
+      batch_id,
+      from_entity_type: 'retailer',
+      from_entity_id: retailerId,
+      to_entity_type: 'manufacturer',
+      to_entity_id: stock.manufacturer_id,
+      quantity,
+      unit_price: stock.price,
+      transaction_metadata: recallId ? { recall_id: recallId, reason: reason || null } : { reason: reason || null },
+      notes: reason || null
+    });
+    
+    await logComplianceEvent(client, req, 'retailer_return', 'batch', parseInt(batch_id), {
+      retailer_id: retailerId,
+      quantity,
+      restocked,
+      recall_id: recallId,
+      reason: reason || null
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, batch_id: parseInt(batch_id), quantity, restocked });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Retailer return error:', error);
+    res.status(500).json({ error: 'Failed to record return' });
+  } finally {
+    client.release();
+  }
+});
+
+// Dispose of expired or damaged stock held by the caller (retailer or manufacturer)
+app.post('/api/disposals', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer' && req.user.type !== 'manufacturer') {
+    return res.status(403).json({ error: 'Only retailers and manufacturers can dispose of stock' });
+  }
+  
+  const { batch_id, reason, notes } = req.body;
+  const quantity = parseInt(req.body.quantity);
+  
+  if (!batch_id || !(quantity > 0)) {
+    return res.status(400).json({ error: 'batch_id and a positive quantity are required' });
+  }
+  
+  if (!DISPOSAL_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `reason must be one of: ${DISPOSAL_REASONS.join(', ')}` });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    let holderId;
+    let productId;
+    
+    if (req.user.type === 'retailer') {
+      holderId = await getActivePartnerId(client, 'retailer', req.user.id);
+      
+      const stockResult = await client.query(
+        `UPDATE retailer_inventory
+         SET quantity_in_stock = quantity_in_stock - $3
+         WHERE retailer_id = $1 AND batch_id = $2
+           AND quantity_in_stock - quantity_reserved >= $3
+         RETURNING product_id`,
+        [holderId, batch_id, quantity]
+      );
+      
+      if (stockResult.rows.length === 0) {
+        throw new ApiError(409, 'Not enough unreserved stock of this batch', 'INSUFFICIENT_STOCK');
+      }
+      
+      productId = stockResult.rows[0].product_id;
+    } else {
+      holderId = await getActivePartnerId(client, 'manufacturer', req.user.id);
+      
+      const batchResult = await client.query(
+        `UPDATE product_batches pb
+         SET quantity_available = pb.quantity_available - $3
+         FROM products p
+         WHERE pb.product_id = p.id AND pb.id = $2 AND p.manufacturer_id = $1
+           AND pb.quantity_available >= $3
+         RETURNING pb.product_id`,
+        [holderId, batch_id, quantity]
+      );
+      
+      if (batchResult.rows.length === 0) {
+        throw new ApiError(409, 'Not enough stock of this batch held', 'INSUFFICIENT_STOCK');
+      }
+      
+      productId = batchResult.rows[0].product_id;
+    }
+    
+    const recallId = await getActiveRecallId(client, batch_id);
+    const metadata = { reason };
+    if (recallId) {
+      metadata.recall_id = recallId;
+    }
+    
+    await recordMovement(client, {
+      movement_type: 'disposal',
+      product_id: productId,
+      batch_id,
+      from_entity_type: req.user.type,
+      from_entity_id: holderId,
+      to_entity_type: req.user.type,
+      to_entity_id: holderId,
+      quantity,
+      transaction_metadata: metadata,
+      notes: notes || `Disposed: ${reason}`
+    });
+    
+    await logComplianceEvent(client, req, 'stock_disposed', 'batch', parseInt(batch_id), {
+      holder_type: req.user.type,
+      holder_id: holderId,
+      quantity,
+      reason,
+      notes: notes || null
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, batch_id: parseInt(batch_id), quantity });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Disposal error:', error);
+    res.status(500).json({ error: 'Failed to record disposal' });
+  } finally {
+    client.release();
+  }
+});
+
+// Batch traceability endpoint
+app.get('/api/trace/batch/:batchNumber', async (req, res) => {
+  const { batchNumber } = req.params;
+  
+  try {
+    // Get batch details
+    const batchResult = await pool.query(
+      `SELECT 
+        pb.*,
+        p.product_name,
+        p.sku,
+        m.company_name as manufacturer_name
+       FROM product_batches pb
+       JOIN products p ON pb.product_id = p.id
+       JOIN manufacturers m ON p.manufacturer_id = m.id
+       WHERE pb.batch_number = $1`,
+      [batchNumber]
+    );
+    
+    if (batchResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    const batch = batchResult.rows[0];
+    
+    // Get movement history using stored function
+    const historyResult = await pool.query(
+      'SELECT * FROM get_batch_history($1::uuid)',
+      [batch.uuid]
+    );
+    
+    // Public recall notices for the batch
+    const recallResult = await pool.query(
+      `SELECT uuid, reason, severity, consumer_notice, status, created_at, closed_at
+       FROM batch_recalls
+       WHERE batch_id = $1
+       ORDER BY created_at DESC`,
+      [batch.id]
+    );
+    
+    res.json({
+      success: true,
+      batch: {
+        ...batch,
+        lab_test_results: batch.lab_test_results
+      },
+      recall_status: recallResult.rows.some(recall => recall.status === 'active') ? 'recalled' : 'none',
+      recall_notices: recallResult.rows,
+      movement_history: historyResult.rows
+    });
+    
+  } catch (error) {
+    console.error('Trace error:', error);
+    res.status(500).json({ error: 'Failed to trace batch' });
+  }
+});
+
+// Shape a verify_movement_chain / verify_compliance_chain row
+const chainReport = row => ({
+  intact: row.problem === null,
+  records_checked: parseInt(row.records_checked),
+  head: row.head_hash ? { chain_seq: parseInt(row.head_seq), hash: row.head_hash } : null,
+  first_bad_record: row.problem === null ? null : {
+    id: row.first_bad_id,
+    chain_seq: parseInt(row.first_bad_seq),
+    problem: row.problem
+  }
+});
+
+// Re-walk a batch's custody chain. Public, like the batch trace.
+app.get('/api/batches/:batchId/custody/verify', async (req, res) => {
+  try {
+    const batchResult = await pool.query(
+      'SELECT id, uuid, batch_number FROM product_batches WHERE id = $1',
+      [req.params.batchId]
+    );
+    
+    if (batchResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    const chainResult = await pool.query(
+      'SELECT * FROM verify_movement_chain($1)',
+      [batchResult.rows[0].id]
+    );
+    
+    res.json({
+      success: true,
+      batch: batchResult.rows[0],
+      ...chainReport(chainResult.rows[0]),
+      verified_at: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Custody verification error:', error);
+    res.status(500).json({ error: 'Failed to verify custody chain' });
+  }
+});
+
+// Signed batch QR codes. A code is a URL carrying
+// base64url(payload).base64url(Ed25519 signature); the payload names the key
+// that signed it, and every public key ever used stays in qr_signing_keys, so
+// packaging printed before a key rotation still verifies.
+const QR_VERIFY_URL = process.env.QR_VERIFY_URL || 'https://quit-os.com/verify';
+const QR_FORMATS = ['svg', 'png'];
+// Scans are keyed on the client's network (its IPv4 address, or the IPv6 /48
+// it is in), never on headers the client sets. Repeat scans of a batch from one
+// network within this window count once.
+const SCAN_DEDUPE_HOURS = parseInt(process.env.SCAN_DEDUPE_HOURS, 10) || 24;
+// Scans one network may record per hour; more are refused with 429
+const SCAN_RATE_LIMIT = parseInt(process.env.SCAN_RATE_LIMIT, 10) || 30;
+
+const scanNetworkSql = (param) => `network(set_masklen(${param}::inet,
+  CASE WHEN family(${param}::inet) = 6 THEN 48 ELSE 32 END))`;
+
+// IPv4 clients reach a dual-stack listener as ::ffff:a.b.c.d
+const scanClientAddress = (req) => {
+  const ip = req.ip || '';
+  return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip || null;
+};
+
+let qrSigningKey;
+let qrKeyRegistration = null;
+
+// QR_SIGNING_KEY is a PKCS#8 PEM Ed25519 private key; null when not configured
+const getQrSigningKey = () => {
+  if (qrSigningKey === undefined) {
+    if (!process.env.QR_SIGNING_KEY) {
+      qrSigningKey = null;
+    } else {
+      const privateKey = crypto.createPrivateKey(process.env.QR_SIGNING_KEY.replace(/\\n/g, '\n'));
+      const publicKey = crypto.createPublicKey(privateKey);
+      const der = publicKey.export({ type: 'spki', format: 'der' });
+      qrSigningKey = {
+        kid: crypto.createHash('sha256').update(der).digest('hex').slice(0, 16),
+        privateKey,
+        publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' })
+      };
+    }
+  }
+  return qrSigningKey;
+};
+
+// Publish the current public key once per process, outside any caller's transaction
+const registerQrSigningKey = key => {
+  if (!qrKeyRegistration) {
+    qrKeyRegistration = pool.query(
+      `INSERT INTO qr_signing_keys (kid, public_key)
+       VALUES ($1, $2)
+       ON CONFLICT (kid) DO NOTHING`,
+      [key.kid, key.publicKeyPem]
+    ).catch(error => {
+      qrKeyRegistration = null;
+      throw error;
+    });
+  }
+  return qrKeyRegistration;
+};
+
+// Sign a batch and store the code in product_batches.qr_code_data
+const signBatchQr = async (client, batchId) => {
+  const key = getQrSigningKey();
+  
+  if (!key) {
+    throw new ApiError(503, 'QR signing is not configured', 'QR_SIGNING_UNCONFIGURED');
+  }
+  
+  await registerQrSigningKey(key);
+  
+  const batchResult = await client.query(
+    `SELECT pb.uuid, pb.batch_number, p.uuid as product_uuid, p.manufacturer_id
+     FROM product_batches pb
+     JOIN products p ON pb.product_id = p.id
+     WHERE pb.id = $1`,
+    [batchId]
+  );
+  const batch = batchResult.rows[0];
+  
+  const payload = Buffer.from(JSON.stringify({
+    v: 1,
+    kid: key.kid,
+    batch: batch.uuid,
+    batch_number: batch.batch_number,
+    product: batch.product_uuid,
+    manufacturer: batch.manufacturer_id,
+    iat: Math.floor(Date.now() / 1000)
+  })).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(payload), key.privateKey).toString('base64url');
+  const code = `${payload}.${signature}`;
+  
+  const qrCodeData = {
+    kid: key.kid,
+    code,
+    url: `${QR_VERIFY_URL}?code=${code}`,
+    signed_at: new Date().toISOString()
+  };
+  
+  await client.query(
+    'UPDATE product_batches SET qr_code_data = $2 WHERE id = $1',
+    [batchId, JSON.stringify(qrCodeData)]
+  );
+  
+  return qrCodeData;
+};
+
+// Accepts the bare code or the full URL a phone camera hands over
+const parseQrCode = input => {
+  let code = String(input || '').trim();
+  
+  if (code.includes('code=')) {
+    code = new URLSearchParams(code.slice(code.indexOf('?') + 1)).get('code') || '';
+  }
+  
+  const [payload, signature, extra] = code.split('.');
+  
+  if (!payload || !signature || extra !== undefined) {
+    return null;
+  }
+  
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims && claims.v === 1 && claims.kid && claims.batch ? { payload, signature, claims } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Render a batch's code for packaging
+app.get('/api/batches/:batchId/qr', authenticateWPUser, async (req, res) => {
+  const format = req.query.format || 'svg';
+  const size = Math.min(Math.max(parseInt(req.query.size) || 300, 100), 2000);
+  
+  if (!QR_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${QR_FORMATS.join(', ')}` });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const batchResult = await client.query(
+      `SELECT pb.id, pb.batch_number, pb.qr_code_data, m.wp_user_id as manufacturer_wp_user_id
+       FROM product_batches pb
+       JOIN products p ON pb.product_id = p.id
+       JOIN manufacturers m ON p.manufacturer_id = m.id
+       WHERE pb.id = $1
+       FOR UPDATE OF pb`,
+      [req.params.batchId]
+    );
+    
+    if (batchResult.rows.length === 0) {
+      throw new ApiError(404, 'Batch not found');
+    }
+    
+    const batch = batchResult.rows[0];
+    
+    if (req.user.type !== 'admin' && batch.manufacturer_wp_user_id !== req.user.id) {
+      throw new ApiError(403, 'Unauthorized');
+    }
+    
+    // Batches created before signing was configured are signed on first render
+    const qrCodeData = batch.qr_code_data && batch.qr_code_data.code
+      ? batch.qr_code_data
+      : await signBatchQr(client, batch.id);
+    
+    await client.query('COMMIT');
+    
+    const filename = `batch-${batch.batch_number.replace(/[^\w.-]/g, '_')}.${format}`;
+    const options = { errorCorrectionLevel: 'M', margin: 2, width: size };
+    
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    
+    if (format === 'png') {
+      res.type('image/png').send(await QRCode.toBuffer(qrCodeData.url, options));
+    } else {
+      res.type('image/svg+xml').send(await QRCode.toString(qrCodeData.url, { ...options, type: 'svg' }));
+    }
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('QR render error:', error);
+    res.status(500).json({ error: 'Failed to render QR code' });
+  } finally {
+    client.release();
+  }
+});
+
+// Public keys for verifying codes offline
+app.get('/api/qr/keys', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT kid, public_key, created_at FROM qr_signing_keys ORDER BY created_at'
+    );
+    res.json({ success: true, algorithm: 'Ed25519', keys: result.rows });
+  } catch (error) {
+    console.error('QR keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch signing keys' });
+  }
+});
+
+// Public scan verification. A valid signature proves the label was issued by
+// Quit-OS; a copied label carries a valid signature too, so scans are counted
+// and scans from more networks than units produced marks the code as likely cloned.
+app.get('/api/scan', async (req, res) => {
+  const parsed = parseQrCode(req.query.code);
+  
+  if (!parsed) {
+    return res.status(400).json({ error: 'Not a Quit-OS QR code', code: 'INVALID_QR_CODE' });
+  }
+  
+  const { payload, signature, claims } = parsed;
+  const clientAddress = scanClientAddress(req);
+  
+  try {
+    const rateResult = await pool.query(
+      `SELECT COUNT(*)::int as recent
+       FROM batch_scans
+       WHERE client_network = ${scanNetworkSql('$1')}
+         AND scanned_at > CURRENT_TIMESTAMP - INTERVAL '1 hour'`,
+      [clientAddress]
+    );
+    
+    if (rateResult.rows[0].recent >= SCAN_RATE_LIMIT) {
+      return res.status(429).json({ error: 'Too many scans; try again later', code: 'SCAN_RATE_LIMITED' });
+    }
+    
+    const keyResult = await pool.query(
+      'SELECT public_key FROM qr_signing_keys WHERE kid = $1',
+      [claims.kid]
+    );
+    
+    const genuineSignature = keyResult.rows.length > 0 && crypto.verify(
+      null,
+      Buffer.from(payload),
+      keyResult.rows[0].public_key,
+      Buffer.from(signature, 'base64url')
+    );
+    
+    const batchResult = genuineSignature ? await pool.query(
+      `SELECT pb.id, pb.uuid, pb.batch_number, pb.manufacture_date, pb.expiry_date,
+              pb.quantity_produced, pb.lab_test_results,
+              p.uuid as product_uuid, p.product_name, p.sku, p.manufacturer_id,
+              m.company_name as manufacturer_name
+       FROM product_batches pb
+       JOIN products p ON pb.product_id = p.id
+       JOIN manufacturers m ON p.manufacturer_id = m.id
+       WHERE pb.uuid = $1`,
+      [claims.batch]
+    ) : { rows: [] };
+    
+    const batch = batchResult.rows[0];
+    
+    if (!batch || batch.product_uuid !== claims.product || batch.manufacturer_id !== claims.manufacturer) {
+      return res.json({
+        success: true,
+        genuine: false,
+        reason: genuineSignature ? 'UNKNOWN_BATCH' : 'INVALID_SIGNATURE'
+      });
+    }
+    
+    // Reloading the page or re-scanning the same pack doesn't inflate the count.
+    // Copy detection counts each network once ever, so one client can't push a
+    // genuine batch over its unit count.
+    const scanResult = await pool.query(
+      `WITH scan AS (
+         INSERT INTO batch_scans (batch_id, kid, ip_address, client_network, user_agent)
+         SELECT $1, $2, $3::inet, ${scanNetworkSql('$3')}, $4
+         WHERE NOT EXISTS (
+           SELECT 1 FROM batch_scans
+           WHERE batch_id = $1
+             AND client_network IS NOT DISTINCT FROM ${scanNetworkSql('$3')}
+             AND scanned_at > CURRENT_TIMESTAMP - make_interval(hours => $5)
+         )
+         RETURNING scanned_at, client_network
+       )
+       SELECT COUNT(*)::int + (SELECT COUNT(*) FROM scan)::int as scan_count,
+              (SELECT COUNT(network)::int FROM (
+                 SELECT client_network as network FROM batch_scans WHERE batch_id = $1
+                 UNION SELECT client_network FROM scan
+               ) networks) as network_count,
+              COALESCE(MIN(bs.scanned_at), (SELECT scanned_at FROM scan)) as first_scanned_at
+       FROM batch_scans bs
+       WHERE bs.batch_id = $1`,
+      [batch.id, claims.kid, clientAddress, req.get('User-Agent'), SCAN_DEDUPE_HOURS]
+    );
+    const scans = scanResult.rows[0];
+    
+    const [historyResult, recallResult] = await Promise.all([
+      pool.query('SELECT * FROM get_batch_history($1::uuid)', [batch.uuid]),
+      pool.query(
+        `SELECT uuid, reason, severity, consumer_notice, status, created_at, closed_at
+         FROM batch_recalls
+         WHERE batch_id = $1
+         ORDER BY created_at DESC`,
+        [batch.id]
+      )
+    ]);
+    
+    const recalled = recallResult.rows.some(recall => recall.status === 'active');
+    const warnings = [];
+    
+    if (scans.network_count > batch.quantity_produced) {
+      warnings.push('SCAN_COUNT_EXCEEDS_UNITS');
+    }
+    if (recalled) {
+      warnings.push('BATCH_RECALLED');
+    }
+    if (new Date(batch.expiry_date) < new Date()) {
+      warnings.push('BATCH_EXPIRED');
+    }
+    
+    res.json({
+      success: true,
+      genuine: true,
+      likely_copied: warnings.includes('SCAN_COUNT_EXCEEDS_UNITS'),
+      warnings,
+      signed_with: claims.kid,
+      batch: {
+        uuid: batch.uuid,
+        batch_number: batch.batch_number,
+        manufacture_date: batch.manufacture_date,
+        expiry_date: batch.expiry_date,
+        quantity_produced: batch.quantity_produced,
+        lab_test_results: batch.lab_test_results
+      },
+      product: {
+        uuid: batch.product_uuid,
+        product_name: batch.product_name,
+        sku: batch.sku,
+        manufacturer_name: batch.manufacturer_name
+      },
+      scans,
+      recall_status: recalled ? 'recalled' : 'none',
+      recall_notices: recallResult.rows,
+      movement_history: historyResult.rows
+    });
+    
+  } catch (error) {
+    console.error('Scan verification error:', error);
+    res.status(500).json({ error: 'Failed to verify QR code' });
+  }
+});
+
+// Age verification and jurisdiction sale restrictions
+const AGE_VERIFICATION_METHODS = ['id_document', 'digital_id', 'credit_check', 'in_person'];
+
+// Retailers that haven't set a jurisdiction_code sell under these rules
+const DEFAULT_JURISDICTION_CODE = process.env.DEFAULT_JURISDICTION_CODE || 'GB';
+
+// Purchase refusals for regulatory reasons; these are written to compliance_log
+const SALE_RESTRICTION_CODES = [
+  'JURISDICTION_UNCONFIGURED',
+  'AGE_VERIFICATION_REQUIRED',
+  'UNDERAGE',
+  'NICOTINE_LIMIT_EXCEEDED',
+  'VOLUME_LIMIT_EXCEEDED',
+  'PURCHASE_LIMIT_EXCEEDED'
+];
+
+// An attestation is {method, verifier, verified_at} plus date_of_birth or
+// age_over. prefix names the field it came in, for error messages.
+const validateAgeAttestation = (attestation, prefix = '') => {
+  if (typeof attestation !== 'object' || attestation === null) {
+    return `${prefix || 'age_verification'} must be an object`;
+  }
+  
+  if (!AGE_VERIFICATION_METHODS.includes(attestation.method)) {
+    return `${prefix}method must be one of: ${AGE_VERIFICATION_METHODS.join(', ')}`;
+  }
+  
+  if (!attestation.verifier) {
+    return `${prefix}verifier is required`;
+  }
+  
+  if (!attestation.verified_at || isNaN(Date.parse(attestation.verified_at))) {
+    return `${prefix}verified_at must be a timestamp`;
+  }
+  
+  if (attestation.date_of_birth ? isNaN(Date.parse(attestation.date_of_birth)) : !Number.isInteger(attestation.age_over)) {
+    return `${prefix}date_of_birth or a whole ${prefix}age_over is required`;
+  }
+  
+  return null;
+};
+
+// Check a sale against the rules of the retailer's jurisdiction: the buyer's
+// verified age, and the nicotine strength and volume of stock in the
+// jurisdiction's limited_categories (e-liquids, not patches or pouches). Uses
+// the attestation sent with the transaction, else the consumer's latest
+// recorded verification. Returns the verification relied on.
+const checkSaleRestrictions = async (client, { jurisdictionCode, wpUserId, attestation, stock }) => {
+  const rulesResult = await client.query(
+    'SELECT * FROM jurisdiction_rules WHERE code = $1',
+    [jurisdictionCode || DEFAULT_JURISDICTION_CODE]
+  );
+  
+  if (rulesResult.rows.length === 0) {
+    throw new ApiError(403, 'Retailer has no jurisdiction configured for regulated sales', 'JURISDICTION_UNCONFIGURED');
+  }
+  
+  const rules = rulesResult.rows[0];
+  let verification = null;
+  
+  if (attestation) {
+    const attestationError = validateAgeAttestation(attestation, 'age_verification.');
+    if (attestationError) {
+      throw new ApiError(400, attestationError, 'INVALID_AGE_VERIFICATION');
+    }
+    
+    const ageResult = await client.query(
+      `SELECT COALESCE(date_part('year', age($1::date))::int, $2::int) as verified_age`,
+      [attestation.date_of_birth || null, attestation.age_over || null]
+    );
+    
+    verification = {
+      source: 'transaction',
+      method: attestation.method,
+      verifier: attestation.verifier,
+      verified_at: attestation.verified_at,
+      verified_age: ageResult.rows[0].verified_age
+    };
+  } else if (wpUserId) {
+    const verificationResult = await client.query(
+      `SELECT 
+        'consumer' as source,
+        id as age_verification_id,
+        method,
+        verifier,
+        verified_at,
+        COALESCE(date_part('year', age(date_of_birth))::int, age_over) as verified_age
+       FROM age_verifications
+       WHERE wp_user_id = $1
+       ORDER BY verified_at DESC
+       LIMIT 1`,
+      [wpUserId]
+    );
+    
+    verification = verificationResult.rows[0] || null;
+  }
+  
+  if (!verification) {
+    throw new ApiError(403, 'Age verification is required for this sale', 'AGE_VERIFICATION_REQUIRED');
+  }
+  
+  if (verification.verified_age < rules.minimum_age) {
+    throw new ApiError(403, `Buyer must be at least ${rules.minimum_age} in ${rules.name}`, 'UNDERAGE', {
+      minimum_age: rules.minimum_age
+    });
+  }
+  
+  const limitedResult = await client.query(
+    `SELECT id FROM product_categories WHERE slug IN ${categorySubtreeSlugs('ANY($1::text[])')}`,
+    [rules.limited_categories]
+  );
+  const limitedCategoryIds = limitedResult.rows.map(row => row.id);
+  
+  for (const row of stock.values()) {
+    if (!limitedCategoryIds.includes(row.category_id)) {
+      continue;
+    }
+    
+    if (rules.max_nicotine_strength !== null && row.nicotine_strength !== null &&
+        parseFloat(row.nicotine_strength) > parseFloat(rules.max_nicotine_strength)) {
+      throw new ApiError(403, `Nicotine strength above the ${rules.name} limit`, 'NICOTINE_LIMIT_EXCEEDED', {
+        product_id: row.product_id,
+        nicotine_strength: row.nicotine_strength,
+        limit: rules.max_nicotine_strength
+      });
+    }
+    
+    if (rules.max_volume_ml !== null && row.volume_ml !== null &&
+        parseFloat(row.volume_ml) > parseFloat(rules.max_volume_ml)) {
+      throw new ApiError(403, `Unit volume above the ${rules.name} limit`, 'VOLUME_LIMIT_EXCEEDED', {
+        product_id: row.product_id,
+        volume_ml: row.volume_ml,
+        limit: rules.max_volume_ml
+      });
+    }
+  }
+  
+  return { ...verification, jurisdiction: rules.code };
+};
+
+// Sale rules per jurisdiction, for retailers choosing their region
+app.get('/api/jurisdictions', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT code, name, minimum_age, max_nicotine_strength, max_volume_ml, limited_categories
+       FROM jurisdiction_rules
+       ORDER BY code`
+    );
+    
+    res.json({ success: true, default_code: DEFAULT_JURISDICTION_CODE, jurisdictions: result.rows });
+  } catch (error) {
+    console.error('Error fetching jurisdictions:', error);
+    res.status(500).json({ error: 'Failed to fetch jurisdictions' });
+  }
+});
+
+// Record a consumer's age check (retailer staff or an admin on behalf of a
+// verification provider). Consumers can't verify themselves.
+app.post('/api/age-verifications', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer' && req.user.type !== 'admin') {
+    return res.status(403).json({ error: 'Only retailers and admins can record age verifications' });
+  }
+  
+  const { wp_user_id } = req.body;
+  
+  if (!wp_user_id) {
+    return res.status(400).json({ error: 'wp_user_id is required' });
+  }
+  
+  const attestationError = validateAgeAttestation(req.body);
+  if (attestationError) {
+    return res.status(400).json({ error: attestationError });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const verificationResult = await client.query(
+      `INSERT INTO age_verifications 
+       (wp_user_id, method, verifier, verified_at, date_of_birth, age_over, recorded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, wp_user_id, method, verifier, verified_at, created_at`,
+      [
+        wp_user_id,
+        req.body.method,
+        req.body.verifier,
+        req.body.verified_at,
+        req.body.date_of_birth || null,
+        req.body.date_of_birth ? null : req.body.age_over,
+        req.user.id
+      ]
+    );
+    
+    const verification = verificationResult.rows[0];
+    
+    // The log keeps how and by whom, not the date of birth
+    await logComplianceEvent(client, req, 'age_verified', 'consumer', wp_user_id, {
+      age_verification_id: verification.id,
+      method: verification.method,
+      verifier: verification.verifier,
+      verified_at: verification.verified_at
+    });
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({ success: true, age_verification: verification });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Age verification error:', error);
+    res.status(500).json({ error: 'Failed to record age verification' });
+  } finally {
+    client.release();
+  }
+});
+
+// POS credentials. A key looks like "pos_1a2b3c4d.<secret>"; the prefix is
+// stored in clear for lookup and the whole key is bcrypt-hashed.
+const generatePosKey = () => {
+  const prefix = `pos_${crypto.randomBytes(4).toString('hex')}`;
+  return { prefix, key: `${prefix}.${crypto.randomBytes(24).toString('hex')}` };
+};
+
+app.post('/api/retailers/me/pos-keys', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can create POS keys' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const retailerId = await getActivePartnerId(client, 'retailer', req.user.id);
+    const { prefix, key } = generatePosKey();
+    const keyHash = await bcrypt.hash(key, 10);
+    
+    const keyResult = await client.query(
+      `INSERT INTO retailer_pos_keys (retailer_id, label, key_prefix, key_hash)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, label, key_prefix, created_at`,
+      [retailerId, req.body.label || null, prefix, keyHash]
+    );
+    
+    await logComplianceEvent(client, req, 'pos_key_created', 'retailer', retailerId, {
+      key_id: keyResult.rows[0].id,
+      key_prefix: prefix
+    });
+    
+    await client.query('COMMIT');
+    
+    // The key is only ever shown once
+    res.status(201).json({ success: true, pos_key: { ...keyResult.rows[0], key } });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('POS key creation error:', error);
+    res.status(500).json({ error: 'Failed to create POS key' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/retailers/me/pos-keys', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can view POS keys' });
+  }
+  
+  try {
+    const result = await pool.query(
+      `SELECT k.id, k.label, k.key_prefix, k.created_at, k.last_used_at, k.revoked_at
+       FROM retailer_pos_keys k
+       JOIN retailers r ON k.retailer_id = r.id
+       WHERE r.wp_user_id = $1
+       ORDER BY k.created_at DESC`,
+      [req.user.id]
+    );
+    
+    res.json({ success: true, pos_keys: result.rows });
+  } catch (error) {
+    console.error('Error fetching POS keys:', error);
+    res.status(500).json({ error: 'Failed to fetch POS keys' });
+  }
+});
+
+app.delete('/api/retailers/me/pos-keys/:id', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can revoke POS keys' });
+  }
+  
+  try {
+    const result = await pool.query(
+      `UPDATE retailer_pos_keys k
+       SET revoked_at = CURRENT_TIMESTAMP
+       FROM retailers r
+       WHERE k.retailer_id = r.id AND k.id = $1 AND r.wp_user_id = $2 AND k.revoked_at IS NULL
+       RETURNING k.id`,
+      [req.params.id, req.user.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'POS key not found' });
+    }
+    
+    res.json({ success: true, message: 'POS key revoked' });
+  } catch (error) {
+    console.error('POS key revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke POS key' });
+  }
+});
+
+// Middleware for purchases: a retailer's POS (X-POS-Key header, or the
+// retailer's own WP token) or a signed-in consumer's WP token.
+// Sets req.purchaser to { channel: 'pos', retailerId } or { channel: 'consumer', wpUserId }.
+const authenticatePurchaser = async (req, res, next) => {
+  const posKey = req.get('x-pos-key');
+  
+  if (!posKey) {
+    return verifyWPToken(req, res, async () => {
+      try {
+        if (req.user.type === 'retailer') {
+          const retailerResult = await pool.query(
+            'SELECT id FROM retailers WHERE wp_user_id = $1',
+            [req.user.id]
+          );
+          if (retailerResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Retailer profile not found' });
+          }
+          req.purchaser = { channel: 'pos', retailerId: retailerResult.rows[0].id };
+        } else if (!req.user.type || req.user.type === 'consumer') {
+          req.purchaser = { channel: 'consumer', wpUserId: req.user.id };
+        } else {
+          return res.status(403).json({ error: 'Purchases must come from a retailer POS or a consumer' });
+        }
+        
+        next();
+      } catch (error) {
+        console.error('Auth error:', error);
+        res.status(401).json({ error: 'Invalid token' });
+      }
+    });
+  }
+  
+  try {
+    const keyResult = await pool.query(
+      `SELECT id, retailer_id, key_hash
+       FROM retailer_pos_keys
+       WHERE key_prefix = $1 AND revoked_at IS NULL`,
+      [posKey.split('.')[0]]
+    );
+    
+    if (keyResult.rows.length === 0 || !(await bcrypt.compare(posKey, keyResult.rows[0].key_hash))) {
+      return res.status(401).json({ error: 'Invalid POS key' });
+    }
+    
+    const { id, retailer_id } = keyResult.rows[0];
+    req.purchaser = { channel: 'pos', retailerId: retailer_id, posKeyId: id };
+    
+    pool.query('UPDATE retailer_pos_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [id])
+      .catch(error => console.error('POS key update error:', error));
+    
+    next();
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(401).json({ error: 'Invalid POS key' });
+  }
+};
+
+// Purchase limits: per-consumer caps in a rolling window
+const PURCHASE_LIMIT_TYPES = ['units', 'nicotine_mg'];
+
+// Share of a limit used by some quantity of a product. Nicotine is strength
+// (mg/ml) times volume_ml for liquids, or strength per unit when there's no volume.
+const limitAmount = (limitType, product, quantity) => {
+  if (limitType === 'units') {
+    return quantity;
+  }
+  
+  return quantity * parseFloat(product.nicotine_strength || 0) * parseFloat(product.volume_ml || 1);
+};
+
+// Active limit rules covering sales at a retailer, each with what the consumer
+// has already used in its window (returned units excluded) and the category ids it covers
+const getPurchaseLimitUsage = async (client, retailerId, wpUserId) => {
+  const result = await client.query(
+    `WITH RECURSIVE category_tree AS (
+       SELECT id as root_id, id FROM product_categories
+       UNION ALL
+       SELECT ct.root_id, pc.id FROM product_categories pc JOIN category_tree ct ON pc.parent_id = ct.id
+     ),
+     -- The consumer's purchased units, less those since returned; a return
+     -- counts against the purchase it came from
+     consumer_lines AS (
+       SELECT cp.retailer_id, cp.purchase_date, pi.product_id, pi.quantity
+       FROM consumer_purchases cp
+       JOIN purchase_items pi ON pi.purchase_id = cp.id
+       WHERE cp.wp_user_id = $2
+       UNION ALL
+       SELECT cp.retailer_id, cp.purchase_date, pm.product_id, -pm.quantity
+       FROM product_movements pm
+       JOIN consumer_purchases cp ON cp.id = (pm.transaction_metadata->>'purchase_id')::int
+       WHERE pm.movement_type = 'return'
+         AND pm.from_entity_type = 'consumer'
+         AND pm.from_entity_id = $2
+         AND cp.wp_user_id = $2
+     ),
+     rules AS (
+       SELECT lr.*
+       FROM purchase_limit_rules lr
+       WHERE lr.is_active = TRUE
+         AND (lr.retailer_id IS NULL OR lr.retailer_id = $1)
+         AND (lr.jurisdiction_code IS NULL OR
+              lr.jurisdiction_code = (SELECT COALESCE(jurisdiction_code, $3) FROM retailers WHERE id = $1))
+     )
+     SELECT 
+       rules.id,
+       rules.name,
+       rules.category_id,
+       rules.retailer_id,
+       rules.jurisdiction_code,
+       rules.limit_type,
+       rules.max_amount,
+       rules.window_hours,
+       ARRAY(SELECT ct.id FROM category_tree ct WHERE ct.root_id = rules.category_id) as category_ids,
+       COALESCE((
+         SELECT SUM(cl.quantity * CASE 
+           WHEN rules.limit_type = 'units' THEN 1
+           ELSE COALESCE(p.nicotine_strength, 0) * COALESCE(p.volume_ml, 1)
+         END)
+         FROM consumer_lines cl
+         JOIN retailers r ON cl.retailer_id = r.id
+         JOIN products p ON cl.product_id = p.id
+         WHERE cl.purchase_date > CURRENT_TIMESTAMP - make_interval(hours => rules.window_hours)
+           AND (rules.retailer_id IS NULL OR cl.retailer_id = rules.retailer_id)
+           AND (rules.jurisdiction_code IS NULL OR COALESCE(r.jurisdiction_code, $3) = rules.jurisdiction_code)
+           AND (rules.category_id IS NULL OR EXISTS (
+             SELECT 1 FROM category_tree ct WHERE ct.root_id = rules.category_id AND ct.id = p.category_id
+           ))
+       ), 0) as used
+     FROM rules
+     ORDER BY rules.id`,
+    [retailerId, wpUserId || null, DEFAULT_JURISDICTION_CODE]
+  );
+  
+  return result.rows.map(rule => {
+    const maxAmount = parseFloat(rule.max_amount);
+    const used = parseFloat(rule.used);
+    return { ...rule, max_amount: maxAmount, used, remaining: Math.max(maxAmount - used, 0) };
+  });
+};
+
+// Throw when a basket of {quantity, category_id, nicotine_strength, volume_ml}
+// lines would take the consumer past any limit. Anonymous sales have no
+// history, so only the basket itself counts towards the limits. Returns the
+// rules the basket falls under.
+const checkPurchaseLimits = async (client, retailerId, wpUserId, lines) => {
+  const rules = await getPurchaseLimitUsage(client, retailerId, wpUserId);
+  const applied = [];
+  
+  for (const rule of rules) {
+    const requested = lines
+      .filter(line => rule.category_id === null || rule.category_ids.includes(line.category_id))
+      .reduce((sum, line) => sum + limitAmount(rule.limit_type, line, line.quantity), 0);
+    
+    if (requested > 0 && requested > rule.remaining) {
+      throw new ApiError(403, `Purchase exceeds the limit "${rule.name}"`, 'PURCHASE_LIMIT_EXCEEDED', {
+        limit: {
+          id: rule.id,
+          name: rule.name,
+          limit_type: rule.limit_type,
+          max_amount: rule.max_amount,
+          window_hours: rule.window_hours,
+          used: rule.used,
+          remaining: rule.remaining
+        },
+        requested
+      });
+    }
+    
+    if (requested > 0) {
+      applied.push(rule);
+    }
+  }
+  
+  return applied;
+};
+
+// Remaining allowance before checkout. Consumers ask for themselves at a
+// retailer_id; a POS asks about a wp_user_id at its own store. used takes in
+// purchases at other stores, so a POS only gets what is remaining.
+app.get('/api/purchase-limits/remaining', authenticatePurchaser, async (req, res) => {
+  const isPos = req.purchaser.channel === 'pos';
+  const retailerId = isPos ? req.purchaser.retailerId : parseInt(req.query.retailer_id);
+  const wpUserId = isPos ? parseInt(req.query.wp_user_id) || null : req.purchaser.wpUserId;
+  
+  if (!retailerId) {
+    return res.status(400).json({ error: 'retailer_id is required' });
+  }
+  
+  try {
+    const rules = await getPurchaseLimitUsage(pool, retailerId, wpUserId);
+    
+    res.json({
+      success: true,
+      retailer_id: retailerId,
+      wp_user_id: wpUserId,
+      limits: rules.map(({ category_ids, used, ...rule }) => (isPos ? rule : { ...rule, used }))
+    });
+  } catch (error) {
+    console.error('Error fetching purchase limits:', error);
+    res.status(500).json({ error: 'Failed to fetch purchase limits' });
+  }
+});
+
+// Response body for a recorded purchase; also replayed for POS retries
+const purchaseResponse = (purchase, items, replayed) => ({
+  success: true,
+  purchase_id: purchase.id,
+  purchase_uuid: purchase.uuid,
+  total_amount: purchase.total_amount,
+  items,
+  idempotent_replay: replayed,
+  message: replayed ? 'Purchase already recorded' : 'Purchase completed successfully'
+});
+
+const findPurchaseByPosTransaction = async (client, retailerId, posTransactionId) => {
+  const purchaseResult = await client.query(
+    `SELECT id, uuid, total_amount, order_metadata
+     FROM consumer_purchases
+     WHERE retailer_id = $1 AND pos_transaction_id = $2`,
+    [retailerId, posTransactionId]
+  );
+  
+  return purchaseResult.rows[0] || null;
+};
+
+// Units per batch, as a comparable string
+const saleLineKey = (items) => {
+  const totals = new Map();
+  items.forEach(item => {
+    const batchId = parseInt(item.batch_id);
+    totals.set(batchId, (totals.get(batchId) || 0) + item.quantity);
+  });
+  return [...totals].sort((a, b) => a[0] - b[0]).map(([batchId, quantity]) => `${batchId}x${quantity}`).join(',');
+};
+
+// A retried POS transaction gets the stored sale back, but only when it is the
+// same sale; reusing the id for other items is refused instead of swallowed
+const replayPosPurchase = (res, existing, items, reservationId) => {
+  const metadata = existing.order_metadata;
+  const sameSale = reservationId || metadata.reservation_id
+    ? parseInt(reservationId) === metadata.reservation_id
+    : saleLineKey(items) === saleLineKey(metadata.items);
+  
+  if (!sameSale) {
+    return sendApiError(res, new ApiError(
+      409, 'pos_transaction_id was already used for a different sale', 'POS_TRANSACTION_CONFLICT',
+      { purchase_id: existing.id }
+    ));
+  }
+  
+  return res.json(purchaseResponse(existing, metadata.items, true));
+};
+
+// Consumer purchase endpoint. Prices come from retailer_inventory, never the
+// client; pos_transaction_id is a POS-only idempotency key per retailer. Also collects
+// a reservation, in which case the items come from the reservation.
+const handlePurchase = async (req, res) => {
+  const {
+    payment_method,
+    pos_transaction_id
+  } = req.body;
+  let items = req.body.items; // Array of {batch_id, quantity, product_id?}
+  const reservationId = req.params.id || req.body.reservation_id;
+  
+  const isPos = req.purchaser.channel === 'pos';
+  const retailer_id = isPos ? req.purchaser.retailerId : parseInt(req.body.retailer_id);
+  // A POS may attach a known customer; consumers always buy as themselves
+  let wp_user_id = isPos ? (req.body.wp_user_id || null) : req.purchaser.wpUserId;
+  
+  if (reservationId && !isPos) {
+    return res.status(403).json({ error: 'Reservations are collected at the retailer', code: 'RESERVATION_POS_ONLY' });
+  }
+  
+  // The idempotency key belongs to the retailer's till; a consumer could
+  // otherwise claim a POS id first or read back someone else's purchase
+  if (pos_transaction_id && !isPos) {
+    return res.status(400).json({ error: 'pos_transaction_id is only accepted from a POS', code: 'INVALID_REQUEST' });
+  }
+  
+  if (isPos && req.body.retailer_id && parseInt(req.body.retailer_id) !== retailer_id) {
+    return res.status(403).json({ error: 'POS credential belongs to another retailer', code: 'RETAILER_MISMATCH' });
+  }
+  
+  if (!retailer_id) {
+    return res.status(400).json({ error: 'retailer_id is required', code: 'INVALID_REQUEST' });
+  }
+  
+  if (!reservationId && (!Array.isArray(items) || items.length === 0 ||
+      items.some(item => !item.batch_id || !Number.isInteger(item.quantity) || item.quantity <= 0))) {
+    return res.status(400).json({
+      error: 'items must be a non-empty list of {batch_id, quantity} with whole positive quantities',
+      code: 'INVALID_REQUEST'
+    });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    if (pos_transaction_id) {
+      const existing = await findPurchaseByPosTransaction(client, retailer_id, pos_transaction_id);
+      if (existing) {
+        await client.query('ROLLBACK');
+        return replayPosPurchase(res, existing, items, reservationId);
+      }
+    }
+    
+    const retailerResult = await client.query(
+      'SELECT verification_status, jurisdiction_code FROM retailers WHERE id = $1',
+      [retailer_id]
+    );
+    
+    if (retailerResult.rows.length === 0) {
+      throw new ApiError(404, 'Retailer not found', 'RETAILER_NOT_FOUND');
+    }
+    
+    if (retailerResult.rows[0].verification_status !== 'verified') {
+      throw new ApiError(403, 'Retailer is not verified to sell', 'RETAILER_NOT_VERIFIED');
+    }
+    
+    // Units the reservation holds count towards what is available to it
+    const held = new Map();
+    let reservation = null;
+    
+    if (reservationId) {
+      reservation = await getOpenReservation(client, reservationId, { retailerId: retailer_id });
+      
+      if (new Date(reservation.pickup_by) < new Date()) {
+        throw new ApiError(409, 'Reservation pickup window has passed', 'RESERVATION_EXPIRED');
+      }
+      
+      const reservedResult = await client.query(
+        'SELECT product_id, batch_id, quantity FROM reservation_items WHERE reservation_id = $1',
+        [reservation.id]
+      );
+      
+      items = reservedResult.rows;
+      items.forEach(item => held.set(item.batch_id, (held.get(item.batch_id) || 0) + item.quantity));
+      wp_user_id = reservation.wp_user_id;
+    }
+    
+    // Lock stock rows in batch order so concurrent sales can't deadlock
+    const requested = new Map();
+    items.forEach(item => {
+      const batchId = parseInt(item.batch_id);
+      requested.set(batchId, (requested.get(batchId) || 0) + item.quantity);
+    });
+    
+    const stock = new Map();
+    
+    for (const batchId of [...requested.keys()].sort((a, b) => a - b)) {
+      const stockResult = await client.query(
+        `SELECT 
+          ri.product_id,
+          ri.quantity_in_stock,
+          ri.quantity_reserved,
+          ri.price,
+          ri.discount_price,
+          ri.is_active,
+          p.status as product_status,
+          p.category_id,
+          p.nicotine_strength,
+          p.volume_ml,
+          pb.expiry_date <= CURRENT_DATE as is_expired,
+          EXISTS (
+            SELECT 1 FROM batch_recalls br WHERE br.batch_id = pb.id AND br.status = 'active'
+          ) as is_recalled
+         FROM retailer_inventory ri
+         JOIN product_batches pb ON ri.batch_id = pb.id
+         JOIN products p ON ri.product_id = p.id
+         WHERE ri.retailer_id = $1 AND ri.batch_id = $2
+         FOR UPDATE OF ri`,
+        [retailer_id, batchId]
+      );
+      
+      const row = stockResult.rows[0];
+      
+      if (!row) {
+        throw new ApiError(409, `Batch ${batchId} is not stocked by this retailer`, 'NOT_STOCKED', { batch_id: batchId });
+      }
+      if (row.is_recalled) {
+        throw new ApiError(409, `Batch ${batchId} has been recalled`, 'BATCH_RECALLED', { batch_id: batchId });
+      }
+      if (row.is_expired) {
+        throw new ApiError(409, `Batch ${batchId} has expired`, 'BATCH_EXPIRED', { batch_id: batchId });
+      }
+      if (!row.is_active || row.product_status !== 'active') {
+        throw new ApiError(409, `Batch ${batchId} is not on sale`, 'STOCK_INACTIVE', { batch_id: batchId });
+      }
+      const available = row.quantity_in_stock - row.quantity_reserved + (held.get(batchId) || 0);
+      if (available < requested.get(batchId)) {
+        throw new ApiError(409, `Not enough stock of batch ${batchId}`, 'INSUFFICIENT_STOCK', {
+          batch_id: batchId,
+          available
+        });
+      }
+      
+      stock.set(batchId, row);
+    }
+    
+    const ageVerification = await checkSaleRestrictions(client, {
+      jurisdictionCode: retailerResult.rows[0].jurisdiction_code,
+      wpUserId: wp_user_id,
+      // Only the retailer can vouch for a buyer at the till
+      attestation: isPos ? req.body.age_verification : null,
+      stock
+    });
+    
+    // One sale per consumer at a time, so two tills can't both fit under a limit
+    if (wp_user_id) {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`purchase_limits:${wp_user_id}`]);
+    }
+    
+    const appliedLimits = await checkPurchaseLimits(client, retailer_id, wp_user_id, items.map(item => ({
+      ...stock.get(parseInt(item.batch_id)),
+      quantity: item.quantity
+    })));
+    
+    // A till sale with no known buyer is only checked against its own basket;
+    // that is recorded with the sale and logged, not left silent
+    const limitExemption = !wp_user_id && appliedLimits.length > 0
+      ? { reason: 'ANONYMOUS_SALE', rule_ids: appliedLimits.map(rule => rule.id) }
+      : null;
+    
+    // Price every line from the shelf price, using the discount when lower
+    const pricedItems = items.map(item => {
+      const batchId = parseInt(item.batch_id);
+      const row = stock.get(batchId);
+      
+      if (item.product_id && parseInt(item.product_id) !== row.product_id) {
+        throw new ApiError(400, `Batch ${batchId} does not belong to product ${item.product_id}`, 'PRODUCT_MISMATCH');
+      }
+      
+      const price = parseFloat(row.price);
+      const unitPrice = shelfPrice(row);
+      
+      return {
+        product_id: row.product_id,
+        batch_id: batchId,
+        quantity: item.quantity,
+        unit_price: unitPrice,
+        total_price: Math.round(unitPrice * item.quantity * 100) / 100,
+        discount_applied: Math.round((price - unitPrice) * item.quantity * 100) / 100
+      };
+    });
+    
+    const total_amount = Math.round(
+      pricedItems.reduce((sum, item) => sum + item.total_price, 0) * 100
+    ) / 100;
+    
+    // Create purchase record
+    const purchaseResult = await client.query(
+      `INSERT INTO consumer_purchases 
+       (wp_user_id, retailer_id, total_amount, payment_method, 
+        pos_transaction_id, order_metadata, age_verification, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, uuid, total_amount`,
+      [
+        wp_user_id,
+        retailer_id,
+        total_amount,
+        payment_method,
+        pos_transaction_id || null,
+        JSON.stringify({
+          items: pricedItems,
+          channel: req.purchaser.channel,
+          reservation_id: reservation ? reservation.id : null,
+          limit_exemption: limitExemption
+        }),
+        JSON.stringify(ageVerification),
+        req.ip,
+        req.get('user-agent')
+      ]
+    );
+    
+    const purchase = purchaseResult.rows[0];
+    
+    if (limitExemption) {
+      await logComplianceEvent(client, req, 'purchase_limit_exempted', 'purchase', purchase.id, {
+        ...limitExemption,
+        retailer_id,
+        channel: req.purchaser.channel
+      });
+    }
+    
+    // Release the reservation's hold before taking the stock, so reserved
+    // never exceeds what is in stock
+    for (const [batchId, quantity] of held) {
+      await client.query(
+        `UPDATE retailer_inventory
+         SET quantity_reserved = quantity_reserved - $3
+         WHERE retailer_id = $1 AND batch_id = $2`,
+        [retailer_id, batchId, quantity]
+      );
+    }
+    
+    if (reservation) {
+      await client.query(
+        `UPDATE reservations
+         SET status = 'fulfilled', purchase_id = $2, closed_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [reservation.id, purchase.id]
+      );
+    }
+    
+    // Process each item
+    for (const item of pricedItems) {
+      // Insert purchase item
+      await client.query(
+        `INSERT INTO purchase_items 
+         (purchase_id, product_id, batch_id, quantity, unit_price, total_price, discount_applied)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          purchase.id,
+          item.product_id,
+          item.batch_id,
+          item.quantity,
+          item.unit_price,
+          item.total_price,
+          item.discount_applied
+        ]
+      );
+      
+      // Update inventory
+      await client.query(
+        `UPDATE retailer_inventory 
+         SET quantity_in_stock = quantity_in_stock - $1,
+             last_sold = CURRENT_TIMESTAMP
+         WHERE retailer_id = $2 AND batch_id = $3`,
+        [item.quantity, retailer_id, item.batch_id]
+      );
+      
+      // Record movement
+      await recordMovement(client, {
+        movement_type: 'sale_to_consumer',
+        product_id: item.product_id,
+        batch_id: item.batch_id,
+        from_entity_type: 'retailer',
+        from_entity_id: retailer_id,
+        to_entity_type: 'consumer',
+        to_entity_id: wp_user_id || 0,
+        quantity: item.quantity,
+        unit_price: item.unit_price,
+        transaction_metadata: { purchase_id: purchase.id }
+      });
+    }
+    
+    await queueWebhookEvent(client, 'purchase.recorded', [{ type: 'retailer', id: retailer_id }], {
+      purchase_id: purchase.id,
+      purchase_uuid: purchase.uuid,
+      retailer_id,
+      channel: req.purchaser.channel,
+      reservation_id: reservation ? reservation.id : null,
+      total_amount: purchase.total_amount,
+      items: pricedItems
+    });
+    
+    // Low stock fires once, when a sale takes a batch below the threshold
+    const afterResult = await client.query(
+      `SELECT batch_id, product_id, quantity_in_stock - quantity_reserved as available
+       FROM retailer_inventory
+       WHERE retailer_id = $1 AND batch_id = ANY($2)`,
+      [retailer_id, [...stock.keys()]]
+    );
+    
+    for (const row of afterResult.rows) {
+      const before = stock.get(row.batch_id);
+      if (row.available < LOW_STOCK_THRESHOLD &&
+          before.quantity_in_stock - before.quantity_reserved >= LOW_STOCK_THRESHOLD) {
+        await queueWebhookEvent(client, 'stock.low', [{ type: 'retailer', id: retailer_id }], {
+          retailer_id,
+          product_id: row.product_id,
+          batch_id: row.batch_id,
+          available: row.available,
+          threshold: LOW_STOCK_THRESHOLD
+        });
+      }
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json(purchaseResponse(purchase, pricedItems, false));
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    
+    // A concurrent retry of the same POS transaction won the race
+    if (error.code === '23505' && pos_transaction_id) {
+      try {
+        const existing = await findPurchaseByPosTransaction(pool, retailer_id, pos_transaction_id);
+        if (existing) {
+          return replayPosPurchase(res, existing, items, reservationId);
+        }
+      } catch (lookupError) {
+        console.error('Purchase replay lookup error:', lookupError);
+      }
+    }
+    
+    if (error instanceof ApiError && SALE_RESTRICTION_CODES.includes(error.code)) {
+      await logComplianceEvent(pool, req, 'sale_blocked', 'retailer', retailer_id, {
+        reason: error.code,
+        message: error.message,
+        ...error.details,
+        wp_user_id,
+        channel: req.purchaser.channel,
+        reservation_id: reservationId || null,
+        items
+      }).catch(logError => console.error('Compliance log error:', logError));
+    }
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    console.error('Purchase error:', error);
+    res.status(500).json({ error: 'Failed to process purchase', code: 'PURCHASE_FAILED' });
+  } finally {
+    client.release();
+  }
+};
+
+app.post('/api/purchase', authenticatePurchaser, handlePurchase);
+
+// POS inventory sync. A POS sends its stock as a full snapshot (quantity is the
+// count on hand) or a delta (quantity is the signed change) of SKU, batch
+// number, quantity and optional price lines. Each line is reconciled against
+// retailer_inventory and every stock discrepancy is recorded as an
+// 'adjustment' movement. Lines that can't be applied are held for the
+// retailer to map to a batch or dismiss; they are never dropped.
+const POS_SYNC_MODES = ['snapshot', 'delta'];
+const POS_SYNC_MAX_LINES = 5000;
+
+const validateSyncLines = (mode, lines) => {
+  if (!POS_SYNC_MODES.includes(mode)) {
+    return [{ field: 'mode', message: `must be one of: ${POS_SYNC_MODES.join(', ')}` }];
+  }
+  
+  if (!Array.isArray(lines) || lines.length === 0 || lines.length > POS_SYNC_MAX_LINES) {
+    return [{ field: 'lines', message: `must be a list of 1 to ${POS_SYNC_MAX_LINES} lines` }];
+  }
+  
+  const errors = [];
+  const seen = new Set();
+  const isCode = value => typeof value === 'string' && value.trim() !== '' && value.length <= 100;
+  
+  lines.forEach((line, i) => {
+    const prefix = `lines[${i}]`;
+    
+    if (!line || !isCode(line.sku) || !isCode(line.batch_number)) {
+      errors.push({ field: prefix, message: 'needs sku and batch_number (up to 100 characters)' });
+      return;
+    }
+    if (!Number.isInteger(line.quantity) || (mode === 'snapshot' && line.quantity < 0)) {
+      errors.push({
+        field: `${prefix}.quantity`,
+        message: mode === 'snapshot' ? 'must be a whole number, 0 or more' : 'must be a whole number'
+      });
+    }
+    if (line.price !== undefined && line.price !== null && !(Number(line.price) > 0)) {
+      errors.push({ field: `${prefix}.price`, message: 'must be greater than 0' });
+    }
+    
+    const key = `${line.sku.trim()}\u0000${line.batch_number.trim()}`;
+    if (seen.has(key)) {
+      errors.push({ field: prefix, message: 'repeats an earlier sku and batch_number' });
+    }
+    seen.add(key);
+  });
+  
+  return errors;
+};
+
+// Batches a POS line can mean: the retailer's learned mapping if there is one,
+// otherwise any batch whose product SKU and batch number match
+const resolveSyncLines = async (client, retailerId, lines) => {
+  const skus = [...new Set(lines.map(line => line.sku))];
+  
+  const mappingResult = await client.query(
+    `SELECT psm.pos_sku, psm.pos_batch_number, pb.id as batch_id
+     FROM pos_sku_mappings psm
+     JOIN product_batches pb ON pb.id = psm.batch_id
+     WHERE psm.retailer_id = $1 AND psm.pos_sku = ANY($2)`,
+    [retailerId, skus]
+  );
+  
+  const candidateResult = await client.query(
+    `SELECT p.sku, pb.batch_number, pb.id as batch_id,
+            EXISTS (
+              SELECT 1 FROM retailer_inventory ri WHERE ri.retailer_id = $1 AND ri.batch_id = pb.id
+            ) as stocked
+     FROM products p
+     JOIN product_batches pb ON pb.product_id = p.id
+     WHERE p.sku = ANY($2)`,
+    [retailerId, skus]
+  );
+  
+  const mapped = new Map(mappingResult.rows.map(row => [`${row.pos_sku}\u0000${row.pos_batch_number}`, row.batch_id]));
+  
+  return lines.map(line => {
+    const mappedBatch = mapped.get(`${line.sku}\u0000${line.batch_number}`);
+    if (mappedBatch) {
+      return { batchId: mappedBatch };
+    }
+    
+    // Manufacturers may share a SKU; prefer the batch this retailer already stocks
+    const matches = candidateResult.rows.filter(row => row.sku === line.sku && row.batch_number === line.batch_number);
+    const chosen = matches.length === 1 ? matches : matches.filter(row => row.stocked);
+    
+    if (chosen.length === 1) {
+      return { batchId: chosen[0].batch_id };
+    }
+    if (matches.length > 0) {
+      return { hold: 'AMBIGUOUS_SKU' };
+    }
+    return { hold: candidateResult.rows.some(row => row.sku === line.sku) ? 'UNKNOWN_BATCH' : 'UNKNOWN_SKU' };
+  });
+};
+
+const getStockableBatch = async (client, batchId) => {
+  const batchResult = await client.query(
+    `SELECT pb.id, pb.product_id, p.status as product_status,
+            m.verification_status as manufacturer_status,
+            EXISTS (
+              SELECT 1 FROM batch_recalls br WHERE br.batch_id = pb.id AND br.status = 'active'
+            ) as is_recalled
+     FROM product_batches pb
+     JOIN products p ON pb.product_id = p.id
+     JOIN manufacturers m ON p.manufacturer_id = m.id
+     WHERE pb.id = $1`,
+    [batchId]
+  );
+  
+  return batchResult.rows[0] || null;
+};
+
+// Apply one line to its batch's stock row (locked by the caller, or undefined
+// if the retailer doesn't stock the batch yet). Returns { status: 'matched' |
+// 'adjusted', ... } or { status: 'held', reason } when it can't be applied.
+const applySyncLine = async (client, sync, line, batch, row) => {
+  const quantityBefore = row ? row.quantity_in_stock : 0;
+  const quantityAfter = sync.mode === 'snapshot' ? line.quantity : quantityBefore + line.quantity;
+  const priceBefore = row ? Number(row.price) : null;
+  const priceAfter = line.price !== undefined && line.price !== null ? Number(line.price) : priceBefore;
+  const result = { batch_id: batch.id, product_id: batch.product_id };
+  
+  if (quantityAfter < 0) {
+    return { ...result, status: 'held', reason: 'NEGATIVE_STOCK' };
+  }
+  
+  if (row && quantityAfter < row.quantity_reserved) {
+    return { ...result, status: 'held', reason: 'BELOW_RESERVED' };
+  }
+  
+  if (quantityAfter === quantityBefore && priceAfter === priceBefore) {
+    return { ...result, status: 'matched', quantity: quantityBefore, price: priceBefore };
+  }
+  
+  // New or extra stock on the shelf follows the same rules as /api/inventory/add;
+  // stock that can't be sold any more may still be counted down
+  if (!row && priceAfter === null) {
+    return { ...result, status: 'held', reason: 'PRICE_REQUIRED' };
+  }
+  if ((!row || quantityAfter > quantityBefore) &&
+      (batch.is_recalled || batch.product_status === 'discontinued' || batch.manufacturer_status === 'suspended')) {
+    return { ...result, status: 'held', reason: 'NOT_STOCKABLE' };
+  }
+  
+  if (!row) {
+    await client.query(
+      `INSERT INTO retailer_inventory 
+       (retailer_id, product_id, batch_id, quantity_in_stock, price, last_restocked)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)`,
+      [sync.retailerId, batch.product_id, batch.id, quantityAfter, priceAfter]
+    );
+  } else {
+    await client.query(
+      `UPDATE retailer_inventory SET 
+        quantity_in_stock = $2,
+        price = $3,
+        last_restocked = CASE WHEN $2 > quantity_in_stock THEN CURRENT_TIMESTAMP ELSE last_restocked END,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [row.id, quantityAfter, priceAfter]
+    );
+  }
+  
+  if (quantityAfter !== quantityBefore) {
+    await recordMovement(client, {
+      movement_type: 'adjustment',
+      product_id: batch.product_id,
+      batch_id: batch.id,
+      from_entity_type: 'retailer',
+      from_entity_id: sync.retailerId,
+      to_entity_type: 'retailer',
+      to_entity_id: sync.retailerId,
+      quantity: Math.abs(quantityAfter - quantityBefore),
+      unit_price: priceAfter,
+      transaction_metadata: {
+        direction: quantityAfter > quantityBefore ? 'increase' : 'decrease',
+        quantity_before: quantityBefore,
+        quantity_after: quantityAfter,
+        pos_sync_run_id: sync.runId,
+        pos_sku: line.sku,
+        pos_batch_number: line.batch_number
+      },
+      notes: sync.mode === 'snapshot' ? 'POS stock count' : 'POS stock change'
+    });
+  }
+  
+  return {
+    ...result,
+    status: 'adjusted',
+    quantity_before: quantityBefore,
+    quantity_after: quantityAfter,
+    price_before: priceBefore,
+    price_after: priceAfter
+  };
+};
+
+const holdSyncLine = async (client, sync, line, lineNumber, reason) => {
+  const heldResult = await client.query(
+    `INSERT INTO pos_sync_held_lines 
+     (run_id, retailer_id, line_number, sku, batch_number, quantity, price, reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id`,
+    [sync.runId, sync.retailerId, lineNumber, line.sku, line.batch_number, line.quantity, line.price || null, reason]
+  );
+  
+  return heldResult.rows[0].id;
+};
+
+const findSyncRun = async (client, retailerId, syncId) => {
+  const runResult = await client.query(
+    'SELECT report FROM pos_sync_runs WHERE retailer_id = $1 AND sync_id = $2',
+    [retailerId, syncId]
+  );
+  
+  return runResult.rows[0] || null;
+};
+
+// In snapshot mode, stock rows the snapshot doesn't mention are counted as
+// zero (or down to what is reserved), but only when every line was resolved:
+// a held line may well be one of those rows under another code.
+app.post('/api/inventory/sync', authenticatePurchaser, async (req, res) => {
+  if (req.purchaser.channel !== 'pos') {
+    return res.status(403).json({ error: 'Only retailers can sync inventory' });
+  }
+  
+  const { mode, sync_id } = req.body;
+  const retailerId = req.purchaser.retailerId;
+  const errors = validateSyncLines(mode, req.body.lines);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid sync request', code: 'INVALID_REQUEST', errors });
+  }
+  
+  const lines = req.body.lines.map(line => ({
+    sku: line.sku.trim(),
+    batch_number: line.batch_number.trim(),
+    quantity: line.quantity,
+    price: line.price !== undefined && line.price !== null ? Number(line.price) : null
+  }));
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // sync_id makes retries safe: the first run's report is returned again
+    if (sync_id) {
+      const existing = await findSyncRun(client, retailerId, sync_id);
+      if (existing) {
+        await client.query('ROLLBACK');
+        return res.json({ success: true, ...existing.report, idempotent_replay: true });
+      }
+    }
+    
+    const retailerResult = await client.query(
+      'SELECT verification_status FROM retailers WHERE id = $1',
+      [retailerId]
+    );
+    
+    if (retailerResult.rows[0].verification_status === 'suspended') {
+      throw new ApiError(403, 'Retailer account is suspended', 'PARTNER_SUSPENDED');
+    }
+    
+    const runResult = await client.query(
+      `INSERT INTO pos_sync_runs (retailer_id, pos_key_id, sync_id, mode, line_count, report)
+       VALUES ($1, $2, $3, $4, $5, '{}')
+       RETURNING id`,
+      [retailerId, req.purchaser.posKeyId || null, sync_id || null, mode, lines.length]
+    );
+    
+    const sync = { retailerId, runId: runResult.rows[0].id, mode };
+    const resolved = await resolveSyncLines(client, retailerId, lines);
+    
+    // Lock the stock rows in batch order, as purchases do. A snapshot only
+    // covers stock on sale: quarantined recall stock is never on the till.
+    const resolvedBatches = resolved.filter(line => line.batchId).map(line => line.batchId);
+    const stockResult = await client.query(
+      `SELECT ri.* FROM retailer_inventory ri
+       WHERE ri.retailer_id = $1
+         AND (ri.batch_id = ANY($3) OR ($2 AND ri.is_active = TRUE AND NOT EXISTS (
+           SELECT 1 FROM batch_recalls br WHERE br.batch_id = ri.batch_id AND br.status = 'active'
+         )))
+       ORDER BY ri.batch_id
+       FOR UPDATE OF ri`,
+      [retailerId, mode === 'snapshot', resolvedBatches]
+    );
+    const stock = new Map(stockResult.rows.map(row => [row.batch_id, row]));
+    
+    const report = [];
+    const applied = new Set();
+    
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const entry = { line: i + 1, sku: line.sku, batch_number: line.batch_number };
+      let outcome = { status: 'held', reason: resolved[i].hold };
+      
+      // Two POS codes can resolve to the same batch; only the first is applied
+      if (resolved[i].batchId && applied.has(resolved[i].batchId)) {
+        outcome = { status: 'held', reason: 'DUPLICATE_BATCH', batch_id: resolved[i].batchId };
+      } else if (resolved[i].batchId) {
+        applied.add(resolved[i].batchId);
+        const batch = await getStockableBatch(client, resolved[i].batchId);
+        outcome = await applySyncLine(client, sync, line, batch, stock.get(batch.id));
+      }
+      
+      if (outcome.status === 'held') {
+        outcome.held_line_id = await holdSyncLine(client, sync, line, i + 1, outcome.reason);
+      }
+      
+      report.push({ ...entry, ...outcome });
+    }
+    
+    const counted = new Set(resolvedBatches);
+    const notInSnapshot = [];
+    
+    if (mode === 'snapshot') {
+      const allResolved = resolved.every(line => line.batchId);
+      
+      for (const row of stockResult.rows) {
+        if (counted.has(row.batch_id) || row.quantity_in_stock === row.quantity_reserved) {
+          continue;
+        }
+        
+        if (!allResolved) {
+          notInSnapshot.push({
+            batch_id: row.batch_id,
+            product_id: row.product_id,
+            status: 'unchanged',
+            quantity: row.quantity_in_stock
+          });
+          continue;
+        }
+        
+        const outcome = await applySyncLine(
+          client, sync, { sku: null, batch_number: null, quantity: row.quantity_reserved },
+          { id: row.batch_id, product_id: row.product_id }, row
+        );
+        notInSnapshot.push(outcome);
+      }
+    }
+    
+    const count = status => report.filter(entry => entry.status === status).length;
+    const summary = {
+      lines: lines.length,
+      matched: count('matched'),
+      adjusted: count('adjusted'),
+      held: count('held'),
+      not_in_snapshot: notInSnapshot.length
+    };
+    const fullReport = {
+      run_id: sync.runId,
+      sync_id: sync_id || null,
+      mode,
+      summary,
+      lines: report,
+      not_in_snapshot: notInSnapshot
+    };
+    
+    await client.query(
+      `UPDATE pos_sync_runs SET matched_count = $2, adjusted_count = $3, held_count = $4, report = $5
+       WHERE id = $1`,
+      [sync.runId, summary.matched, summary.adjusted, summary.held, JSON.stringify(fullReport)]
+    );
+    
+    await logComplianceEvent(client, req, 'inventory_synced', 'retailer', retailerId, {
+      run_id: sync.runId,
+      pos_key_id: req.purchaser.posKeyId || null,
+      ...summary
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, ...fullReport, idempotent_replay: false });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    
+    // A concurrent retry of the same sync won the race
+    if (error.code === '23505' && sync_id) {
+      try {
+        const existing = await findSyncRun(pool, retailerId, sync_id);
+        if (existing) {
+          return res.json({ success: true, ...existing.report, idempotent_replay: true });
+        }
+      } catch (lookupError) {
+        console.error('Inventory sync replay lookup error:', lookupError);
+      }
+    }
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Inventory sync error:', error);
+    res.status(500).json({ error: 'Failed to sync inventory' });
+  } finally {
+    client.release();
+  }
+});
+
+// Held POS lines awaiting review
+app.get('/api/inventory/sync/held', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can manage inventory' });
+  }
+  
+  const status = req.query.status || 'pending';
+  
+  try {
+    const retailerId = await getActivePartnerId(pool, 'retailer', req.user.id);
+    const result = await pool.query(
+      `SELECT h.*, r.sync_id, r.mode
+       FROM pos_sync_held_lines h
+       JOIN pos_sync_runs r ON r.id = h.run_id
+       WHERE h.retailer_id = $1 AND h.status = $2
+       ORDER BY h.created_at, h.line_number
+       LIMIT 500`,
+      [retailerId, status]
+    );
+    
+    res.json({ success: true, held_lines: result.rows });
+    
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Held lines error:', error);
+    res.status(500).json({ error: 'Failed to fetch held lines' });
+  }
+});
+
+const getPendingHeldLine = async (client, heldLineId, retailerId) => {
+  const heldResult = await client.query(
+    `SELECT h.*, r.mode
+     FROM pos_sync_held_lines h
+     JOIN pos_sync_runs r ON r.id = h.run_id
+     WHERE h.id = $1
+     FOR UPDATE OF h`,
+    [heldLineId]
+  );
+  
+  if (heldResult.rows.length === 0 || heldResult.rows[0].retailer_id !== retailerId) {
+    throw new ApiError(404, 'Held line not found');
+  }
+  
+  if (heldResult.rows[0].status !== 'pending') {
+    throw new ApiError(409, `Held line is already ${heldResult.rows[0].status}`, 'HELD_LINE_CLOSED');
+  }
+  
+  return heldResult.rows[0];
+};
+
+// Map a held line to a batch and apply it. A delta line is applied as it
+// would have been; a snapshot count is stale by now (sales and deliveries
+// since the sync), so the retailer confirms the current count as quantity.
+// With remember (the default) later syncs map the same POS codes automatically.
+app.post('/api/inventory/sync/held/:id/resolve', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can manage inventory' });
+  }
+  
+  const { batch_id, quantity, remember = true } = req.body;
+  
+  if (!batch_id) {
+    return res.status(400).json({ error: 'batch_id is required' });
+  }
+  
+  if (quantity !== undefined && !(Number.isInteger(quantity) && quantity >= 0)) {
+    return res.status(400).json({ error: 'quantity must be a whole number, 0 or more' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const retailerId = await getActivePartnerId(client, 'retailer', req.user.id);
+    const held = await getPendingHeldLine(client, req.params.id, retailerId);
+    
+    if (held.mode === 'snapshot' && quantity === undefined) {
+      throw new ApiError(400, 'quantity is required: confirm the current count for a stock-count line', 'COUNT_REQUIRED', {
+        counted_at_sync: held.quantity
+      });
+    }
+    
+    const batch = await getStockableBatch(client, batch_id);
+    
+    if (!batch) {
+      throw new ApiError(404, 'Batch not found');
+    }
+    
+    const stockResult = await client.query(
+      'SELECT * FROM retailer_inventory WHERE retailer_id = $1 AND batch_id = $2 FOR UPDATE',
+      [retailerId, batch.id]
+    );
+    
+    const line = {
+      sku: held.sku,
+      batch_number: held.batch_number,
+      quantity: held.mode === 'snapshot' ? quantity : held.quantity,
+      price: held.price !== null ? Number(held.price) : null
+    };
+    const outcome = await applySyncLine(
+      client, { retailerId, runId: held.run_id, mode: held.mode }, line, batch, stockResult.rows[0]
+    );
+    
+    if (outcome.status === 'held') {
+      throw new ApiError(409, 'Line still cannot be applied to this batch', outcome.reason);
+    }
+    
+    if (remember) {
+      await client.query(
+        `INSERT INTO pos_sku_mappings (retailer_id, pos_sku, pos_batch_number, batch_id, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (retailer_id, pos_sku, pos_batch_number)
+         DO UPDATE SET batch_id = $4, created_by = $5, created_at = CURRENT_TIMESTAMP`,
+        [retailerId, held.sku, held.batch_number, batch.id, req.user.id]
+      );
+    }
+    
+    await client.query(
+      `UPDATE pos_sync_held_lines SET 
+        status = 'applied', resolved_by = $2, resolved_at = CURRENT_TIMESTAMP, resolution = $3
+       WHERE id = $1`,
+      [held.id, req.user.id, JSON.stringify({ ...outcome, remembered: Boolean(remember) })]
+    );
+    
+    await logComplianceEvent(client, req, 'pos_sync_line_resolved', 'retailer', retailerId, {
+      held_line_id: held.id,
+      run_id: held.run_id,
+      ...outcome
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, held_line_id: held.id, ...outcome });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Held line resolve error:', error);
+    res.status(500).json({ error: 'Failed to resolve held line' });
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/api/inventory/sync/held/:id/dismiss', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can manage inventory' });
+  }
+  
+  const { reason } = req.body;
+  
+  if (!reason) {
+    return res.status(400).json({ error: 'reason is required' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const retailerId = await getActivePartnerId(client, 'retailer', req.user.id);
+    const held = await getPendingHeldLine(client, req.params.id, retailerId);
+    
+    await client.query(
+      `UPDATE pos_sync_held_lines SET 
+        status = 'dismissed', resolved_by = $2, resolved_at = CURRENT_TIMESTAMP, resolution = $3
+       WHERE id = $1`,
+      [held.id, req.user.id, JSON.stringify({ reason })]
+    );
+    
+    await logComplianceEvent(client, req, 'pos_sync_line_dismissed', 'retailer', retailerId, {
+      held_line_id: held.id,
+      run_id: held.run_id,
+      sku: held.sku,
+      batch_number: held.batch_number,
+      quantity: held.quantity,
+      reason
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, held_line_id: held.id, status: 'dismissed' });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Held line dismiss error:', error);
+    res.status(500).json({ error: 'Failed to dismiss held line' });
+  } finally {
+    client.release();
+  }
+});
+
+// Click-and-collect reservations. A consumer reserves stock at one retailer;
+// the units are held (quantity_reserved) until the retailer collects the
+// reservation through the purchase flow, either side cancels, or it expires.
+const RESERVATION_PICKUP_HOURS = parseInt(process.env.RESERVATION_PICKUP_HOURS) || 48;
+
+// Lock an open (pending or confirmed) reservation belonging to the given
+// { retailerId } or { wpUserId }
+const getOpenReservation = async (client, reservationId, owner) => {
+  const reservationResult = await client.query(
+    'SELECT * FROM reservations WHERE id = $1 FOR UPDATE',
+    [reservationId]
+  );
+  
+  if (reservationResult.rows.length === 0) {
+    throw new ApiError(404, 'Reservation not found');
+  }
+  
+  const reservation = reservationResult.rows[0];
+  
+  if ((owner.retailerId && reservation.retailer_id !== owner.retailerId) ||
+      (owner.wpUserId && reservation.wp_user_id !== parseInt(owner.wpUserId))) {
+    throw new ApiError(403, 'Unauthorized');
+  }
+  
+  if (!['pending', 'confirmed'].includes(reservation.status)) {
+    throw new ApiError(409, `Reservation is already ${reservation.status}`, 'RESERVATION_CLOSED');
+  }
+  
+  return reservation;
+};
+
+app.post('/api/reservations', verifyWPToken, async (req, res) => {
+  if (req.user.type && req.user.type !== 'consumer') {
+    return res.status(403).json({ error: 'Only consumers can reserve products' });
+  }
+  
+  const { retailer_id, items, notes } = req.body;
+  const pickupHours = req.body.pickup_hours ? parseInt(req.body.pickup_hours) : RESERVATION_PICKUP_HOURS;
+  
+  if (!retailer_id || !Array.isArray(items) || items.length === 0 ||
+      items.some(item => !(item.product_id || item.batch_id) || !Number.isInteger(item.quantity) || item.quantity <= 0)) {
+    return res.status(400).json({
+      error: 'retailer_id and a list of {product_id or batch_id, quantity} items are required'
+    });
+  }
+  
+  if (!(pickupHours > 0 && pickupHours <= RESERVATION_PICKUP_HOURS)) {
+    return res.status(400).json({ error: `pickup_hours must be between 1 and ${RESERVATION_PICKUP_HOURS}` });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const retailerResult = await client.query(
+      'SELECT verification_status FROM retailers WHERE id = $1',
+      [retailer_id]
+    );
+    
+    if (retailerResult.rows.length === 0) {
+      throw new ApiError(404, 'Retailer not found');
+    }
+    
+    if (retailerResult.rows[0].verification_status !== 'verified') {
+      throw new ApiError(409, 'Retailer is not taking reservations', 'RETAILER_NOT_VERIFIED');
+    }
+    
+    // Hold sellable stock, soonest-expiring batches first. A product may be
+    // spread over several batches; the hold is taken as each line is allocated.
+    const allocations = new Map();
+    
+    for (const item of items) {
+      const stockResult = await client.query(
+        `SELECT 
+          ri.product_id,
+          ri.batch_id,
+          ri.price,
+          ri.discount_price,
+          ri.quantity_in_stock - ri.quantity_reserved as available
+         FROM retailer_inventory ri
+         JOIN product_batches pb ON ri.batch_id = pb.id
+         JOIN products p ON ri.product_id = p.id
+         WHERE ri.retailer_id = $1
+           AND ${item.batch_id ? 'ri.batch_id' : 'ri.product_id'} = $2
+           AND ri.is_active = TRUE
+           AND ri.quantity_in_stock > ri.quantity_reserved
+           AND pb.expiry_date > CURRENT_DATE
+           AND p.status = 'active'
+           AND NOT EXISTS (
+             SELECT 1 FROM batch_recalls br WHERE br.batch_id = pb.id AND br.status = 'active'
+           )
+         ORDER BY pb.expiry_date, ri.batch_id
+         FOR UPDATE OF ri`,
+        [retailer_id, item.batch_id || item.product_id]
+      );
+      
+      const available = stockResult.rows.reduce((sum, row) => sum + row.available, 0);
+      
+      if (available < item.quantity) {
+        throw new ApiError(409, 'Not enough stock to reserve', 'INSUFFICIENT_STOCK', {
+          product_id: item.product_id || null,
+          batch_id: item.batch_id || null,
+          available
+        });
+      }
+      
+      let remaining = item.quantity;
+      
+      for (const row of stockResult.rows) {
+        if (remaining === 0) {
+          break;
+        }
+        
+        const quantity = Math.min(remaining, row.available);
+        remaining -= quantity;
+        
+        await client.query(
+          `UPDATE retailer_inventory
+           SET quantity_reserved = quantity_reserved + $3
+           WHERE retailer_id = $1 AND batch_id = $2`,
+          [retailer_id, row.batch_id, quantity]
+        );
+        
+        const allocation = allocations.get(row.batch_id) || {
+          product_id: row.product_id,
+          batch_id: row.batch_id,
+          quantity: 0,
+          unit_price: shelfPrice(row)
+        };
+        allocation.quantity += quantity;
+        allocations.set(row.batch_id, allocation);
+      }
+    }
+    
+    const reservationResult = await client.query(
+      `INSERT INTO reservations (wp_user_id, retailer_id, pickup_by, notes)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(hours => $3), $4)
+       RETURNING *`,
+      [req.user.id, retailer_id, pickupHours, notes || null]
+    );
+    
+    const reservation = reservationResult.rows[0];
+    
+    for (const allocation of allocations.values()) {
+      await client.query(
+        `INSERT INTO reservation_items (reservation_id, product_id, batch_id, quantity, unit_price)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [reservation.id, allocation.product_id, allocation.batch_id, allocation.quantity, allocation.unit_price]
+      );
+    }
+    
+    await logComplianceEvent(client, req, 'reservation_created', 'reservation', reservation.id, {
+      retailer_id,
+      items: [...allocations.values()]
+    });
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({
+      success: true,
+      reservation: { ...reservation, items: [...allocations.values()] }
+    });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Reservation error:', error);
+    res.status(500).json({ error: 'Failed to create reservation' });
+  } finally {
+    client.release();
+  }
+});
+
+// Consumers see their own reservations, retailers the ones made at their store
+app.get('/api/reservations', verifyWPToken, async (req, res) => {
+  const isRetailer = req.user.type === 'retailer';
+  
+  if (req.user.type && req.user.type !== 'consumer' && !isRetailer) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  
+  let query = `
+    SELECT 
+      rs.*,
+      r.store_name,
+      r.address,
+      json_agg(json_build_object(
+        'product_id', i.product_id,
+        'product_name', p.product_name,
+        'batch_id', i.batch_id,
+        'batch_number', pb.batch_number,
+        'quantity', i.quantity,
+        'unit_price', i.unit_price
+      ) ORDER BY i.id) as items
+    FROM reservations rs
+    JOIN retailers r ON rs.retailer_id = r.id
+    JOIN reservation_items i ON i.reservation_id = rs.id
+    JOIN products p ON i.product_id = p.id
+    JOIN product_batches pb ON i.batch_id = pb.id
+    WHERE ${isRetailer ? 'r.wp_user_id = $1' : 'rs.wp_user_id = $1'}
+  `;
+  
+  const params = [req.user.id];
+  
+  if (req.query.status) {
+    params.push(req.query.status);
+    query += ' AND rs.status = $2';
+  }
+  
+  // Retailers work through pickups in order; consumers see their latest first
+  query += ` GROUP BY rs.id, r.store_name, r.address
+    ORDER BY ${isRetailer ? 'rs.pickup_by' : 'rs.created_at DESC'}`;
+  
+  try {
+    const result = await pool.query(query, params);
+    res.json({ success: true, reservations: result.rows });
+  } catch (error) {
+    console.error('Error fetching reservations:', error);
+    res.status(500).json({ error: 'Failed to fetch reservations' });
+  }
+});
+
+app.post('/api/reservations/:id/confirm', authenticateWPUser, async (req, res) => {
+  if (req.user.type !== 'retailer') {
+    return res.status(403).json({ error: 'Only retailers can confirm reservations' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const retailerId = await getActivePartnerId(client, 'retailer', req.user.id);
+    const reservation = await getOpenReservation(client, req.params.id, { retailerId });
+    
+    if (reservation.status !== 'pending') {
+      throw new ApiError(409, 'Reservation is already confirmed', 'RESERVATION_CLOSED');
+    }
+    
+    await client.query(
+      `UPDATE reservations
+       SET status = 'confirmed', confirmed_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [reservation.id]
+    );
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, reservation_id: reservation.id, status: 'confirmed' });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Reservation confirm error:', error);
+    res.status(500).json({ error: 'Failed to confirm reservation' });
+  } finally {
+    client.release();
+  }
+});
+
+// Either the consumer or the retailer may cancel; the held stock goes back on sale
+app.post('/api/reservations/:id/cancel', verifyWPToken, async (req, res) => {
+  const isRetailer = req.user.type === 'retailer';
+  
+  if (req.user.type && req.user.type !== 'consumer' && !isRetailer) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const owner = isRetailer
+      ? { retailerId: await getActivePartnerId(client, 'retailer', req.user.id) }
+      : { wpUserId: req.user.id };
+    const reservation = await getOpenReservation(client, req.params.id, owner);
+    
+    await releaseReservations(client, 'cancelled', 'rs.id = $2', [reservation.id]);
+    
+    await client.query(
+      'UPDATE reservations SET cancellation_reason = $2 WHERE id = $1',
+      [reservation.id, req.body.reason || null]
+    );
+    
+    await logComplianceEvent(client, req, 'reservation_cancelled', 'reservation', reservation.id, {
+      cancelled_by: isRetailer ? 'retailer' : 'consumer',
+      reason: req.body.reason || null
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, reservation_id: reservation.id, status: 'cancelled' });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Reservation cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel reservation' });
+  } finally {
+    client.release();
+  }
+});
+
+// Collect a reservation at pickup: a purchase of the reserved items at today's shelf prices
+app.post('/api/reservations/:id/fulfil', authenticatePurchaser, handlePurchase);
+
+// Expire reservations whose pickup window has passed
+setInterval(() => {
+  releaseReservations(pool, 'expired', 'rs.pickup_by < CURRENT_TIMESTAMP')
+    .catch(error => console.error('Reservation expiry error:', error));
+}, 60 * 1000).unref();
+
+// Outbound webhooks. Handlers queue events with queueWebhookEvent inside their
+// own transaction; the dispatcher below claims due deliveries, POSTs them
+// signed with the subscription's secret and retries failures with exponential
+// backoff. After WEBHOOK_MAX_ATTEMPTS a delivery is dead-lettered until replayed.
+const WEBHOOK_EVENT_TYPES = {
+  'product.published': ['manufacturer', 'retailer'],
+  'batch.created': ['manufacturer'],
+  'stock.shipped': ['manufacturer', 'retailer'],
+  'stock.low': ['retailer'],
+  'recall.issued': ['manufacturer', 'retailer'],
+  'purchase.recorded': ['retailer']
+};
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+const WEBHOOK_POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS, 10) || 5 * 1000;
+const WEBHOOK_BATCH_SIZE = 20;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_LEASE_MS = 60 * 1000;       // a claimed delivery is retried if not settled by then
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_BACKOFF_BASE_MS = 30 * 1000;
+const WEBHOOK_BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 5;
+
+// 30s, 1m, 2m, 4m ... capped at 6 hours
+const webhookBackoffMs = attempt => Math.min(WEBHOOK_BACKOFF_BASE_MS * 2 ** (attempt - 1), WEBHOOK_BACKOFF_MAX_MS);
+
+// Addresses webhooks may never reach: loopback, private, link-local (cloud
+// metadata), carrier NAT, multicast and reserved ranges. IPv4-mapped IPv6
+// addresses such as ::ffff:7f00:1 are checked against the IPv4 ranges.
+const webhookBlockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => webhookBlockList.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => webhookBlockList.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || webhookBlockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// URL hostname as a bare IP literal (no IPv6 brackets), or null for a name
+const hostAddress = (hostname) => {
+  const bare = hostname.replace(/^\[(.*)\]$/, '$1');
+  return net.isIP(bare) ? bare : null;
+};
+
+// DNS lookup for webhook requests: every address a name resolves to must be
+// public, and the connection uses the addresses checked here, so a name
+// can't be re-pointed at an internal host between the check and the request
+const webhookLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { all: true, family: options.family || 0 }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private or local address`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const validateWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'must be a valid URL';
+  }
+  
+  const allowHttp = process.env.NODE_ENV !== 'production';
+  if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+    return 'must use https';
+  }
+  if (url.username || url.password) {
+    return 'must not contain credentials';
+  }
+  // Names are checked again when they are resolved for each delivery
+  const address = hostAddress(url.hostname);
+  if (url.hostname === 'localhost' || (address && isPrivateAddress(address))) {
+    return 'must not point at a private or local address';
+  }
+  
+  return null;
+};
+
+const validateWebhookInput = (body, partnerType, isUpdate) => {
+  const errors = [];
+  
+  if (!isUpdate || body.url !== undefined) {
+    const urlError = typeof body.url === 'string' ? validateWebhookUrl(body.url) : 'is required';
+    if (urlError) {
+      errors.push({ field: 'url', message: urlError });
+    }
+  }
+  
+  if (!isUpdate || body.event_types !== undefined) {
+    const allowed = Object.keys(WEBHOOK_EVENT_TYPES).filter(type => WEBHOOK_EVENT_TYPES[type].includes(partnerType));
+    if (!Array.isArray(body.event_types) || body.event_types.length === 0) {
+      errors.push({ field: 'event_types', message: `must be a list of: ${allowed.join(', ')}` });
+    } else {
+      body.event_types.filter(type => !allowed.includes(type)).forEach(type => {
+        errors.push({ field: 'event_types', message: `${type} is not available to a ${partnerType}` });
+      });
+    }
+  }
+  
+  if (body.is_active !== undefined && typeof body.is_active !== 'boolean') {
+    errors.push({ field: 'is_active', message: 'must be true or false' });
+  }
+  
+  return errors;
+};
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// The secret is only returned when it is created or rotated
+const WEBHOOK_SUBSCRIPTION_COLUMNS = `id, partner_type, partner_id, url, event_types, description,
+  is_active, created_at, updated_at`;
+
+const getWebhookPartner = async (client, user) => {
+  if (!PARTNER_TABLES[user.type]) {
+    throw new ApiError(403, 'Only manufacturers and retailers can use webhooks');
+  }
+  
+  return { type: user.type, id: await getActivePartnerId(client, user.type, user.id) };
+};
+
+const getOwnedSubscription = async (client, subscriptionId, partner) => {
+  const result = await client.query(
+    `SELECT ${WEBHOOK_SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = $1`,
+    [subscriptionId]
+  );
+  
+  const subscription = result.rows[0];
+  
+  if (!subscription || subscription.partner_type !== partner.type || subscription.partner_id !== partner.id) {
+    throw new ApiError(404, 'Webhook subscription not found');
+  }
+  
+  return subscription;
+};
+
+// Claim due deliveries by pushing next_attempt_at out by the lease, so a
+// crashed dispatcher's deliveries come due again. Deliveries to paused
+// subscriptions wait until they are re-enabled.
+const claimWebhookDeliveries = async () => {
+  const result = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET next_attempt_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond'
+     FROM webhook_subscriptions ws, webhook_outbox e
+     WHERE d.id IN (
+         SELECT d2.id
+         FROM webhook_deliveries d2
+         JOIN webhook_subscriptions ws2 ON ws2.id = d2.subscription_id
+         WHERE d2.status = 'pending' AND d2.next_attempt_at <= CURRENT_TIMESTAMP AND ws2.is_active
+         ORDER BY d2.next_attempt_at
+         LIMIT $1
+         FOR UPDATE OF d2 SKIP LOCKED
+       )
+       AND ws.id = d.subscription_id
+       AND e.id = d.event_id
+     RETURNING d.id, d.attempt_count, ws.url, ws.secret, e.uuid, e.event_type, e.data, e.created_at`,
+    [WEBHOOK_BATCH_SIZE, WEBHOOK_LEASE_MS]
+  );
+  
+  return result.rows;
+};
+
+// POST to a receiver through webhookLookup. Resolves with the status code;
+// the response body is discarded, so a delivery can't be used to read pages
+// from the receiver's network. Redirects are not followed.
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const address = hostAddress(target.hostname);
+  
+  // IP literals skip DNS lookup, so they are checked here
+  if (address && isPrivateAddress(address)) {
+    return reject(new Error(`${address} is a private or local address`));
+  }
+  
+  const transport = target.protocol === 'https:' ? https : http;
+  const request = transport.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: webhookLookup,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  
+  request.on('error', reject);
+  request.end(body);
+});
+
+const sendWebhookDelivery = async (delivery) => {
+  const body = JSON.stringify({
+    id: delivery.uuid,
+    type: delivery.event_type,
+    created_at: delivery.created_at,
+    data: delivery.data
+  });
+  const startedAt = Date.now();
+  let statusCode = null;
+  let failure = null;
+  
+  try {
+    // A 3xx counts as a failure
+    statusCode = await postWebhook(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'QuitOS-Webhooks/1.0',
+      'X-Webhook-Id': delivery.uuid,
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Delivery': String(delivery.id),
+      // t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">; see webhook-signature.js
+      'X-Webhook-Signature': webhookSignatureHeader(delivery.secret, body)
+    }, body);
+    
+    if (statusCode < 200 || statusCode >= 300) {
+      failure = `HTTP ${statusCode}`;
+    }
+  } catch (error) {
+    failure = error.name === 'AbortError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s` : error.message;
+  }
+  
+  const attempt = delivery.attempt_count + 1;
+  const status = !failure ? 'delivered' : attempt >= WEBHOOK_MAX_ATTEMPTS ? 'dead' : 'pending';
+  
+  await pool.query(
+    `WITH attempt AS (
+       INSERT INTO webhook_delivery_attempts
+       (delivery_id, attempt_number, status_code, error, duration_ms)
+       VALUES ($1, $2, $3, $4, $5)
+     )
+     UPDATE webhook_deliveries SET 
+       status = $6,
+       attempt_count = $2,
+       last_attempt_at = CURRENT_TIMESTAMP,
+       last_status_code = $3,
+       last_error = $4,
+       delivered_at = CASE WHEN $4::text IS NULL THEN CURRENT_TIMESTAMP END,
+       next_attempt_at = CURRENT_TIMESTAMP + $7 * INTERVAL '1 millisecond'
+     WHERE id = $1`,
+    [delivery.id, attempt, statusCode, failure, Date.now() - startedAt, status, webhookBackoffMs(attempt)]
+  );
+};
+
+const webhookDispatcher = { running: null };
+
+const dispatchWebhooks = () => {
+  if (webhookDispatcher.running) {
+    return webhookDispatcher.running;
+  }
+  
+  webhookDispatcher.running = (async () => {
+    let deliveries;
+    do {
+      deliveries = await claimWebhookDeliveries();
+      await Promise.all(deliveries.map(delivery => (
+        sendWebhookDelivery(delivery).catch(error => console.error(`Webhook delivery ${delivery.id} error:`, error))
+      )));
+    } while (deliveries.length === WEBHOOK_BATCH_SIZE);
+  })()
+    .catch(error => console.error('Webhook dispatch error:', error))
+    .finally(() => {
+      webhookDispatcher.running = null;
+    });
+  
+  return webhookDispatcher.running;
+};
+
+setInterval(dispatchWebhooks, WEBHOOK_POLL_MS).unref();
+
+app.get('/api/webhooks/event-types', authenticateWPUser, (req, res) => {
+  res.json({
+    success: true,
+    event_types: Object.keys(WEBHOOK_EVENT_TYPES).filter(type => WEBHOOK_EVENT_TYPES[type].includes(req.user.type))
+  });
+});
+
+app.get('/api/webhooks', authenticateWPUser, async (req, res) => {
+  try {
+    const partner = await getWebhookPartner(pool, req.user);
+    const result = await pool.query(
+      `SELECT ${WEBHOOK_SUBSCRIPTION_COLUMNS},
+        (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.subscription_id = ws.id AND d.status = 'pending') as pending_deliveries,
+        (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.subscription_id = ws.id AND d.status = 'dead') as dead_deliveries
+       FROM webhook_subscriptions ws
+       WHERE partner_type = $1 AND partner_id = $2
+       ORDER BY created_at`,
+      [partner.type, partner.id]
+    );
+    
+    res.json({ success: true, subscriptions: result.rows });
+    
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Webhook list error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+app.post('/api/webhooks', authenticateWPUser, async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const partner = await getWebhookPartner(client, req.user);
+    const errors = validateWebhookInput(req.body, partner.type, false);
+    
+    if (errors.length > 0) {
+      throw new ApiError(422, 'Invalid webhook subscription', 'INVALID_WEBHOOK', { errors });
+    }
+    
+    const { url, event_types, description } = req.body;
+    const secret = generateWebhookSecret();
+    
+    const result = await client.query(
+      `INSERT INTO webhook_subscriptions 
+       (partner_type, partner_id, url, event_types, description, secret, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${WEBHOOK_SUBSCRIPTION_COLUMNS}`,
+      [partner.type, partner.id, url, [...new Set(event_types)], description || null, secret, req.user.id]
+    );
+    
+    const subscription = result.rows[0];
+    
+    await logComplianceEvent(client, req, 'webhook_subscription_created', 'webhook_subscription', subscription.id, {
+      partner_type: partner.type,
+      partner_id: partner.id,
+      url,
+      event_types: subscription.event_types
+    });
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({ success: true, subscription: { ...subscription, secret } });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Webhook creation error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  } finally {
+    client.release();
+  }
+});
+
+const WEBHOOK_EDITABLE_FIELDS = ['url', 'event_types', 'description', 'is_active'];
+
+app.put('/api/webhooks/:id', authenticateWPUser, async (req, res) => {
+  const fields = WEBHOOK_EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+  
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No editable fields provided' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const partner = await getWebhookPartner(client, req.user);
+    const before = await getOwnedSubscription(client, req.params.id, partner);
+    const errors = validateWebhookInput(req.body, partner.type, true);
+    
+    if (errors.length > 0) {
+      throw new ApiError(422, 'Invalid webhook subscription', 'INVALID_WEBHOOK', { errors });
+    }
+    
+    const values = fields.map(field => field === 'event_types' ? [...new Set(req.body[field])] : req.body[field]);
+    const result = await client.query(
+      `UPDATE webhook_subscriptions 
+       SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${WEBHOOK_SUBSCRIPTION_COLUMNS}`,
+      [before.id, ...values]
+    );
+    
+    const after = result.rows[0];
+    
+    await logComplianceEvent(
+      client, req, 'webhook_subscription_updated', 'webhook_subscription', after.id,
+      diffRows(before, after, WEBHOOK_EDITABLE_FIELDS)
+    );
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, subscription: after });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Webhook update error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  } finally {
+    client.release();
+  }
+});
+
+// Deleting a subscription also deletes its delivery history
+app.delete('/api/webhooks/:id', authenticateWPUser, async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const partner = await getWebhookPartner(client, req.user);
+    const subscription = await getOwnedSubscription(client, req.params.id, partner);
+    
+    await client.query('DELETE FROM webhook_subscriptions WHERE id = $1', [subscription.id]);
+    
+    await logComplianceEvent(client, req, 'webhook_subscription_deleted', 'webhook_subscription', subscription.id, {
+      url: subscription.url,
+      event_types: subscription.event_types
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, message: 'Webhook deleted' });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Webhook deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  } finally {
+    client.release();
+  }
+});
+
+// Pending deliveries are signed with the new secret from their next attempt
+app.post('/api/webhooks/:id/rotate-secret', authenticateWPUser, async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const partner = await getWebhookPartner(client, req.user);
+    const subscription = await getOwnedSubscription(client, req.params.id, partner);
+    const secret = generateWebhookSecret();
+    
+    await client.query(
+      'UPDATE webhook_subscriptions SET secret = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [subscription.id, secret]
+    );
+    
+    await logComplianceEvent(client, req, 'webhook_secret_rotated', 'webhook_subscription', subscription.id, {});
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, subscription_id: subscription.id, secret });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Webhook secret rotation error:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  } finally {
+    client.release();
+  }
+});
+
+const WEBHOOK_DELIVERY_COLUMNS = `d.id, d.subscription_id, d.status, d.attempt_count, d.next_attempt_at,
+  d.last_attempt_at, d.last_status_code, d.last_error, d.delivered_at, d.replay_of, d.created_at,
+  e.uuid as event_id, e.event_type`;
+
+// ?status=dead is the dead-letter list
+app.get('/api/webhooks/deliveries', authenticateWPUser, async (req, res) => {
+  const { status, subscription_id, event_type } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  
+  if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+  }
+  
+  try {
+    const partner = await getWebhookPartner(pool, req.user);
+    const result = await pool.query(
+      `SELECT ${WEBHOOK_DELIVERY_COLUMNS}
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions ws ON ws.id = d.subscription_id
+       JOIN webhook_outbox e ON e.id = d.event_id
+       WHERE ws.partner_type = $1 AND ws.partner_id = $2
+         AND ($3::text IS NULL OR d.status = $3)
+         AND ($4::int IS NULL OR d.subscription_id = $4)
+         AND ($5::text IS NULL OR e.event_type = $5)
+       ORDER BY d.created_at DESC, d.id DESC
+       LIMIT $6 OFFSET $7`,
+      [partner.type, partner.id, status || null, parseInt(subscription_id) || null, event_type || null, limit, offset]
+    );
+    
+    res.json({ success: true, deliveries: result.rows });
+    
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+const getOwnedDelivery = async (client, deliveryId, partner) => {
+  const result = await client.query(
+    `SELECT ${WEBHOOK_DELIVERY_COLUMNS}, d.event_id as outbox_id, e.data, e.created_at as event_created_at,
+            ws.partner_type, ws.partner_id
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions ws ON ws.id = d.subscription_id
+     JOIN webhook_outbox e ON e.id = d.event_id
+     WHERE d.id = $1`,
+    [deliveryId]
+  );
+  
+  const delivery = result.rows[0];
+  
+  if (!delivery || delivery.partner_type !== partner.type || delivery.partner_id !== partner.id) {
+    throw new ApiError(404, 'Webhook delivery not found');
+  }
+  
+  return delivery;
+};
+
+// A delivery with its payload and every attempt
+app.get('/api/webhooks/deliveries/:id', authenticateWPUser, async (req, res) => {
+  try {
+    const partner = await getWebhookPartner(pool, req.user);
+    const { outbox_id, data, event_created_at, partner_type, partner_id, ...delivery } =
+      await getOwnedDelivery(pool, req.params.id, partner);
+    
+    const attemptsResult = await pool.query(
+      `SELECT attempt_number, attempted_at, status_code, error, duration_ms
+       FROM webhook_delivery_attempts
+       WHERE delivery_id = $1
+       ORDER BY attempt_number`,
+      [delivery.id]
+    );
+    
+    res.json({
+      success: true,
+      delivery: {
+        ...delivery,
+        payload: { id: delivery.event_id, type: delivery.event_type, created_at: event_created_at, data },
+        attempts: attemptsResult.rows
+      }
+    });
+    
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Webhook delivery error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+// Replaying queues a fresh delivery of the same event (same event id, so
+// receivers can de-duplicate), leaving the original and its attempts as they were
+app.post('/api/webhooks/deliveries/:id/replay', authenticateWPUser, async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const partner = await getWebhookPartner(client, req.user);
+    const original = await getOwnedDelivery(client, req.params.id, partner);
+    
+    if (original.status === 'pending') {
+      throw new ApiError(409, 'Delivery is still being retried', 'DELIVERY_PENDING');
+    }
+    
+    const result = await client.query(
+      `INSERT INTO webhook_deliveries (event_id, subscription_id, replay_of)
+       VALUES ($1, $2, $3)
+       RETURNING id, status, next_attempt_at, created_at`,
+      [original.outbox_id, original.subscription_id, original.id]
+    );
+    
+    await client.query('COMMIT');
+    
+    dispatchWebhooks();
+    
+    res.status(201).json({ success: true, delivery: { ...result.rows[0], replay_of: original.id } });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Webhook replay error:', error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery' });
+  } finally {
+    client.release();
+  }
+});
+
+// Analytics endpoints
+app.get('/api/analytics/sales', authenticateWPUser, async (req, res) => {
+  const { start_date, end_date, group_by = 'day' } = req.query;
+  
+  let dateFormat;
+  switch (group_by) {
+    case 'hour': dateFormat = 'YYYY-MM-DD HH24:00:00'; break;
+    case 'day': dateFormat = 'YYYY-MM-DD'; break;
+    case 'week': dateFormat = 'IYYY-IW'; break;
+    case 'month': dateFormat = 'YYYY-MM'; break;
+    default: dateFormat = 'YYYY-MM-DD';
+  }
+  
+  try {
+    const query = `
+      SELECT 
+        TO_CHAR(cp.purchase_date, $3) as period,
+        COUNT(DISTINCT cp.id) as transaction_count,
+        SUM(cp.total_amount) as total_revenue,
+        COUNT(DISTINCT cp.wp_user_id) as unique_customers,
+        AVG(cp.total_amount) as average_order_value
+      FROM consumer_purchases cp
+      WHERE cp.purchase_date BETWEEN $1 AND $2
+      ${req.user.type === 'retailer' ? 'AND cp.retailer_id = (SELECT id FROM retailers WHERE wp_user_id = $4)' : ''}
+      GROUP BY period
+      ORDER BY period
+    `;
+    
+    const params = [start_date, end_date, dateFormat];
+    if (req.user.type === 'retailer') {
+      params.push(req.user.id);
+    }
+    
+    const result = await pool.query(query, params);
+    
+    res.json({
+      success: true,
+      analytics: result.rows
+    });
+    
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
+// Health check endpoint
+app.get('/health', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT NOW()');
+    res.json({
+      status: 'healthy',
+      database: 'connected',
+      timestamp: result.rows[0].now,
+      search_view: searchViewHealth()
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'unhealthy',
+      database: 'disconnected',
+      error: error.message,
+      search_view: searchViewHealth()
+    });
+  }
+});
+
+// Admin partner verification endpoints
+app.get('/api/admin/partners', requireAdmin, async (req, res) => {
+  const { type, status = 'pending', page = 1, limit = 50 } = req.query;
+  const offset = (page - 1) * limit;
+  
+  if (type && !PARTNER_TABLES[type]) {
+    return res.status(400).json({ error: 'type must be manufacturer or retailer' });
+  }
+  
+  const partners = `
+    WITH partners AS (
+      SELECT 'manufacturer' as partner_type, id, wp_user_id, company_name as name,
+             license_number, contact_email as email, address, verification_status,
+             metadata, created_at
+      FROM manufacturers
+      UNION ALL
+      SELECT 'retailer', id, wp_user_id, store_name, license_number, email, address,
+             verification_status, metadata, created_at
+      FROM retailers
+    )
+  `;
+  
+  let where = 'WHERE p.verification_status = $1';
+  const params = [status];
+  let paramCount = 1;
+  
+  if (type) {
+    params.push(type);
+    where += ` AND p.partner_type = $${++paramCount}`;
+  }
+  
+  try {
+    const [result, countResult] = await Promise.all([
+      pool.query(
+        `${partners}
+         SELECT 
+           p.*,
+           p.license_number IS NULL as license_missing,
+           (SELECT COUNT(*) FROM partners d
+            WHERE d.license_number = p.license_number
+              AND (d.partner_type, d.id) <> (p.partner_type, p.id)) as duplicate_license_count
+         FROM partners p
+         ${where}
+         ORDER BY p.created_at
+         LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+        [...params, parseInt(limit), parseInt(offset)]
+      ),
+      pool.query(`${partners} SELECT COUNT(*) as total FROM partners p ${where}`, params)
+    ]);
+    
+    res.json({
+      success: true,
+      partners: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].total)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching partners:', error);
+    res.status(500).json({ error: 'Failed to fetch partners' });
+  }
+});
+
+app.get('/api/admin/partners/:type/:id', requireAdmin, async (req, res) => {
+  const { type, id } = req.params;
+  
+  if (!PARTNER_TABLES[type]) {
+    return res.status(404).json({ error: 'Unknown partner type' });
+  }
+  
+  try {
+    const partnerResult = await pool.query(
+      `SELECT * FROM ${PARTNER_TABLES[type]} WHERE id = $1`,
+      [id]
+    );
+    
+    if (partnerResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Partner not found' });
+    }
+    
+    const historyResult = await pool.query(
+      `SELECT event_type, user_id, event_data, created_at
+       FROM compliance_log
+       WHERE entity_type = $1 AND entity_id = $2
+         AND event_type IN ('partner_verified', 'partner_suspended')
+       ORDER BY created_at DESC`,
+      [type, id]
+    );
+    
+    res.json({
+      success: true,
+      partner: partnerResult.rows[0],
+      verification_history: historyResult.rows
+    });
+  } catch (error) {
+    console.error('Error fetching partner:', error);
+    res.status(500).json({ error: 'Failed to fetch partner' });
+  }
+});
+
+// Approve (or reinstate) and suspend share one handler
+const decidePartnerVerification = (newStatus) => async (req, res) => {
+  const { type, id } = req.params;
+  const { reason } = req.body;
+  
+  if (!PARTNER_TABLES[type]) {
+    return res.status(404).json({ error: 'Unknown partner type' });
+  }
+  
+  if (newStatus === 'suspended' && !reason) {
+    return res.status(400).json({ error: 'A reason is required to suspend a partner' });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const partnerResult = await client.query(
+      `SELECT id, license_number, verification_status
+       FROM ${PARTNER_TABLES[type]}
+       WHERE id = $1
+       FOR UPDATE`,
+      [id]
+    );
+    
+    if (partnerResult.rows.length === 0) {
+      throw new ApiError(404, 'Partner not found');
+    }
+    
+    const partner = partnerResult.rows[0];
+    
+    if (partner.verification_status === newStatus) {
+      throw new ApiError(409, `Partner is already ${newStatus}`);
+    }
+    
+    // Keep the latest decision on the partner so they can see why
+    await client.query(
+      `UPDATE ${PARTNER_TABLES[type]} SET
+         verification_status = $2,
+         metadata = metadata || jsonb_build_object('verification', jsonb_build_object(
+           'status', $2::text,
+           'reason', $3::text,
+           'decided_by', $4::integer,
+           'decided_at', CURRENT_TIMESTAMP
+         ))
+       WHERE id = $1`,
+      [id, newStatus, reason || null, req.user.id]
+    );
+    
+    await logComplianceEvent(
+      client, req,
+      newStatus === 'verified' ? 'partner_verified' : 'partner_suspended',
+      type, partner.id,
+      {
+        previous_status: partner.verification_status,
+        new_status: newStatus,
+        reason: reason || null,
+        license_number: partner.license_number
+      }
+    );
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      partner_type: type,
+      partner_id: partner.id,
+      previous_status: partner.verification_status,
+      verification_status: newStatus
+    });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Verification error:', error);
+    res.status(500).json({ error: 'Failed to update verification status' });
+  } finally {
+    client.release();
+  }
+};
+
+app.post('/api/admin/partners/:type/:id/approve', requireAdmin, decidePartnerVerification('verified'));
+app.post('/api/admin/partners/:type/:id/suspend', requireAdmin, decidePartnerVerification('suspended'));
+
+// Admin category management
+const ATTRIBUTE_TYPES = ['number', 'integer', 'string', 'boolean'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const validateAttributesSchema = (schema) => {
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    return 'attributes_schema must be an object';
+  }
+  
+  if (schema.required !== undefined &&
+      (!Array.isArray(schema.required) || schema.required.some(name => typeof name !== 'string'))) {
+    return 'attributes_schema.required must be a list of attribute names';
+  }
+  
+  const properties = schema.properties || {};
+  if (typeof properties !== 'object' || Array.isArray(properties)) {
+    return 'attributes_schema.properties must be an object';
+  }
+  
+  for (const [name, rule] of Object.entries(properties)) {
+    if (typeof rule !== 'object' || rule === null) {
+      return `attributes_schema.properties.${name} must be an object`;
+    }
+    if (rule.type !== undefined && !ATTRIBUTE_TYPES.includes(rule.type)) {
+      return `attributes_schema.properties.${name}.type must be one of: ${ATTRIBUTE_TYPES.join(', ')}`;
+    }
+    if ((rule.min !== undefined && typeof rule.min !== 'number') ||
+        (rule.max !== undefined && typeof rule.max !== 'number')) {
+      return `attributes_schema.properties.${name} min and max must be numbers`;
+    }
+    if (rule.enum !== undefined && (!Array.isArray(rule.enum) || rule.enum.length === 0)) {
+      return `attributes_schema.properties.${name}.enum must be a non-empty list`;
+    }
+    if (rule.unit !== undefined && typeof rule.unit !== 'string') {
+      return `attributes_schema.properties.${name}.unit must be text`;
+    }
+  }
+  
+  return null;
+};
+
+const validateComplianceSchema = (schema) => {
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    return 'compliance_schema must be an object';
+  }
+  
+  const sections = Object.keys(COMPLIANCE_ENTRY_RULES);
+  if (schema.required !== undefined &&
+      (!Array.isArray(schema.required) || schema.required.some(section => !sections.includes(section)))) {
+    return `compliance_schema.required must be a list of: ${sections.join(', ')}`;
+  }
+  if (schema.quantity_unit !== undefined && typeof schema.quantity_unit !== 'string') {
+    return 'compliance_schema.quantity_unit must be text';
+  }
+  if (schema.notifiable !== undefined &&
+      (!Array.isArray(schema.notifiable) ||
+       schema.notifiable.some(authority => !NOTIFICATION_AUTHORITIES.includes(authority)))) {
+    return `compliance_schema.notifiable must be a list of: ${NOTIFICATION_AUTHORITIES.join(', ')}`;
+  }
+  
+  return null;
+};
+
+const validateCategoryInput = (body, isUpdate) => {
+  if (!isUpdate && (!body.name || !body.slug)) {
+    return 'name and slug are required';
+  }
+  if (body.slug !== undefined && !SLUG_PATTERN.test(body.slug)) {
+    return 'slug may only contain lowercase letters, numbers and hyphens';
+  }
+  if (body.attributes_schema !== undefined) {
+    const schemaError = validateAttributesSchema(body.attributes_schema);
+    if (schemaError) {
+      return schemaError;
+    }
+  }
+  if (body.compliance_schema !== undefined) {
+    return validateComplianceSchema(body.compliance_schema);
+  }
+  return null;
+};
+
+app.post('/api/admin/categories', requireAdmin, async (req, res) => {
+  const validationError = validateCategoryInput(req.body, false);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const { name, slug, parent_id, attributes_schema, compliance_schema } = req.body;
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const categoryResult = await client.query(
+      `INSERT INTO product_categories (name, slug, parent_id, attributes_schema, compliance_schema)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        name,
+        slug,
+        parent_id || null,
+        JSON.stringify(attributes_schema || {}),
+        JSON.stringify(compliance_schema || {})
+      ]
+    );
+    
+    await logComplianceEvent(
+      client, req, 'category_created', 'category', categoryResult.rows[0].id, req.body
+    );
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({ success: true, category: categoryResult.rows[0] });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Category slug already exists' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Parent category not found' });
+    }
+    console.error('Category creation error:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  } finally {
+    client.release();
+  }
+});
+
+app.put('/api/admin/categories/:id', requireAdmin, async (req, res) => {
+  const validationError = validateCategoryInput(req.body, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const { id } = req.params;
+  const { name, slug, attributes_schema, compliance_schema } = req.body;
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const beforeResult = await client.query(
+      'SELECT * FROM product_categories WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    
+    if (beforeResult.rows.length === 0) {
+      throw new ApiError(404, 'Category not found');
+    }
+    
+    const before = beforeResult.rows[0];
+    const parentId = req.body.parent_id !== undefined ? req.body.parent_id : before.parent_id;
+    
+    // A category can't be moved under itself or one of its descendants
+    if (parentId !== null) {
+      const cycleResult = await client.query(
+        `WITH RECURSIVE subtree AS (
+           SELECT id FROM product_categories WHERE id = $1
+           UNION ALL
+           SELECT pc.id FROM product_categories pc JOIN subtree s ON pc.parent_id = s.id
+         )
+         SELECT 1 FROM subtree WHERE id = $2`,
+        [id, parentId]
+      );
+      
+      if (cycleResult.rows.length > 0) {
+        throw new ApiError(400, 'A category cannot be its own ancestor');
+      }
+    }
+    
+    const updateResult = await client.query(
+      `UPDATE product_categories SET
+         name = COALESCE($2, name),
+         slug = COALESCE($3, slug),
+         parent_id = $4,
+         attributes_schema = COALESCE($5::jsonb, attributes_schema),
+         compliance_schema = COALESCE($6::jsonb, compliance_schema)
+       WHERE id = $1
+       RETURNING *`,
+      [
+        id,
+        name || null,
+        slug || null,
+        parentId,
+        attributes_schema ? JSON.stringify(attributes_schema) : null,
+        compliance_schema ? JSON.stringify(compliance_schema) : null
+      ]
+    );
+    
+    const after = updateResult.rows[0];
+    
+    await logComplianceEvent(
+      client, req, 'category_updated', 'category', after.id,
+      diffRows(before, after, ['name', 'slug', 'parent_id', 'attributes_schema', 'compliance_schema'])
+    );
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, category: after });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Category slug already exists' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Parent category not found' });
+    }
+    console.error('Category update error:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/admin/categories/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const categoryResult = await client.query(
+      'SELECT * FROM product_categories WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    
+    if (categoryResult.rows.length === 0) {
+      throw new ApiError(404, 'Category not found');
+    }
+    
+    const productResult = await client.query(
+      'SELECT COUNT(*) as count FROM products WHERE category_id = $1',
+      [id]
+    );
+    
+    if (parseInt(productResult.rows[0].count) > 0) {
+      throw new ApiError(409, 'Category still has products; move them first', 'CATEGORY_IN_USE');
+    }
+    
+    const limitResult = await client.query(
+      'SELECT COUNT(*) as count FROM purchase_limit_rules WHERE category_id = $1',
+      [id]
+    );
+    
+    if (parseInt(limitResult.rows[0].count) > 0) {
+      throw new ApiError(409, 'Category has purchase limit rules; remove them first', 'CATEGORY_IN_USE');
+    }
+    
+    // Children move up to the deleted category's parent
+    await client.query(
+      'UPDATE product_categories SET parent_id = $2 WHERE parent_id = $1',
+      [id, categoryResult.rows[0].parent_id]
+    );
+    
+    await client.query('DELETE FROM product_categories WHERE id = $1', [id]);
+    
+    await logComplianceEvent(
+      client, req, 'category_deleted', 'category', categoryResult.rows[0].id, categoryResult.rows[0]
+    );
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, message: 'Category deleted' });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Category deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
   } finally {
     client.release();
   }
 });
 
-// Get manufacturer's products
-app.get('/api/manufacturer/products', authenticateWPUser, async (req, res) => {
-  if (req.user.type !== 'manufacturer') {
-    return res.status(403).json({ error: 'Only manufacturers can access this endpoint' });
-  }
-  
-  try {
-    const result = await pool.query(
-      `SELECT 
-        p.*,
-        c.name as category_name,
-        COUNT(DISTINCT pb.id) as batch_count,
-        SUM(pb.quantity_available) as total_available
-       FROM products p
-       JOIN manufacturers m ON p.manufacturer_id = m.id
-       JOIN product_categories c ON p.category_id = c.id
-       LEFT JOIN product_batches pb ON p.id = pb.product_id
-       WHERE m.wp_user_id = $1
-       GROUP BY p.id, c.name
-       ORDER BY p.created_at DESC`,
-      [req.user.id]
-    );
-    
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Error fetching products:', error);
-    res.status(500).json({ error: 'Failed to fetch products' });
-  }
-});
-
-// Retailer endpoints
-app.get('/api/products/available', authenticateWPUser, async (req, res) => {
-  if (req.user.type !== 'retailer') {
-    return res.status(403).json({ error: 'Only retailers can access this endpoint' });
-  }
-  
-  const { category, search, page = 1, limit = 20 } = req.query;
-  const offset = (page - 1) * limit;
+// Products that don't satisfy their category's attributes_schema
+app.get('/api/admin/products/attribute-issues', requireAdmin, async (req, res) => {
+  const { category } = req.query;
   
   let query = `
     SELECT 
       p.id,
-      p.uuid,
       p.product_name,
       p.sku,
-      p.description,
-      p.nicotine_strength,
-      p.volume_ml,
-      p.flavor,
-      p.images,
-      c.name as category_name,
-      m.company_name as manufacturer_name,
-      COUNT(DISTINCT pb.id) as available_batches,
-      SUM(pb.quantity_available) as total_available
+      p.status,
+      p.attributes,
+      c.slug as category_slug,
+      c.attributes_schema,
+      m.company_name as manufacturer_name
     FROM products p
-    JOIN manufacturers m ON p.manufacturer_id = m.id
     JOIN product_categories c ON p.category_id = c.id
-    LEFT JOIN product_batches pb ON p.id = pb.product_id 
-      AND pb.quantity_available > 0 
-      AND pb.expiry_date > CURRENT_DATE
-    WHERE p.status = 'active'
+    JOIN manufacturers m ON p.manufacturer_id = m.id
+    WHERE p.status <> 'discontinued'
   `;
   
   const params = [];
-  let paramCount = 0;
   
   if (category) {
     params.push(category);
-    query += ` AND c.slug = $${++paramCount}`;
-  }
-  
-  if (search) {
-    params.push(search);
-    query += ` AND p.product_name ILIKE '%' || $${++paramCount} || '%'`;
+    query += ` AND c.slug IN ${categorySubtreeSlugs('$1')}`;
   }
   
-  query += ' GROUP BY p.id, p.uuid, p.product_name, p.sku, p.description, p.nicotine_strength, p.volume_ml, p.flavor, p.images, c.name, m.company_name';
-  query += ' HAVING SUM(pb.quantity_available) > 0';
-  query += ' ORDER BY p.product_name';
-  
-  params.push(parseInt(limit));
-  params.push(parseInt(offset));
-  query += ` LIMIT $${++paramCount} OFFSET $${++paramCount}`;
+  query += ' ORDER BY m.company_name, p.product_name';
   
   try {
     const result = await pool.query(query, params);
     
+    const products = result.rows
+      .map(({ attributes_schema, ...product }) => ({
+        ...product,
+        attribute_errors: validateAttributes(attributes_schema, product.attributes).errors
+      }))
+      .filter(product => product.attribute_errors.length > 0);
+    
     res.json({
       success: true,
-      products: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: result.rows.length
-      }
+      checked: result.rows.length,
+      products
     });
-    
   } catch (error) {
-    console.error('Error fetching products:', error);
-    res.status(500).json({ error: 'Failed to fetch products' });
+    console.error('Attribute report error:', error);
+    res.status(500).json({ error: 'Failed to build attribute report' });
   }
 });
 
-// Add product to retailer inventory
-app.post('/api/inventory/add', authenticateWPUser, async (req, res) => {
-  if (req.user.type !== 'retailer') {
-    return res.status(403).json({ error: 'Only retailers can manage inventory' });
+// Create or change a jurisdiction's sale rules; null limits are lifted
+app.put('/api/admin/jurisdictions/:code', requireAdmin, async (req, res) => {
+  const code = req.params.code.toUpperCase();
+  const { name, minimum_age, max_nicotine_strength, max_volume_ml, limited_categories } = req.body;
+  
+  if (!/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/.test(code)) {
+    return res.status(400).json({ error: 'code must look like GB or US-CA' });
   }
   
-  const {
-    product_id,
-    batch_id,
-    quantity,
-    price
-  } = req.body;
+  if (!name || !Number.isInteger(minimum_age) || minimum_age <= 0) {
+    return res.status(400).json({ error: 'name and a whole positive minimum_age are required' });
+  }
+  
+  for (const [field, limit] of Object.entries({ max_nicotine_strength, max_volume_ml })) {
+    if (limit !== undefined && limit !== null && !(typeof limit === 'number' && limit > 0)) {
+      return res.status(400).json({ error: `${field} must be a positive number or null` });
+    }
+  }
+  
+  if (limited_categories !== undefined &&
+      !(Array.isArray(limited_categories) && limited_categories.every(slug => typeof slug === 'string'))) {
+    return res.status(400).json({ error: 'limited_categories must be a list of category slugs' });
+  }
   
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
     
-    // Get retailer ID
-    const retailerResult = await client.query(
-      'SELECT id FROM retailers WHERE wp_user_id = $1',
-      [req.user.id]
+    if (limited_categories) {
+      const categoryResult = await client.query(
+        'SELECT slug FROM product_categories WHERE slug = ANY($1::text[])',
+        [limited_categories]
+      );
+      const known = categoryResult.rows.map(row => row.slug);
+      const unknown = limited_categories.filter(slug => !known.includes(slug));
+      
+      if (unknown.length > 0) {
+        throw new ApiError(400, `Unknown limited_categories: ${unknown.join(', ')}`);
+      }
+    }
+    
+    // limited_categories is kept when not sent
+    const ruleResult = await client.query(
+      `INSERT INTO jurisdiction_rules (code, name, minimum_age, max_nicotine_strength, max_volume_ml, limited_categories)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6::text[], '{vapes}'))
+       ON CONFLICT (code) DO UPDATE SET
+         name = EXCLUDED.name,
+         minimum_age = EXCLUDED.minimum_age,
+         max_nicotine_strength = EXCLUDED.max_nicotine_strength,
+         max_volume_ml = EXCLUDED.max_volume_ml,
+         limited_categories = COALESCE($6::text[], jurisdiction_rules.limited_categories)
+       RETURNING *, (xmax = 0) as inserted`,
+      [code, name, minimum_age, max_nicotine_strength || null, max_volume_ml || null, limited_categories || null]
     );
     
-    if (retailerResult.rows.length === 0) {
-      throw new Error('Retailer not found');
-    }
+    const { inserted, ...jurisdiction } = ruleResult.rows[0];
     
-    const retailerId = retailerResult.rows[0].id;
+    await logComplianceEvent(client, req, 'jurisdiction_rules_updated', 'jurisdiction', jurisdiction.id, jurisdiction);
     
-    // Check batch availability
-    const batchResult = await client.query(
-      'SELECT quantity_available FROM product_batches WHERE id = $1 AND product_id = $2',
-      [batch_id, product_id]
-    );
+    await client.query('COMMIT');
     
-    if (batchResult.rows.length === 0 || batchResult.rows[0].quantity_available < quantity) {
-      throw new Error('Insufficient batch quantity available');
-    }
+    res.status(inserted ? 201 : 200).json({ success: true, jurisdiction });
     
-    // Update or insert inventory
-    await client.query(
-      `INSERT INTO retailer_inventory 
-       (retailer_id, product_id, batch_id, quantity_in_stock, price)
-       VALUES ($1, $2, $3, $4, $5)
-       ON CONFLICT (retailer_id, product_id, batch_id) 
-       DO UPDATE SET 
-         quantity_in_stock = retailer_inventory.quantity_in_stock + $4,
-         price = $5,
-         updated_at = CURRENT_TIMESTAMP`,
-      [retailerId, product_id, batch_id, quantity, price]
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Jurisdiction update error:', error);
+    res.status(500).json({ error: 'Failed to update jurisdiction rules' });
+  } finally {
+    client.release();
+  }
+});
+
+// Admin purchase limit rules
+const PURCHASE_LIMIT_FIELDS = [
+  'name', 'category_id', 'retailer_id', 'jurisdiction_code',
+  'limit_type', 'max_amount', 'window_hours', 'is_active'
+];
+
+const validatePurchaseLimitRule = (rule) => {
+  if (!rule.name) {
+    return 'name is required';
+  }
+  
+  if (!PURCHASE_LIMIT_TYPES.includes(rule.limit_type)) {
+    return `limit_type must be one of: ${PURCHASE_LIMIT_TYPES.join(', ')}`;
+  }
+  
+  if (!(parseFloat(rule.max_amount) > 0)) {
+    return 'max_amount must be a positive number';
+  }
+  
+  if (!Number.isInteger(rule.window_hours) || rule.window_hours <= 0) {
+    return 'window_hours must be a whole positive number of hours';
+  }
+  
+  return null;
+};
+
+const savePurchaseLimitRule = async (client, rule, id) => {
+  const values = [
+    rule.name,
+    rule.category_id || null,
+    rule.retailer_id || null,
+    rule.jurisdiction_code || null,
+    rule.limit_type,
+    rule.max_amount,
+    rule.window_hours,
+    rule.is_active !== false
+  ];
+  
+  const result = id
+    ? await client.query(
+      `UPDATE purchase_limit_rules SET
+         name = $1, category_id = $2, retailer_id = $3, jurisdiction_code = $4,
+         limit_type = $5, max_amount = $6, window_hours = $7, is_active = $8
+       WHERE id = $9
+       RETURNING *`,
+      [...values, id]
+    )
+    : await client.query(
+      `INSERT INTO purchase_limit_rules (${PURCHASE_LIMIT_FIELDS.join(', ')})
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      values
     );
-    
-    // Update batch availability
-    await client.query(
-      'UPDATE product_batches SET quantity_available = quantity_available - $1 WHERE id = $2',
-      [quantity, batch_id]
+  
+  return result.rows[0];
+};
+
+app.get('/api/admin/purchase-limits', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT lr.*, c.name as category_name, r.store_name
+       FROM purchase_limit_rules lr
+       LEFT JOIN product_categories c ON lr.category_id = c.id
+       LEFT JOIN retailers r ON lr.retailer_id = r.id
+       ORDER BY lr.is_active DESC, lr.id`
     );
     
-    // Get manufacturer ID for movement record
-    const manufacturerResult = await client.query(
-      'SELECT manufacturer_id FROM products WHERE id = $1',
-      [product_id]
-    );
+    res.json({ success: true, purchase_limits: result.rows });
+  } catch (error) {
+    console.error('Error fetching purchase limits:', error);
+    res.status(500).json({ error: 'Failed to fetch purchase limits' });
+  }
+});
+
+app.post('/api/admin/purchase-limits', requireAdmin, async (req, res) => {
+  const validationError = validatePurchaseLimitRule(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
     
-    // Record movement
-    await client.query(
-      `INSERT INTO product_movements 
-       (movement_type, product_id, batch_id, from_entity_type, from_entity_id,
-        to_entity_type, to_entity_id, quantity, unit_price)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-      [
-        'ship_to_retailer',
-        product_id,
-        batch_id,
-        'manufacturer',
-        manufacturerResult.rows[0].manufacturer_id,
-        'retailer',
-        retailerId,
-        quantity,
-        price
-      ]
-    );
+    const rule = await savePurchaseLimitRule(client, req.body);
+    
+    await logComplianceEvent(client, req, 'purchase_limit_created', 'purchase_limit', rule.id, rule);
     
     await client.query('COMMIT');
     
-    res.json({
-      success: true,
-      message: 'Product added to inventory'
-    });
+    res.status(201).json({ success: true, purchase_limit: rule });
     
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Inventory error:', error);
-    res.status(500).json({ error: error.message });
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown category_id, retailer_id or jurisdiction_code' });
+    }
+    console.error('Purchase limit creation error:', error);
+    res.status(500).json({ error: 'Failed to create purchase limit' });
   } finally {
     client.release();
   }
 });
 
-// Consumer search endpoint with PostGIS
-app.get('/api/search/products', async (req, res) => {
-  const { q, lat, lng, radius = 10 } = req.query;
-  
-  if (!q) {
-    return res.status(400).json({ error: 'Search query required' });
-  }
+// Fields left out of the body keep their value; send null to widen a scope
+app.put('/api/admin/purchase-limits/:id', requireAdmin, async (req, res) => {
+  const client = await pool.connect();
   
   try {
-    let query;
-    let params = [q];
+    await client.query('BEGIN');
     
-    if (lat && lng) {
-      // Use PostGIS for location-based search
-      query = `
-        SELECT 
-          p.id,
-          p.uuid,
-          p.product_name,
-          p.description,
-          p.nicotine_strength,
-          p.flavor,
-          p.images,
-          r.id as retailer_id,
-          r.store_name,
-          r.address,
-          ST_Y(r.location::geometry) as latitude,
-          ST_X(r.location::geometry) as longitude,
-          ST_Distance(r.location, ST_MakePoint($3, $2)::geography) / 1000 as distance_km,
-          ri.price,
-          ri.quantity_in_stock,
-          pb.batch_number,
-          pb.expiry_date
-        FROM products p
-        JOIN retailer_inventory ri ON p.id = ri.product_id
-        JOIN retailers r ON ri.retailer_id = r.id
-        JOIN product_batches pb ON ri.batch_id = pb.id
-        WHERE ri.is_active = TRUE 
-          AND ri.quantity_in_stock > 0
-          AND pb.expiry_date > CURRENT_DATE
-          AND r.verification_status = 'verified'
-          AND p.product_name ILIKE '%' || $1 || '%'
-          AND ST_DWithin(
-            r.location,
-            ST_MakePoint($3, $2)::geography,
-            $4 * 1000
-          )
-        ORDER BY distance_km, ri.price
-        LIMIT 50
-      `;
-      params.push(parseFloat(lat), parseFloat(lng), parseInt(radius));
-    } else {
-      // Regular search without location
-      query = `
-        SELECT 
-          p.id,
-          p.uuid,
-          p.product_name,
-          p.description,
-          p.nicotine_strength,
-          p.flavor,
-          p.images,
-          r.id as retailer_id,
-          r.store_name,
-          r.address,
-          ST_Y(r.location::geometry) as latitude,
-          ST_X(r.location::geometry) as longitude,
-          ri.price,
-          ri.quantity_in_stock,
-          pb.batch_number,
-          pb.expiry_date
-        FROM products p
-        JOIN retailer_inventory ri ON p.id = ri.product_id
-        JOIN retailers r ON ri.retailer_id = r.id
-        JOIN product_batches pb ON ri.batch_id = pb.id
-        WHERE ri.is_active = TRUE 
-          AND ri.quantity_in_stock > 0
-          AND pb.expiry_date > CURRENT_DATE
-          AND r.verification_status = 'verified'
-          AND p.product_name ILIKE '%' || $1 || '%'
-        ORDER BY ri.price
-        LIMIT 50
-      `;
-    }
+    const existingResult = await client.query(
+      'SELECT * FROM purchase_limit_rules WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
     
-    const result = await pool.query(query, params);
+    if (existingResult.rows.length === 0) {
+      throw new ApiError(404, 'Purchase limit not found');
+    }
     
-    // Group by product
-    const products = result.rows.reduce((acc, row) => {
-      const productKey = row.id;
-      
-      if (!acc[productKey]) {
-        acc[productKey] = {
-          id: row.id,
-          uuid: row.uuid,
-          product_name: row.product_name,
-          description: row.description,
-          nicotine_strength: row.nicotine_strength,
-          flavor: row.flavor,
-          images: row.images,
-          retailers: []
-        };
+    const existing = existingResult.rows[0];
+    const merged = { ...existing };
+    PURCHASE_LIMIT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        merged[field] = req.body[field];
       }
-      
-      acc[productKey].retailers.push({
-        retailer_id: row.retailer_id,
-        store_name: row.store_name,
-        address: row.address,
-        latitude: row.latitude,
-        longitude: row.longitude,
-        distance_km: row.distance_km,
-        price: row.price,
-        in_stock: row.quantity_in_stock > 0,
-        batch_info: {
-          batch_number: row.batch_number,
-          expiry_date: row.expiry_date
-        }
-      });
-      
-      return acc;
-    }, {});
-    
-    res.json({
-      success: true,
-      products: Object.values(products)
     });
     
+    const validationError = validatePurchaseLimitRule(merged);
+    if (validationError) {
+      throw new ApiError(400, validationError);
+    }
+    
+    const rule = await savePurchaseLimitRule(client, merged, existing.id);
+    
+    await logComplianceEvent(client, req, 'purchase_limit_updated', 'purchase_limit', rule.id,
+      diffRows(existing, rule, PURCHASE_LIMIT_FIELDS));
+    
+    await client.query('COMMIT');
+    
+    res.json({ success: true, purchase_limit: rule });
+    
   } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ error: 'Search failed' });
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown category_id, retailer_id or jurisdiction_code' });
+    }
+    console.error('Purchase limit update error:', error);
+    res.status(500).json({ error: 'Failed to update purchase limit' });
+  } finally {
+    client.release();
   }
 });
 
-// Enhanced search using materialized view
-app.get('/api/search/v2/products', async (req, res) => {
-  const { q, category, min_rating, max_price } = req.query;
+app.delete('/api/admin/purchase-limits/:id', requireAdmin, async (req, res) => {
+  const client = await pool.connect();
   
   try {
-    let query = `
-      SELECT *
-      FROM product_search_view
-      WHERE search_vector @@ plainto_tsquery('english', $1)
-    `;
-    
-    const params = [q || ''];
-    let paramCount = 1;
+    await client.query('BEGIN');
     
-    if (category) {
-      params.push(category);
-      query += ` AND category_slug = $${++paramCount}`;
-    }
+    const deleteResult = await client.query(
+      'DELETE FROM purchase_limit_rules WHERE id = $1 RETURNING *',
+      [req.params.id]
+    );
     
-    if (min_rating) {
-      params.push(parseFloat(min_rating));
-      query += ` AND average_rating >= $${++paramCount}`;
+    if (deleteResult.rows.length === 0) {
+      throw new ApiError(404, 'Purchase limit not found');
     }
     
-    query += ' ORDER BY ts_rank(search_vector, plainto_tsquery(\'english\', $1)) DESC';
-    query += ' LIMIT 50';
+    await logComplianceEvent(client, req, 'purchase_limit_deleted', 'purchase_limit',
+      deleteResult.rows[0].id, deleteResult.rows[0]);
     
-    const result = await pool.query(query, params);
+    await client.query('COMMIT');
     
-    res.json({
-      success: true,
-      products: result.rows
-    });
+    res.json({ success: true, message: 'Purchase limit deleted' });
     
   } catch (error) {
-    console.error('Search v2 error:', error);
-    res.status(500).json({ error: 'Search failed' });
+    await client.query('ROLLBACK');
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Purchase limit deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete purchase limit' });
+  } finally {
+    client.release();
   }
 });
 
-// Batch traceability endpoint
-app.get('/api/trace/batch/:batchNumber', async (req, res) => {
-  const { batchNumber } = req.params;
+// Review moderation queue: flagged reviews, and edits to flagged or hidden
+// reviews waiting to be looked at again, most reported first
+app.get('/api/admin/reviews/flagged', requireAdmin, async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
   
   try {
-    // Get batch details
-    const batchResult = await pool.query(
-      `SELECT 
-        pb.*,
-        p.product_name,
-        p.sku,
-        m.company_name as manufacturer_name
-       FROM product_batches pb
-       JOIN products p ON pb.product_id = p.id
-       JOIN manufacturers m ON p.manufacturer_id = m.id
-       WHERE pb.batch_number = $1`,
-      [batchNumber]
-    );
-    
-    if (batchResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Batch not found' });
-    }
-    
-    const batch = batchResult.rows[0];
-    
-    // Get movement history using stored function
-    const historyResult = await pool.query(
-      'SELECT * FROM get_batch_history($1::uuid)',
-      [batch.uuid]
-    );
+    const [result, countResult] = await Promise.all([
+      pool.query(
+        `SELECT 
+          pr.*,
+          p.product_name,
+          (SELECT json_agg(json_build_object(
+             'wp_user_id', rf.wp_user_id,
+             'reason', rf.reason,
+             'created_at', rf.created_at
+           ) ORDER BY rf.created_at)
+           FROM review_flags rf WHERE rf.review_id = pr.id) as flags
+         FROM product_reviews pr
+         JOIN products p ON pr.product_id = p.id
+         WHERE pr.status IN ('flagged', 'pending')
+         ORDER BY pr.flag_count DESC, pr.updated_at
+         LIMIT $1 OFFSET $2`,
+        [parseInt(limit), parseInt(offset)]
+      ),
+      pool.query(`SELECT COUNT(*) as total FROM product_reviews WHERE status IN ('flagged', 'pending')`)
+    ]);
     
     res.json({
       success: true,
-      batch: {
-        ...batch,
-        lab_test_results: batch.lab_test_results
-      },
-      movement_history: historyResult.rows
+      reviews: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].total)
+      }
     });
-    
   } catch (error) {
-    console.error('Trace error:', error);
-    res.status(500).json({ error: 'Failed to trace batch' });
+    console.error('Error fetching flagged reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch flagged reviews' });
   }
 });
 
-// Consumer purchase endpoint
-app.post('/api/purchase', async (req, res) => {
-  const {
-    retailer_id,
-    items, // Array of {product_id, batch_id, quantity, unit_price}
-    wp_user_id,
-    payment_method,
-    pos_transaction_id
-  } = req.body;
-  
+// Approve (clears the flags) and hide share one handler
+const moderateReview = (newStatus) => async (req, res) => {
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
     
-    // Calculate total
-    const total_amount = items.reduce((sum, item) => 
-      sum + (item.quantity * item.unit_price), 0
+    const reviewResult = await client.query(
+      'SELECT * FROM product_reviews WHERE id = $1 FOR UPDATE',
+      [req.params.id]
     );
     
-    // Create purchase record
-    const purchaseResult = await client.query(
-      `INSERT INTO consumer_purchases 
-       (wp_user_id, retailer_id, total_amount, payment_method, 
-        pos_transaction_id, order_metadata, ip_address, user_agent)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING id, uuid`,
-      [
-        wp_user_id,
-        retailer_id,
-        total_amount,
-        payment_method,
-        pos_transaction_id,
-        JSON.stringify({ items }),
-        req.ip,
-        req.get('user-agent')
-      ]
-    );
+    if (reviewResult.rows.length === 0) {
+      throw new ApiError(404, 'Review not found');
+    }
     
-    const purchaseId = purchaseResult.rows[0].id;
+    const review = reviewResult.rows[0];
     
-    // Process each item
-    for (const item of items) {
-      // Insert purchase item
-      await client.query(
-        `INSERT INTO purchase_items 
-         (purchase_id, product_id, batch_id, quantity, unit_price, total_price)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [
-          purchaseId,
-          item.product_id,
-          item.batch_id,
-          item.quantity,
-          item.unit_price,
-          item.quantity * item.unit_price
-        ]
-      );
-      
-      // Update inventory
-      await client.query(
-        `UPDATE retailer_inventory 
-         SET quantity_in_stock = quantity_in_stock - $1,
-             last_sold = CURRENT_TIMESTAMP
-         WHERE retailer_id = $2 AND product_id = $3 AND batch_id = $4`,
-        [item.quantity, retailer_id, item.product_id, item.batch_id]
-      );
-      
-      // Record movement
-      await client.query(
-        `INSERT INTO product_movements 
-         (movement_type, product_id, batch_id, from_entity_type, from_entity_id,
-          to_entity_type, to_entity_id, quantity, unit_price)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-        [
-          'sale_to_consumer',
-          item.product_id,
-          item.batch_id,
-          'retailer',
-          retailer_id,
-          'consumer',
-          wp_user_id || 0,
-          item.quantity,
-          item.unit_price
-        ]
-      );
-    }
+    const flagResult = newStatus === 'published'
+      ? await client.query('DELETE FROM review_flags WHERE review_id = $1 RETURNING wp_user_id, reason', [review.id])
+      : await client.query('SELECT wp_user_id, reason FROM review_flags WHERE review_id = $1', [review.id]);
+    
+    await client.query(
+      `UPDATE product_reviews SET
+         status = $2,
+         flag_count = CASE WHEN $2 = 'published' THEN 0 ELSE flag_count END,
+         moderation_note = $3,
+         moderated_by = $4,
+         moderated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [review.id, newStatus, req.body.note || null, req.user.id]
+    );
+    
+    await logComplianceEvent(
+      client, req,
+      newStatus === 'published' ? 'review_approved' : 'review_hidden',
+      'review', review.id,
+      { previous_status: review.status, note: req.body.note || null, flags: flagResult.rows }
+    );
     
     await client.query('COMMIT');
     
-    res.json({
-      success: true,
-      purchase_id: purchaseId,
-      purchase_uuid: purchaseResult.rows[0].uuid,
-      message: 'Purchase completed successfully'
-    });
+    res.json({ success: true, review_id: review.id, status: newStatus });
     
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Purchase error:', error);
-    res.status(500).json({ error: 'Failed to process purchase' });
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Review moderation error:', error);
+    res.status(500).json({ error: 'Failed to moderate review' });
   } finally {
     client.release();
   }
+};
+
+app.post('/api/admin/reviews/:id/approve', requireAdmin, moderateReview('published'));
+app.post('/api/admin/reviews/:id/hide', requireAdmin, moderateReview('hidden'));
+
+// Compliance log reads for admins and auditors
+const COMPLIANCE_EXPORT_FORMATS = ['csv', 'ndjson'];
+const COMPLIANCE_EXPORT_BATCH = 1000;
+const COMPLIANCE_CSV_COLUMNS = [
+  'id', 'created_at', 'event_type', 'entity_type', 'entity_id', 'user_id',
+  'ip_address', 'user_agent', 'changes', 'event_data', 'chain_seq', 'row_hash'
+];
+
+// Build the WHERE clause for compliance_log filters; params start at $1
+const complianceLogFilters = (query) => {
+  const conditions = [];
+  const params = [];
+  
+  const eventTypes = splitList(query.event_type);
+  if (eventTypes.length > 0) {
+    params.push(eventTypes);
+    conditions.push(`event_type = ANY($${params.length})`);
+  }
+  
+  if (query.entity_type) {
+    params.push(query.entity_type);
+    conditions.push(`entity_type = $${params.length}`);
+  }
+  
+  ['entity_id', 'user_id'].forEach(field => {
+    if (query[field] !== undefined) {
+      const value = parseInt(query[field]);
+      if (isNaN(value)) {
+        throw new ApiError(400, `${field} must be an integer`);
+      }
+      params.push(value);
+      conditions.push(`${field} = $${params.length}`);
+    }
+  });
+  
+  [['from', '>='], ['to', '<']].forEach(([field, operator]) => {
+    if (query[field] !== undefined) {
+      if (isNaN(Date.parse(query[field]))) {
+        throw new ApiError(400, `${field} must be a date or timestamp`);
+      }
+      params.push(query[field]);
+      conditions.push(`created_at ${operator} $${params.length}`);
+    }
+  });
+  
+  return { conditions, params };
+};
+
+const encodeComplianceCursor = id => Buffer.from(String(id)).toString('base64url');
+
+const decodeComplianceCursor = cursor => {
+  const id = parseInt(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  
+  if (isNaN(id)) {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+  
+  return id;
+};
+
+// event_data holding {before, after} (diffRows, status changes) is shown as a
+// field list. Other events keep their raw event_data and get changes: null.
+const complianceChanges = eventData => {
+  if (!eventData || typeof eventData !== 'object' ||
+      typeof eventData.before !== 'object' || typeof eventData.after !== 'object' ||
+      !eventData.before || !eventData.after) {
+    return null;
+  }
+  
+  const fields = new Set([...Object.keys(eventData.before), ...Object.keys(eventData.after)]);
+  
+  return [...fields].map(field => ({
+    field,
+    from: eventData.before[field] === undefined ? null : eventData.before[field],
+    to: eventData.after[field] === undefined ? null : eventData.after[field]
+  }));
+};
+
+const formatComplianceEntry = row => ({
+  ...row,
+  chain_seq: parseInt(row.chain_seq),
+  changes: complianceChanges(row.event_data)
 });
 
-// Analytics endpoints
-app.get('/api/analytics/sales', authenticateWPUser, async (req, res) => {
-  const { start_date, end_date, group_by = 'day' } = req.query;
+// Cells a spreadsheet would read as a formula (=, +, -, @) get a leading
+// quote; plain numbers such as negative quantities are left alone
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const CSV_PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+const csvField = value => {
+  if (value === null || value === undefined) {
+    return '';
+  }
   
-  let dateFormat;
-  switch (group_by) {
-    case 'hour': dateFormat = 'YYYY-MM-DD HH24:00:00'; break;
-    case 'day': dateFormat = 'YYYY-MM-DD'; break;
-    case 'week': dateFormat = 'IYYY-IW'; break;
-    case 'month': dateFormat = 'YYYY-MM'; break;
-    default: dateFormat = 'YYYY-MM-DD';
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  
+  if (CSV_FORMULA_PREFIX.test(text) && !CSV_PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const complianceCsvRow = entry => COMPLIANCE_CSV_COLUMNS.map(column => {
+  if (column === 'changes') {
+    return csvField(entry.changes && entry.changes
+      .map(change => `${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`)
+      .join('; '));
   }
+  return csvField(entry[column]);
+}).join(',');
+
+const COMPLIANCE_LOG_COLUMNS = `id, created_at, event_type, entity_type, entity_id, user_id,
+  host(ip_address) as ip_address, user_agent, event_data, chain_seq, row_hash`;
+
+// Newest first, paged with an opaque cursor
+app.get('/api/admin/compliance-log', requireAuditor, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
   
   try {
-    const query = `
-      SELECT 
-        TO_CHAR(cp.purchase_date, $3) as period,
-        COUNT(DISTINCT cp.id) as transaction_count,
-        SUM(cp.total_amount) as total_revenue,
-        COUNT(DISTINCT cp.wp_user_id) as unique_customers,
-        AVG(cp.total_amount) as average_order_value
-      FROM consumer_purchases cp
-      WHERE cp.purchase_date BETWEEN $1 AND $2
-      ${req.user.type === 'retailer' ? 'AND cp.retailer_id = (SELECT id FROM retailers WHERE wp_user_id = $4)' : ''}
-      GROUP BY period
-      ORDER BY period
-    `;
+    const { conditions, params } = complianceLogFilters(req.query);
     
-    const params = [start_date, end_date, dateFormat];
-    if (req.user.type === 'retailer') {
-      params.push(req.user.id);
+    if (req.query.cursor) {
+      params.push(decodeComplianceCursor(req.query.cursor));
+      conditions.push(`id < $${params.length}`);
     }
     
-    const result = await pool.query(query, params);
+    params.push(limit + 1);
+    
+    const result = await pool.query(
+      `SELECT ${COMPLIANCE_LOG_COLUMNS}
+       FROM compliance_log
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    
+    const entries = result.rows.slice(0, limit).map(formatComplianceEntry);
     
     res.json({
       success: true,
-      analytics: result.rows
+      entries,
+      limit,
+      next_cursor: result.rows.length > limit ? encodeComplianceCursor(entries[entries.length - 1].id) : null
     });
     
   } catch (error) {
-    console.error('Analytics error:', error);
-    res.status(500).json({ error: 'Failed to fetch analytics' });
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Compliance log query error:', error);
+    res.status(500).json({ error: 'Failed to fetch compliance log' });
   }
 });
 
-// Health check endpoint
-app.get('/health', async (req, res) => {
+// Stream a filtered export, oldest first, from one snapshot. The request is
+// logged before streaming starts so aborted exports are still on record.
+app.get('/api/admin/compliance-log/export', requireAuditor, async (req, res) => {
+  const format = req.query.format || 'csv';
+  
+  if (!COMPLIANCE_EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${COMPLIANCE_EXPORT_FORMATS.join(', ')}` });
+  }
+  
+  let filters;
   try {
-    const result = await pool.query('SELECT NOW()');
-    res.json({
-      status: 'healthy',
-      database: 'connected',
-      timestamp: result.rows[0].now
+    filters = complianceLogFilters(req.query);
+  } catch (error) {
+    return sendApiError(res, error);
+  }
+  
+  const client = await pool.connect();
+  let aborted = false;
+  res.on('close', () => { aborted = true; });
+  
+  try {
+    await logComplianceEvent(client, req, 'compliance_log_exported', 'user', req.user.id, {
+      format,
+      filters: Object.fromEntries(
+        ['event_type', 'entity_type', 'entity_id', 'user_id', 'from', 'to']
+          .filter(field => req.query[field] !== undefined)
+          .map(field => [field, req.query[field]])
+      )
     });
+    
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    
+    const filename = `compliance-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+    
+    if (format === 'csv') {
+      res.write(COMPLIANCE_CSV_COLUMNS.join(',') + '\n');
+    }
+    
+    let lastId = 0;
+    
+    while (!aborted) {
+      const params = [...filters.params, lastId, COMPLIANCE_EXPORT_BATCH];
+      const result = await client.query(
+        `SELECT ${COMPLIANCE_LOG_COLUMNS}
+         FROM compliance_log
+         WHERE ${[...filters.conditions, `id > $${params.length - 1}`].join(' AND ')}
+         ORDER BY id
+         LIMIT $${params.length}`,
+        params
+      );
+      
+      if (result.rows.length === 0) {
+        break;
+      }
+      
+      const chunk = result.rows
+        .map(formatComplianceEntry)
+        .map(entry => format === 'csv' ? complianceCsvRow(entry) : JSON.stringify(entry))
+        .join('\n') + '\n';
+      
+      if (!res.write(chunk)) {
+        await new Promise(resolve => {
+          const resume = () => {
+            res.off('drain', resume);
+            res.off('close', resume);
+            resolve();
+          };
+          res.on('drain', resume);
+          res.on('close', resume);
+        });
+      }
+      
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+    
+    await client.query('COMMIT');
+    res.end();
+    
   } catch (error) {
-    res.status(500).json({
-      status: 'unhealthy',
-      database: 'disconnected',
-      error: error.message
+    await client.query('ROLLBACK');
+    console.error('Compliance log export error:', error);
+    
+    // Once streaming has started the status line is gone; cut the response short
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to export compliance log' });
+    }
+  } finally {
+    client.release();
+  }
+});
+
+// Re-walk the global hash chains. Record head.hash from each run: deleting
+// the newest rows leaves a valid chain that no longer reaches an old head.
+app.get('/api/admin/hash-chain/verify', requireAdmin, async (req, res) => {
+  try {
+    const [movementResult, complianceResult] = await Promise.all([
+      pool.query('SELECT * FROM verify_movement_chain()'),
+      pool.query('SELECT * FROM verify_compliance_chain()')
+    ]);
+    
+    const chains = {
+      product_movements: chainReport(movementResult.rows[0]),
+      compliance_log: chainReport(complianceResult.rows[0])
+    };
+    
+    res.json({
+      success: true,
+      intact: chains.product_movements.intact && chains.compliance_log.intact,
+      chains,
+      verified_at: new Date().toISOString()
     });
+    
+  } catch (error) {
+    console.error('Hash chain verification error:', error);
+    res.status(500).json({ error: 'Failed to verify hash chains' });
   }
 });
 
-// Refresh materialized view (should be called periodically)
-app.post('/api/admin/refresh-search-view', authenticateWPUser, async (req, res) => {
-  // Add admin check here
+// Force a refresh now instead of waiting for the scheduler
+app.post('/api/admin/refresh-search-view', requireAdmin, async (req, res) => {
   try {
-    await pool.query('REFRESH MATERIALIZED VIEW CONCURRENTLY product_search_view');
-    res.json({ success: true, message: 'Search view refreshed' });
+    await refreshSearchView();
+    res.json({ success: true, message: 'Search view refreshed', search_view: searchViewHealth() });
   } catch (error) {
     console.error('Refresh error:', error);
     res.status(500).json({ error: 'Failed to refresh search view' });
@@ -0,0 +1,40 @@
+// webhook-signature.js
+// Signing for outbound webhooks, shared by the API and by Node receivers
+//
+// Each delivery carries X-Webhook-Signature: t=<unix seconds>,v1=<hex>, where
+// v1 is the HMAC-SHA256 of "<t>.<raw body>" keyed with the subscription secret.
+
+const crypto = require('crypto');
+
+// Receivers should refuse signatures older than this, so a captured delivery can't be replayed later
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function webhookSignatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${signWebhookPayload(secret, timestamp, body)}`;
+}
+
+// True when header signs body with secret and is recent enough. body must be
+// the raw request body, before any JSON parsing.
+function verifyWebhookSignature(secret, header, body, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(part => part.split('=')).filter(pair => pair.length === 2)
+  );
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'));
+}
+
+module.exports = { signWebhookPayload, webhookSignatureHeader, verifyWebhookSignature };